@@ -0,0 +1,187 @@
+// Personal data export and account deletion.
+//
+// Anyone can download what PTO Buddy holds about them as one JSON document.
+// Deleting an account is asked for first and carried out once a cooling-off
+// period has passed; until then the person can change their mind, and their
+// company's admins see the deletion pending.
+//
+// Deleting anonymizes rather than removes. The user row stays, so donations,
+// requests, ledger entries and company and platform totals still add up, but
+// the name, contact details and login are replaced, request reasons, messages
+// and documents are erased, any PTO left is forfeited, and the account drops
+// out of employee lists (every list of people filters on deleted_at).
+
+const crypto = require('crypto');
+const privacy = require('./privacy');
+
+const DELETED_FIRST_NAME = 'Deleted';
+const DELETED_LAST_NAME = 'user';
+const DELETION_STATUSES = ['pending', 'cancelled', 'completed'];
+
+function createAccountDeletion(db, { ledger, requestDocuments, coolingOffDays }) {
+  const DELETION_SELECT = `
+    SELECT a.id, a.user_id, a.company_id, a.reason, a.status, a.scheduled_for, a.cancelled_at, a.completed_at,
+           a.created_at, a.requested_by, requester.first_name || ' ' || requester.last_name as requested_by_name
+    FROM account_deletions a
+    LEFT JOIN users requester ON a.requested_by = requester.id
+  `;
+
+  function getPending(userId) {
+    return db.prepare(`${DELETION_SELECT} WHERE a.user_id = ? AND a.status = 'pending'`).get(userId) || null;
+  }
+
+  // Pending deletions of a company's employees, soonest first, for its admins
+  function companyDeletions(companyId) {
+    return db.prepare(`
+      SELECT a.id, a.user_id, a.scheduled_for, a.created_at, u.first_name, u.last_name, u.email
+      FROM account_deletions a
+      JOIN users u ON a.user_id = u.id
+      WHERE a.status = 'pending' AND u.company_id = ?
+      ORDER BY a.scheduled_for, a.id
+    `).all(companyId);
+  }
+
+  // Returns the new deletion's id
+  function scheduleDeletion({ user, requestedBy, reason = null }) {
+    return db.prepare(`
+      INSERT INTO account_deletions (user_id, company_id, requested_by, reason, scheduled_for)
+      VALUES (?, ?, ?, ?, datetime('now', '+' || ? || ' days'))
+    `).run(user.id, user.company_id, requestedBy, reason, coolingOffDays).lastInsertRowid;
+  }
+
+  function cancelDeletion(deletion) {
+    db.prepare(`
+      UPDATE account_deletions SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(deletion.id);
+  }
+
+  // Pending deletions whose cooling-off period is over, oldest first
+  function dueDeletions() {
+    return db.prepare(`
+      ${DELETION_SELECT}
+      WHERE a.status = 'pending' AND a.scheduled_for <= datetime('now')
+      ORDER BY a.scheduled_for, a.id
+    `).all();
+  }
+
+  // Everything held about a user, as they may see it: other people keep the
+  // anonymity they chose
+  function exportData(viewer, userId) {
+    const profile = db.prepare(`
+      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username, u.company_id, c.name as company_name,
+             u.is_company_admin, u.is_platform_admin, u.can_donate, u.need_support, u.available_pto_hours,
+             u.hire_date, u.created_at
+      FROM users u
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE u.id = ?
+    `).get(userId);
+
+    const requests = db.prepare('SELECT * FROM support_requests WHERE user_id = ? ORDER BY id').all(userId)
+      .map(request => ({
+        ...request,
+        documents: requestDocuments.listDocuments(request.id).map(({ storage_name, ...document }) => document)
+      }));
+
+    const donationsGiven = db.prepare(`
+      SELECT d.id, d.request_id, d.hours, d.message, d.status, d.kind, d.reversal_reason, d.is_anonymous,
+             d.pledge_id, d.created_at, sr.category, sr.visibility, sr.hide_reason, sr.reason,
+             u.id as recipient_id, u.first_name as recipient_first_name, u.last_name as recipient_last_name,
+             u.company_id as recipient_company_id
+      FROM donations d
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users u ON sr.user_id = u.id
+      WHERE d.donor_id = ?
+      ORDER BY d.id
+    `).all(userId).map(donation => privacy.presentGivenDonation(viewer, donation));
+
+    const donationsReceived = db.prepare(`
+      SELECT d.id, d.request_id, d.hours, d.message, d.status, d.kind, d.reversal_reason, d.is_anonymous,
+             d.created_at, u.id as donor_id, u.first_name as donor_first_name, u.last_name as donor_last_name,
+             u.company_id as donor_company_id
+      FROM donations d
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users u ON d.donor_id = u.id
+      WHERE sr.user_id = ?
+      ORDER BY d.id
+    `).all(userId).map(donation => privacy.presentReceivedDonation(viewer, donation));
+
+    const all = (sql, ...params) => db.prepare(sql).all(...params);
+    return {
+      exported_at: new Date().toISOString(),
+      profile,
+      requests,
+      donations_given: donationsGiven,
+      donations_received: donationsReceived,
+      messages: all(`
+        SELECT id, request_id, donation_id, kind, body, hidden_at, created_at
+        FROM request_messages WHERE author_id = ? ORDER BY id
+      `, userId),
+      message_reports: all('SELECT id, message_id, reason, status, created_at FROM message_reports WHERE reporter_id = ? ORDER BY id', userId),
+      pledges: all('SELECT * FROM donation_pledges WHERE user_id = ? ORDER BY id', userId),
+      ledger: ledger.statement(userId).map(entry => privacy.presentLedgerEntry(viewer, entry)),
+      join_requests: all('SELECT id, company_id, status, decided_at, created_at FROM join_requests WHERE user_id = ? ORDER BY id', userId),
+      notifications: all('SELECT id, type, title, body, link, read_at, created_at FROM notifications WHERE user_id = ? ORDER BY id', userId),
+      notification_preferences: all('SELECT type, in_app, email FROM notification_preferences WHERE user_id = ?', userId),
+      sessions: all('SELECT created_at, expires_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY id', userId),
+      pending_deletion: getPending(userId)
+    };
+  }
+
+  // Erase a user's personal data, keeping the row and its ids. Runs inside the
+  // caller's transaction, after their open requests and pledges are closed.
+  // Returns { hoursForfeited, documents } with the documents whose files are
+  // left for requestDocuments.deleteFile once the transaction has committed.
+  function anonymizeUser(userId, { actorId = null } = {}) {
+    const { email } = db.prepare('SELECT email FROM users WHERE id = ?').get(userId);
+
+    const hoursForfeited = ledger.balance(userId);
+    if (hoursForfeited !== 0) {
+      ledger.post({ userId, type: 'account_closed', hours: -hoursForfeited, actorId, note: 'Account deleted' });
+    }
+
+    const documents = db.prepare(`
+      SELECT d.* FROM request_documents d JOIN support_requests sr ON d.request_id = sr.id WHERE sr.user_id = ?
+    `).all(userId);
+    documents.forEach(document => requestDocuments.removeDocument(document));
+
+    const run = (sql, ...params) => db.prepare(sql).run(...params);
+    run('UPDATE support_requests SET reason = ?, hide_reason = 1 WHERE user_id = ?', '', userId);
+    run('UPDATE donations SET message = NULL WHERE donor_id = ?', userId);
+    run('UPDATE donation_pledges SET message = NULL WHERE user_id = ?', userId);
+    run('DELETE FROM message_reports WHERE message_id IN (SELECT id FROM request_messages WHERE author_id = ?)', userId);
+    run('DELETE FROM request_messages WHERE author_id = ?', userId);
+    run('UPDATE message_reports SET reporter_id = NULL, reason = NULL WHERE reporter_id = ?', userId);
+    run('DELETE FROM join_requests WHERE user_id = ?', userId);
+    run('DELETE FROM sessions WHERE user_id = ?', userId);
+    run('DELETE FROM password_reset_tokens WHERE user_id = ?', userId);
+    run('DELETE FROM notifications WHERE user_id = ?', userId);
+    run('DELETE FROM notification_preferences WHERE user_id = ?', userId);
+    run('DELETE FROM mail_outbox WHERE to_address = ?', email);
+
+    const placeholder = `deleted-${userId}`;
+    run('UPDATE company_invitations SET email = ? WHERE accepted_user_id = ?', `${placeholder}@deleted.invalid`, userId);
+    run(`UPDATE audit_log SET actor_name = ? WHERE actor_id = ?`, `${DELETED_FIRST_NAME} ${DELETED_LAST_NAME}`, userId);
+    run(`UPDATE audit_log SET target_name = ? WHERE target_type = 'user' AND target_id = ?`, `${DELETED_FIRST_NAME} ${DELETED_LAST_NAME}`, userId);
+
+    // Nobody can sign in with a random password nobody knows, and it is no valid bcrypt hash either
+    run(`
+      UPDATE users
+      SET first_name = ?, last_name = ?, email = ?, phone = '', username = ?, password = ?,
+          is_company_admin = 0, can_donate = 0, need_support = 0, accrual_plan_id = NULL, hire_date = NULL,
+          deleted_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, DELETED_FIRST_NAME, DELETED_LAST_NAME, `${placeholder}@deleted.invalid`, placeholder,
+    `deleted:${crypto.randomBytes(16).toString('hex')}`, userId);
+
+    run(`
+      UPDATE account_deletions SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND status = 'pending'
+    `, userId);
+
+    return { hoursForfeited, documents };
+  }
+
+  return { getPending, companyDeletions, scheduleDeletion, cancelDeletion, dueDeletions, exportData, anonymizeUser };
+}
+
+module.exports = { DELETED_FIRST_NAME, DELETED_LAST_NAME, DELETION_STATUSES, createAccountDeletion };
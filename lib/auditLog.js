@@ -0,0 +1,207 @@
+// Audit log of administrative and balance-changing actions.
+//
+// Each entry records who acted, what they did, to whom, the values before and
+// after, and when. Entries are written in the same transaction as the change
+// they describe and are never edited or deleted. Names are copied into the
+// entry so it still reads correctly after a user is deleted.
+//
+// An entry belongs to every company it concerns (the actor's, the target's and
+// any the caller adds); company admins only see their own company's entries.
+// Never pass passwords, password hashes or tokens in before/after.
+
+const listQuery = require('./listQuery');
+const privacy = require('./privacy');
+
+const AUDIT_ACTIONS = {
+  'company.create': 'Company created',
+  'company.policy_update': 'Donation policy changed',
+  'company.matching_update': 'Matching program changed',
+  'company.pool_fund': 'Matching pool funded',
+  'company.pool_withdraw': 'Hours withdrawn from matching pool',
+  'company.accrual_plan_create': 'Accrual plan created',
+  'company.accrual_plan_update': 'Accrual plan changed',
+  'company.carryover_update': 'Carryover rules changed',
+  'company.domain_add': 'Email domain added',
+  'company.domain_verify': 'Email domain verified',
+  'company.domain_remove': 'Email domain removed',
+  'company.approve': 'Company approved',
+  'company.suspend': 'Company suspended',
+  'company.reactivate': 'Company reactivated',
+  'company.merge': 'Company merged into another',
+  'employee.create': 'Employee created',
+  'employee.add': 'Existing user added to company',
+  'employee.update': 'Employee updated',
+  'employee.remove': 'Employee removed from company',
+  'employee.delete': 'Employee deleted',
+  'employee.join_request': 'Asked to join company',
+  'employee.join_approve': 'Join request approved',
+  'employee.join_reject': 'Join request rejected',
+  'employee.assign': 'User assigned to company by platform admin',
+  'invitation.create': 'Invitation sent',
+  'invitation.resend': 'Invitation resent',
+  'invitation.revoke': 'Invitation revoked',
+  'profile.update': 'Profile updated',
+  'account.deletion_request': 'Account deletion requested',
+  'account.deletion_cancel': 'Account deletion cancelled',
+  'account.delete': 'Account deleted and anonymized',
+  'request.transition': 'Request status changed',
+  'request.document_verify': 'Supporting document verified',
+  'request.document_unverify': 'Supporting document verification withdrawn',
+  'request.document_delete': 'Supporting document removed',
+  'message.hide': 'Message hidden',
+  'message.unhide': 'Hidden message shown again',
+  'message.dismiss_reports': 'Message reports dismissed',
+  'donation.create': 'Donation made',
+  'donation.reverse': 'Donation reversed or refunded',
+  'pledge.create': 'Donation pledge made',
+  'pledge.update': 'Donation pledge changed',
+  'pledge.cancel': 'Donation pledge cancelled',
+  'password.change': 'Password changed',
+  'password.reset_request': 'Password reset requested',
+  'password.reset': 'Password reset',
+  'payroll.lock': 'Payroll period locked'
+};
+
+// Newest first; ids only ever increase
+const AUDIT_SORT = [{ expr: 'a.id', dir: 'DESC', value: row => row.id }];
+
+// The fields of after that differ from before, as { before, after }
+function diff(before, after) {
+  const changed = Object.keys(after).filter(key => after[key] !== undefined && before[key] !== after[key]);
+  return {
+    before: Object.fromEntries(changed.map(key => [key, before[key] === undefined ? null : before[key]])),
+    after: Object.fromEntries(changed.map(key => [key, after[key]]))
+  };
+}
+
+function createAuditLog(db) {
+  const getUser = db.prepare('SELECT id, first_name, last_name, company_id FROM users WHERE id = ?');
+  const getCompany = db.prepare('SELECT name FROM companies WHERE id = ?');
+  const insertEntry = db.prepare(`
+    INSERT INTO audit_log (
+      actor_id, actor_name, actor_company_id, actor_anonymous, action,
+      target_type, target_id, target_name, target_company_id, target_anonymous,
+      before_json, after_json, ip_address
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const linkCompany = db.prepare('INSERT OR IGNORE INTO audit_log_companies (entry_id, company_id) VALUES (?, ?)');
+
+  // Record one action. Returns the entry id.
+  //   actorId: the user who acted, or null for the system
+  //   target: { type, id, name, companyId }; name and companyId are looked up for types 'user' and 'company'
+  //   actorAnonymous / targetAnonymous: hide that person from admins of other companies
+  //   companyIds: further companies the entry concerns
+  function record({ action, actorId = null, target, before = null, after = null, actorAnonymous = false,
+    targetAnonymous = false, companyIds = [], ip = null }) {
+    if (!AUDIT_ACTIONS[action]) {
+      throw new Error(`Unknown audit action "${action}"`);
+    }
+
+    const actor = actorId ? getUser.get(actorId) : null;
+    let { name: targetName = null, companyId: targetCompanyId = null } = target;
+    if (target.type === 'user') {
+      const user = getUser.get(target.id);
+      if (user) {
+        targetName = targetName || `${user.first_name} ${user.last_name}`;
+        targetCompanyId = targetCompanyId || user.company_id;
+      }
+    } else if (target.type === 'company') {
+      const company = getCompany.get(target.id);
+      targetName = targetName || (company ? company.name : null);
+      targetCompanyId = targetCompanyId || target.id;
+    }
+
+    const result = insertEntry.run(
+      actorId, actor ? `${actor.first_name} ${actor.last_name}` : 'System', actor ? actor.company_id : null,
+      actorAnonymous ? 1 : 0, action,
+      target.type, target.id === undefined ? null : target.id, targetName, targetCompanyId, targetAnonymous ? 1 : 0,
+      before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, ip
+    );
+
+    [actor && actor.company_id, targetCompanyId, ...companyIds]
+      .filter(companyId => companyId != null)
+      .forEach(companyId => linkCompany.run(result.lastInsertRowid, companyId));
+    return result.lastInsertRowid;
+  }
+
+  // Filters for a company's entries. Search only matches people the viewer may identify.
+  //   filters: { action, actorId, targetUserId, from, to, q }
+  function companyFilters(companyId, viewer, { action, actorId, targetUserId, from, to, q } = {}) {
+    const filters = [{ sql: 'a.id IN (SELECT entry_id FROM audit_log_companies WHERE company_id = ?)', params: [companyId] }];
+    if (action) {
+      // A bare prefix such as "employee" matches every employee action
+      filters.push(action.includes('.')
+        ? { sql: 'a.action = ?', params: [action] }
+        : { sql: 'a.action LIKE ?', params: [`${action}.%`] });
+    }
+    if (actorId) filters.push({ sql: 'a.actor_id = ?', params: [actorId] });
+    if (targetUserId) filters.push({ sql: `a.target_type = 'user' AND a.target_id = ?`, params: [targetUserId] });
+    if (from) filters.push({ sql: 'date(a.created_at) >= ?', params: [from] });
+    if (to) filters.push({ sql: 'date(a.created_at) <= ?', params: [to] });
+
+    const actorSearch = listQuery.searchSql(q, ['a.actor_name']);
+    if (actorSearch) {
+      const actorShown = privacy.identifySql(viewer, { userId: 'a.actor_id', companyId: 'a.actor_company_id' });
+      const targetShown = privacy.identifySql(viewer, { userId: 'a.target_id', companyId: 'a.target_company_id' });
+      const targetSearch = listQuery.searchSql(q, ['a.target_name']);
+      const actionSearch = listQuery.searchSql(q, ['a.action']);
+      filters.push({
+        sql: `((${actionSearch.sql}) OR ((a.actor_anonymous = 0 OR ${actorShown.sql}) AND ${actorSearch.sql})` +
+          ` OR ((a.target_anonymous = 0 OR ${targetShown.sql}) AND ${targetSearch.sql}))`,
+        params: [...actionSearch.params, ...actorShown.params, ...actorSearch.params, ...targetShown.params, ...targetSearch.params]
+      });
+    }
+    return filters;
+  }
+
+  // One page of a company's entries, newest first
+  function companyEntries(companyId, viewer, filters, { limit, cursor }) {
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: 'a.*',
+      from: 'FROM audit_log a',
+      filters: companyFilters(companyId, viewer, filters),
+      sortName: 'newest',
+      sort: AUDIT_SORT,
+      limit,
+      cursor
+    });
+    return { entries: items.map(entry => present(viewer, entry)), total, nextCursor };
+  }
+
+  // Every matching entry, for export
+  function allCompanyEntries(companyId, viewer, filters) {
+    const conditions = companyFilters(companyId, viewer, filters);
+    return db.prepare(`
+      SELECT a.* FROM audit_log a
+      WHERE ${conditions.map(condition => condition.sql).join(' AND ')}
+      ${listQuery.orderBy(AUDIT_SORT)}
+    `).all(...conditions.flatMap(condition => condition.params)).map(entry => present(viewer, entry));
+  }
+
+  // Shape an entry for the viewer, hiding anonymous people they may not identify
+  function present(viewer, entry) {
+    const actorHidden = entry.actor_anonymous &&
+      !privacy.canIdentify(viewer, { id: entry.actor_id, company_id: entry.actor_company_id });
+    const targetHidden = entry.target_anonymous &&
+      !privacy.canIdentify(viewer, { id: entry.target_id, company_id: entry.target_company_id });
+
+    return {
+      id: entry.id,
+      created_at: entry.created_at,
+      action: entry.action,
+      action_label: AUDIT_ACTIONS[entry.action] || entry.action,
+      actor_id: actorHidden ? null : entry.actor_id,
+      actor_name: actorHidden ? privacy.ANONYMOUS_NAME : entry.actor_name,
+      target_type: entry.target_type,
+      target_id: targetHidden ? null : entry.target_id,
+      target_name: targetHidden ? privacy.ANONYMOUS_NAME : entry.target_name,
+      before: entry.before_json ? JSON.parse(entry.before_json) : null,
+      after: entry.after_json ? JSON.parse(entry.after_json) : null,
+      ip_address: entry.ip_address
+    };
+  }
+
+  return { record, companyEntries, allCompanyEntries };
+}
+
+module.exports = { AUDIT_ACTIONS, AUDIT_SORT, diff, createAuditLog };
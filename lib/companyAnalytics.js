@@ -0,0 +1,286 @@
+// Impact analytics for a company's admins.
+//
+// Every series covers a range of UTC dates (both ends included). Time series
+// are split into day, week (starting Monday) or month buckets, each labelled
+// with the date it starts on; every bucket in the range is listed, empty ones
+// included, so charts have no gaps. The first and last buckets only count what
+// happened inside the range.
+//
+// Hours are net of reversals and refunds, dated when they happened, like the
+// all-time company stats. People count toward the company they belong to now.
+//
+// Each series is a list of rows whose keys are its SERIES_COLUMNS, so it can be
+// sent as JSON or CSV alike.
+
+const csv = require('./csv');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Longest range, in buckets, a single query may cover
+const MAX_BUCKETS = 400;
+
+// How far back a range goes when no start date is given
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+const SERIES_COLUMNS = {
+  hours: ['bucket', 'donated', 'received', 'cross_company_given', 'cross_company_received'],
+  participation: ['bucket', 'donors', 'employees', 'participation_rate'],
+  fulfillment: ['bucket', 'fulfilled', 'median_days'],
+  categories: ['category', 'requests', 'fulfilled', 'hours_needed', 'hours_received'],
+  urgencies: ['urgency', 'requests', 'fulfilled', 'hours_needed', 'hours_received'],
+  partners: ['company_id', 'company_name', 'hours_given', 'hours_received', 'donations_given', 'donations_received']
+};
+
+const SERIES = Object.keys(SERIES_COLUMNS);
+
+function parseDate(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+// For each granularity: the SQL for the bucket a timestamp falls in, the
+// bucket a date falls in, and the start of the following bucket
+const BUCKETS = {
+  day: {
+    sql: column => `date(${column})`,
+    start: date => date,
+    next: date => addDays(date, 1)
+  },
+  week: {
+    sql: column => `date(${column}, 'weekday 0', '-6 days')`,
+    start: date => addDays(date, -((date.getUTCDay() + 6) % 7)),
+    next: date => addDays(date, 7)
+  },
+  month: {
+    sql: column => `strftime('%Y-%m-01', ${column})`,
+    start: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    next: date => addMonths(date, 1)
+  }
+};
+
+// The buckets of a range as { bucket, end }, end being the last date of the
+// bucket that falls inside the range. Stops once there are more than MAX_BUCKETS.
+function bucketsOf({ from, to, granularity }) {
+  const { start, next } = BUCKETS[granularity];
+  const last = parseDate(to);
+  const buckets = [];
+  for (let date = start(parseDate(from)); date <= last && buckets.length <= MAX_BUCKETS; date = next(date)) {
+    const end = addDays(next(date), -1);
+    buckets.push({ bucket: formatDate(date), end: formatDate(end < last ? end : last) });
+  }
+  return buckets;
+}
+
+// The start date of the default range ending on `to`
+function defaultFrom(to, granularity) {
+  const { start } = BUCKETS[granularity];
+  let date = start(parseDate(to));
+  for (let i = 1; i < DEFAULT_BUCKETS[granularity]; i++) {
+    // Step back one bucket: the start of the bucket holding the day before this one
+    date = start(addDays(date, -1));
+  }
+  return formatDate(date);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundTo(value, places) {
+  if (value === null) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function createCompanyAnalytics(db, { categories, urgencies }) {
+  // Completed donations touching a company's employees, as donor or recipient
+  const DONATION_FROM = `
+    FROM donations d
+    JOIN users donor ON d.donor_id = donor.id
+    JOIN support_requests sr ON d.request_id = sr.id
+    JOIN users recipient ON sr.user_id = recipient.id
+  `;
+  const countEmployees = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND date(created_at) <= ?');
+
+  // Rows keyed by bucket, filled in for every bucket of the range
+  function fillBuckets(range, rows, empty) {
+    const byBucket = new Map(rows.map(row => [row.bucket, row]));
+    return bucketsOf(range).map(({ bucket, end }) => ({ bucket, ...empty(end), ...byBucket.get(bucket) }));
+  }
+
+  function hours(companyId, range) {
+    const rows = db.prepare(`
+      SELECT ${BUCKETS[range.granularity].sql('d.created_at')} as bucket,
+             SUM(CASE WHEN donor.company_id = ? THEN d.hours ELSE 0 END) as donated,
+             SUM(CASE WHEN recipient.company_id = ? THEN d.hours ELSE 0 END) as received,
+             SUM(CASE WHEN donor.company_id = ? AND recipient.company_id != ? THEN d.hours ELSE 0 END) as cross_company_given,
+             SUM(CASE WHEN recipient.company_id = ? AND donor.company_id != ? THEN d.hours ELSE 0 END) as cross_company_received
+      ${DONATION_FROM}
+      WHERE d.status = 'completed' AND (donor.company_id = ? OR recipient.company_id = ?)
+        AND date(d.created_at) BETWEEN ? AND ?
+      GROUP BY bucket
+    `).all(...Array(8).fill(companyId), range.from, range.to);
+
+    return fillBuckets(range, rows, () => ({ donated: 0, received: 0, cross_company_given: 0, cross_company_received: 0 }));
+  }
+
+  // Employees who donated in each bucket, out of everyone in the company who
+  // had an account by the end of it
+  function participation(companyId, range) {
+    const rows = db.prepare(`
+      SELECT ${BUCKETS[range.granularity].sql('d.created_at')} as bucket, COUNT(DISTINCT d.donor_id) as donors
+      FROM donations d
+      JOIN users donor ON d.donor_id = donor.id
+      WHERE donor.company_id = ? AND d.kind = 'donation' AND d.status = 'completed'
+        AND date(d.created_at) BETWEEN ? AND ?
+      GROUP BY bucket
+    `).all(companyId, range.from, range.to);
+
+    return fillBuckets(range, rows, end => ({ donors: 0, employees: countEmployees.get(companyId, end).count }))
+      .map(row => {
+        // Whoever donated in a bucket was there for it, whatever their account's creation date
+        const employees = Math.max(row.employees, row.donors);
+        return { ...row, employees, participation_rate: employees ? roundTo(row.donors / employees, 3) : 0 };
+      });
+  }
+
+  // Days from posting to fulfillment of the requests fulfilled in the range
+  function fulfillmentDays(companyId, range) {
+    return db.prepare(`
+      SELECT ${BUCKETS[range.granularity].sql('sr.fulfilled_at')} as bucket,
+             julianday(sr.fulfilled_at) - julianday(sr.created_at) as days
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      WHERE u.company_id = ? AND sr.status = 'fulfilled' AND date(sr.fulfilled_at) BETWEEN ? AND ?
+    `).all(companyId, range.from, range.to);
+  }
+
+  function fulfillment(companyId, range) {
+    const days = new Map();
+    fulfillmentDays(companyId, range).forEach(row => {
+      days.set(row.bucket, [...(days.get(row.bucket) || []), row.days]);
+    });
+    return bucketsOf(range).map(({ bucket }) => {
+      const values = days.get(bucket) || [];
+      return { bucket, fulfilled: values.length, median_days: roundTo(median(values), 1) };
+    });
+  }
+
+  // Requests posted in the range, by one of their fields
+  function breakdown(companyId, range, column, values) {
+    const rows = db.prepare(`
+      SELECT sr.${column},
+             COUNT(*) as requests,
+             SUM(CASE WHEN sr.status = 'fulfilled' THEN 1 ELSE 0 END) as fulfilled,
+             SUM(sr.hours_needed) as hours_needed,
+             SUM(sr.hours_received) as hours_received
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      WHERE u.company_id = ? AND sr.status != 'draft' AND date(sr.created_at) BETWEEN ? AND ?
+      GROUP BY sr.${column}
+    `).all(companyId, range.from, range.to);
+
+    const byValue = new Map(rows.map(row => [row[column], row]));
+    return values.map(value => byValue.get(value) || {
+      [column]: value, requests: 0, fulfilled: 0, hours_needed: 0, hours_received: 0
+    });
+  }
+
+  // Hours exchanged with each other company, most first
+  function partners(companyId, range) {
+    return db.prepare(`
+      SELECT partner.id as company_id, partner.name as company_name,
+             SUM(CASE WHEN donor.company_id = ? THEN d.hours ELSE 0 END) as hours_given,
+             SUM(CASE WHEN recipient.company_id = ? THEN d.hours ELSE 0 END) as hours_received,
+             SUM(CASE WHEN donor.company_id = ? AND d.kind = 'donation' THEN 1 ELSE 0 END) as donations_given,
+             SUM(CASE WHEN recipient.company_id = ? AND d.kind = 'donation' THEN 1 ELSE 0 END) as donations_received
+      ${DONATION_FROM}
+      JOIN companies partner ON partner.id = CASE WHEN donor.company_id = ? THEN recipient.company_id ELSE donor.company_id END
+      WHERE d.status = 'completed' AND date(d.created_at) BETWEEN ? AND ?
+        AND ((donor.company_id = ? AND recipient.company_id != ?) OR (recipient.company_id = ? AND donor.company_id != ?))
+      GROUP BY partner.id
+      ORDER BY hours_given + hours_received DESC, partner.name
+    `).all(...Array(5).fill(companyId), range.from, range.to, ...Array(4).fill(companyId));
+  }
+
+  // Totals for the whole range
+  function summary(companyId, range) {
+    const totals = db.prepare(`
+      SELECT COALESCE(SUM(CASE WHEN donor.company_id = ? THEN d.hours END), 0) as donated,
+             COALESCE(SUM(CASE WHEN recipient.company_id = ? THEN d.hours END), 0) as received,
+             COUNT(DISTINCT CASE WHEN donor.company_id = ? AND d.kind = 'donation' THEN d.donor_id END) as donors
+      ${DONATION_FROM}
+      WHERE d.status = 'completed' AND (donor.company_id = ? OR recipient.company_id = ?)
+        AND date(d.created_at) BETWEEN ? AND ?
+    `).get(...Array(5).fill(companyId), range.from, range.to);
+
+    const employees = countEmployees.get(companyId, range.to).count;
+    const days = fulfillmentDays(companyId, range).map(row => row.days);
+
+    return {
+      hoursDonated: totals.donated,
+      hoursReceived: totals.received,
+      donors: totals.donors,
+      employees,
+      participationRate: employees ? roundTo(totals.donors / employees, 3) : 0,
+      requestsFulfilled: days.length,
+      medianDaysToFulfillment: roundTo(median(days), 1)
+    };
+  }
+
+  const series = {
+    hours,
+    participation,
+    fulfillment,
+    categories: (companyId, range) => breakdown(companyId, range, 'category', categories),
+    urgencies: (companyId, range) => breakdown(companyId, range, 'urgency', urgencies),
+    partners
+  };
+
+  // One series by name
+  function getSeries(name, companyId, range) {
+    return series[name](companyId, range);
+  }
+
+  // The summary and every series
+  function report(companyId, range) {
+    const result = { ...range, summary: summary(companyId, range) };
+    SERIES.forEach(name => { result[name] = getSeries(name, companyId, range); });
+    return result;
+  }
+
+  return { getSeries, report };
+}
+
+function toCsv(name, rows) {
+  const columns = SERIES_COLUMNS[name];
+  return csv.stringify(columns, rows.map(row => columns.map(column => row[column])));
+}
+
+module.exports = {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  SERIES,
+  bucketsOf,
+  defaultFrom,
+  toCsv,
+  createCompanyAnalytics
+};
@@ -0,0 +1,217 @@
+// Who may join which company.
+//
+// Company admins verify the email domains their company owns by receiving a
+// code at an address on that domain. A domain can be verified by one company
+// only, and free webmail domains can't be claimed at all.
+//
+// Someone who registers with an address on a verified domain is emailed a link;
+// following it proves they own the address and puts them in that company.
+// Anyone else who picks a company files a join request that the company's admins
+// approve or reject. A user has at most one open request; a new one replaces it.
+//
+// Join request statuses: pending (waiting for an admin), confirm_email (waiting
+// for the emailed link), approved, rejected, cancelled.
+
+const crypto = require('crypto');
+
+const DOMAIN_CODE_TTL_MINUTES = 30;
+const DOMAIN_CODE_MAX_ATTEMPTS = 5;
+const JOIN_CONFIRM_TTL_HOURS = 48;
+
+// Addresses anyone can sign up for prove nothing about an employer
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'mail.com', 'gmx.com', 'proton.me', 'protonmail.com', 'yandex.com', 'zoho.com'
+];
+
+const JOIN_REQUEST_STATUSES = ['pending', 'confirm_email', 'approved', 'rejected', 'cancelled'];
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// The lowercased domain of an email address
+function emailDomain(email) {
+  return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+}
+
+function createCompanyMembership(db, { mailer, appUrl }) {
+  const DOMAIN_SELECT = `
+    SELECT d.id, d.company_id, d.domain, d.status, d.verification_email, d.code_expires_at,
+           d.verified_at, d.created_at, verifier.first_name || ' ' || verifier.last_name as verified_by_name
+    FROM company_domains d
+    LEFT JOIN users verifier ON d.verified_by = verifier.id
+  `;
+  const JOIN_REQUEST_SELECT = `
+    SELECT j.id, j.user_id, j.company_id, j.status, j.expires_at, j.decided_at, j.created_at,
+           u.first_name, u.last_name, u.email, c.name as company_name,
+           decider.first_name || ' ' || decider.last_name as decided_by_name
+    FROM join_requests j
+    JOIN users u ON j.user_id = u.id
+    JOIN companies c ON j.company_id = c.id
+    LEFT JOIN users decider ON j.decided_by = decider.id
+  `;
+
+  // ---- Domains ----
+
+  function listDomains(companyId) {
+    return db.prepare(`${DOMAIN_SELECT} WHERE d.company_id = ? ORDER BY d.domain`).all(companyId);
+  }
+
+  function getDomain(companyId, id) {
+    return db.prepare(`${DOMAIN_SELECT} WHERE d.company_id = ? AND d.id = ?`).get(companyId, id) || null;
+  }
+
+  // The company that verified a domain, or null
+  function domainOwner(domain) {
+    return db.prepare(`
+      SELECT d.company_id, c.name as company_name, d.domain
+      FROM company_domains d JOIN companies c ON d.company_id = c.id
+      WHERE d.domain = ? AND d.status = 'verified'
+    `).get(domain) || null;
+  }
+
+  // The active company whose verified domain an email address is on, or null
+  function companyForEmail(email) {
+    return db.prepare(`
+      SELECT d.company_id, c.name as company_name, d.domain
+      FROM company_domains d JOIN companies c ON d.company_id = c.id
+      WHERE d.domain = ? AND d.status = 'verified' AND c.status = 'active'
+    `).get(emailDomain(email)) || null;
+  }
+
+  // Add a domain (or restart its verification) and return a new code for the
+  // address it is sent to. Must be called inside a transaction.
+  function startVerification({ companyId, domain, email, actorId }) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    db.prepare(`
+      INSERT OR IGNORE INTO company_domains (company_id, domain, added_by) VALUES (?, ?, ?)
+    `).run(companyId, domain, actorId);
+    db.prepare(`
+      UPDATE company_domains
+      SET status = 'pending', verification_email = ?, code_hash = ?, failed_attempts = 0,
+          code_expires_at = datetime('now', ?)
+      WHERE company_id = ? AND domain = ?
+    `).run(email, hashSecret(code), `+${DOMAIN_CODE_TTL_MINUTES} minutes`, companyId, domain);
+    const { id } = db.prepare('SELECT id FROM company_domains WHERE company_id = ? AND domain = ?').get(companyId, domain);
+    return { id, code };
+  }
+
+  // Check a verification code. Returns null once the domain is verified, or the
+  // reason it isn't: NO_CODE, CODE_EXPIRED, TOO_MANY_ATTEMPTS or INVALID_CODE.
+  function verifyDomain(id, code, actorId) {
+    const row = db.prepare(`
+      SELECT code_hash, failed_attempts, code_expires_at > datetime('now') as current
+      FROM company_domains WHERE id = ?
+    `).get(id);
+    if (!row.code_hash) return 'NO_CODE';
+    if (!row.current) return 'CODE_EXPIRED';
+    if (row.failed_attempts >= DOMAIN_CODE_MAX_ATTEMPTS) return 'TOO_MANY_ATTEMPTS';
+
+    if (hashSecret(code) !== row.code_hash) {
+      db.prepare('UPDATE company_domains SET failed_attempts = failed_attempts + 1 WHERE id = ?').run(id);
+      return 'INVALID_CODE';
+    }
+    db.prepare(`
+      UPDATE company_domains
+      SET status = 'verified', code_hash = NULL, code_expires_at = NULL, verified_by = ?, verified_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(actorId, id);
+    return null;
+  }
+
+  function removeDomain(id) {
+    db.prepare('DELETE FROM company_domains WHERE id = ?').run(id);
+  }
+
+  // Email a verification code. Delivery happens in the background; failures are logged.
+  function sendDomainCode({ email, domain, companyName, code }) {
+    mailer.send({
+      to: email,
+      subject: `Your PTO Buddy verification code: ${code}`,
+      text: `Hi,\n\n` +
+        `An admin of ${companyName} on PTO Buddy is verifying that the company owns ${domain}. ` +
+        `Give them this code within ${DOMAIN_CODE_TTL_MINUTES} minutes:\n\n${code}\n\n` +
+        `Once ${domain} is verified, people who sign up with an address on it can join ${companyName} ` +
+        `without waiting for approval. If you don't know about this, you can ignore this email.`
+    }).catch(error => console.error('Domain verification email error:', error));
+  }
+
+  // ---- Join requests ----
+
+  function cancelOpenRequests(userId) {
+    db.prepare(`
+      UPDATE join_requests SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND status IN ('pending', 'confirm_email')
+    `).run(userId);
+  }
+
+  // Ask a company's admins to let a user in. Returns the request id.
+  function requestToJoin({ userId, companyId }) {
+    cancelOpenRequests(userId);
+    return db.prepare('INSERT INTO join_requests (user_id, company_id) VALUES (?, ?)').run(userId, companyId).lastInsertRowid;
+  }
+
+  // Start joining through a verified domain. Returns { id, token } for the emailed link.
+  function requestEmailConfirmation({ userId, companyId }) {
+    cancelOpenRequests(userId);
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = db.prepare(`
+      INSERT INTO join_requests (user_id, company_id, status, token_hash, expires_at)
+      VALUES (?, ?, 'confirm_email', ?, datetime('now', ?))
+    `).run(userId, companyId, hashSecret(token), `+${JOIN_CONFIRM_TTL_HOURS} hours`);
+    return { id: result.lastInsertRowid, token };
+  }
+
+  // A user's open request, or null
+  function openRequestFor(userId) {
+    return db.prepare(`${JOIN_REQUEST_SELECT} WHERE j.user_id = ? AND j.status IN ('pending', 'confirm_email')`).get(userId) || null;
+  }
+
+  function listJoinRequests(companyId, { status } = {}) {
+    return status
+      ? db.prepare(`${JOIN_REQUEST_SELECT} WHERE j.company_id = ? AND j.status = ? ORDER BY j.id DESC`).all(companyId, status)
+      : db.prepare(`${JOIN_REQUEST_SELECT} WHERE j.company_id = ? ORDER BY j.id DESC`).all(companyId);
+  }
+
+  function getJoinRequest(companyId, id) {
+    return db.prepare(`${JOIN_REQUEST_SELECT} WHERE j.company_id = ? AND j.id = ?`).get(companyId, id) || null;
+  }
+
+  // The unexpired request waiting for this emailed token, or null
+  function findByToken(token) {
+    return db.prepare(`
+      ${JOIN_REQUEST_SELECT}
+      WHERE j.token_hash = ? AND j.status = 'confirm_email' AND j.expires_at > datetime('now')
+    `).get(hashSecret(token)) || null;
+  }
+
+  // Close an open request as approved or rejected. Returns false if it was no longer open.
+  function decide(id, status, deciderId = null) {
+    return db.prepare(`
+      UPDATE join_requests SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, token_hash = NULL
+      WHERE id = ? AND status IN ('pending', 'confirm_email')
+    `).run(status, deciderId, id).changes > 0;
+  }
+
+  // Email the link that confirms a verified-domain address. Failures are logged.
+  function sendJoinConfirmation({ email, firstName, companyName, token }) {
+    mailer.send({
+      to: email,
+      subject: `Confirm your email to join ${companyName} on PTO Buddy`,
+      text: `Hi ${firstName},\n\n` +
+        `Your email address is on a domain verified by ${companyName}. Use the link below within ` +
+        `${JOIN_CONFIRM_TTL_HOURS} hours to confirm it's yours and join ${companyName}:\n\n` +
+        `${appUrl}/dashboard.html?joinToken=${token}\n\n` +
+        `If you didn't sign up for PTO Buddy, you can ignore this email.`
+    }).catch(error => console.error('Join confirmation email error:', error));
+  }
+
+  return {
+    listDomains, getDomain, domainOwner, companyForEmail, startVerification, verifyDomain, removeDomain, sendDomainCode,
+    cancelOpenRequests, requestToJoin, requestEmailConfirmation, openRequestFor, listJoinRequests, getJoinRequest,
+    findByToken, decide, sendJoinConfirmation
+  };
+}
+
+module.exports = { FREE_EMAIL_DOMAINS, JOIN_REQUEST_STATUSES, emailDomain, createCompanyMembership };
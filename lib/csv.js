@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reading and writing.
+//
+// Quoted fields may contain commas, quotes ("") and line breaks. Written cells
+// that a spreadsheet would treat as a formula are prefixed with a quote.
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a byte-order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Format a header row and data rows (arrays of values) as CSV text
+function stringify(header, rows) {
+  return [header, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,268 @@
+// Recurring donation pledges.
+//
+// A pledge promises a number of hours every week, month or quarter, from its
+// start date until its end date (if it has one). Each time a pledge falls due
+// the scheduler gives its hours to the most urgent active requests the donor
+// may see (oldest first among equally urgent ones), optionally only requests
+// in the pledge's categories or from one company. Every donation goes through
+// the same checks and transaction as one made from the dashboard.
+//
+// A pledge the donor can't afford when it falls due (their balance, their
+// company's policy or their company's status stands in the way) is skipped for
+// that period and the donor is told. Each time a pledge falls due is recorded
+// as a run:
+//   given            all of the pledged hours were donated
+//   partial          some were, then the donor ran out or requests did
+//   skipped          the donor couldn't give any of them
+//   nothing_to_fund  no eligible request needed hours
+//
+// A pledge that fell behind (say the server was down) runs once for the
+// periods it missed rather than once for each of them.
+
+const privacy = require('./privacy');
+
+const PLEDGE_PERIODS = ['week', 'month', 'quarter'];
+const PLEDGE_STATUSES = ['active', 'paused', 'cancelled', 'ended'];
+const RUN_STATUSES = ['given', 'partial', 'skipped', 'nothing_to_fund'];
+
+// Donation problems that stop a run: the donor can't give right now, whichever
+// request the hours go to. Anything else only rules out one request.
+const DONOR_PROBLEMS = [
+  'INSUFFICIENT_BALANCE',
+  'MIN_BALANCE_REQUIRED',
+  'ANNUAL_DONATION_LIMIT',
+  'COMPANY_PENDING',
+  'COMPANY_SUSPENDED',
+  'COMPANY_MERGED'
+];
+
+// Requests considered per run
+const MAX_REQUESTS_PER_RUN = 50;
+
+const MONTHS_PER_PERIOD = { month: 1, quarter: 3 };
+
+function parseDate(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// The nth date a pledge starting on startDate falls due (the start date is the
+// 0th). Monthly dates past the end of a shorter month fall on its last day.
+function dueDate(startDate, period, n) {
+  const start = parseDate(startDate);
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() + 7 * n);
+    return formatDate(start);
+  }
+
+  const month = start.getUTCMonth() + MONTHS_PER_PERIOD[period] * n;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay))));
+}
+
+// The first due date on or after a date, as { periodsRun, dueOn }
+function firstDueOnOrAfter(pledge, date) {
+  let n = pledge.periods_run;
+  while (dueDate(pledge.start_date, pledge.period, n) < date) n++;
+  return { periodsRun: n, dueOn: dueDate(pledge.start_date, pledge.period, n) };
+}
+
+function presentPledge(row) {
+  return {
+    ...row,
+    categories: row.categories ? row.categories.split(',') : [],
+    is_anonymous: !!row.is_anonymous
+  };
+}
+
+function createDonationPledges(db, { donate, events }) {
+  const PLEDGE_SELECT = `
+    SELECT p.*, c.name as company_name,
+           (SELECT COALESCE(SUM(r.hours_given), 0) FROM pledge_runs r WHERE r.pledge_id = p.id) as hours_given
+    FROM donation_pledges p
+    LEFT JOIN companies c ON p.company_id = c.id
+  `;
+  const getDonor = db.prepare(`
+    SELECT id, first_name, last_name, company_id, is_company_admin, is_platform_admin, available_pto_hours
+    FROM users WHERE id = ?
+  `);
+  const insertRun = db.prepare(`
+    INSERT INTO pledge_runs (pledge_id, due_on, status, hours_given, donations, reason_code, reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  function recentRuns(pledgeId, limit = 5) {
+    return db.prepare('SELECT * FROM pledge_runs WHERE pledge_id = ? ORDER BY id DESC LIMIT ?').all(pledgeId, limit);
+  }
+
+  // A user's pledges, current ones first, each with its latest runs
+  function listPledges(userId) {
+    return db.prepare(`
+      ${PLEDGE_SELECT}
+      WHERE p.user_id = ?
+      ORDER BY CASE WHEN p.status IN ('active', 'paused') THEN 0 ELSE 1 END, p.id DESC
+    `).all(userId).map(row => ({ ...presentPledge(row), runs: recentRuns(row.id) }));
+  }
+
+  function getPledge(userId, id) {
+    const row = db.prepare(`${PLEDGE_SELECT} WHERE p.user_id = ? AND p.id = ?`).get(userId, id);
+    return row ? presentPledge(row) : null;
+  }
+
+  // Returns the new pledge's id
+  function createPledge({ userId, hours, period, categories, companyId, message, anonymous, startDate, endDate }) {
+    return db.prepare(`
+      INSERT INTO donation_pledges (
+        user_id, hours, period, categories, company_id, message, is_anonymous, start_date, end_date, next_due_on
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId, hours, period, categories.length > 0 ? categories.join(',') : null, companyId,
+      message, anonymous ? 1 : 0, startDate, endDate, startDate
+    ).lastInsertRowid;
+  }
+
+  // Change what a pledge gives and where, pause it or resume it. A resumed
+  // pledge next falls due on its first due date from today, so it doesn't make
+  // up for the periods it was paused.
+  function updatePledge(pledge, changes, today) {
+    const next = { ...pledge, ...changes };
+    let { periods_run: periodsRun, next_due_on: nextDueOn } = pledge;
+    if (pledge.status === 'paused' && next.status === 'active') {
+      ({ periodsRun, dueOn: nextDueOn } = firstDueOnOrAfter(pledge, today));
+    }
+
+    db.prepare(`
+      UPDATE donation_pledges
+      SET hours = ?, categories = ?, company_id = ?, message = ?, is_anonymous = ?, end_date = ?, status = ?,
+          periods_run = ?, next_due_on = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      next.hours, next.categories.length > 0 ? next.categories.join(',') : null, next.company_id, next.message,
+      next.is_anonymous ? 1 : 0, next.end_date, next.status, periodsRun, nextDueOn, pledge.id
+    );
+  }
+
+  function cancelPledge(id) {
+    db.prepare(`
+      UPDATE donation_pledges SET status = 'cancelled', next_due_on = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(id);
+  }
+
+  // Active requests a pledge may give to, most urgent first, with what each still needs
+  function eligibleRequests(donor, pledge) {
+    const visible = privacy.viewRequestSql(donor, { userId: 'sr.user_id', companyId: 'u.company_id', visibility: 'sr.visibility' });
+    const filters = [visible];
+    const categories = pledge.categories;
+    if (categories.length > 0) {
+      filters.push({ sql: `sr.category IN (${categories.map(() => '?').join(', ')})`, params: categories });
+    }
+    if (pledge.company_id != null) {
+      filters.push({ sql: 'u.company_id = ?', params: [pledge.company_id] });
+    }
+
+    return db.prepare(`
+      SELECT sr.id, sr.hours_needed - sr.hours_received - sr.hours_matched as remaining
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE sr.status = 'active' AND sr.user_id != ? AND (c.id IS NULL OR c.status = 'active')
+        AND sr.hours_needed - sr.hours_received - sr.hours_matched > 0
+        AND ${filters.map(filter => filter.sql).join(' AND ')}
+      ORDER BY CASE sr.urgency WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, sr.created_at, sr.id
+      LIMIT ?
+    `).all(donor.id, ...filters.flatMap(filter => filter.params), MAX_REQUESTS_PER_RUN);
+  }
+
+  // Give a pledge's hours for one period. Returns { status, hoursGiven, donations, code, reason }.
+  function givePledge(pledge) {
+    const donor = getDonor.get(pledge.user_id);
+    if (donor.available_pto_hours < pledge.hours) {
+      return {
+        status: 'skipped', hoursGiven: 0, donations: 0, code: 'INSUFFICIENT_BALANCE',
+        reason: `You had ${donor.available_pto_hours} PTO hours available, fewer than the ${pledge.hours} pledged`
+      };
+    }
+
+    let left = pledge.hours;
+    let donations = 0;
+    let stopped = null;
+    for (const request of eligibleRequests(donor, pledge)) {
+      if (left === 0) break;
+      const hours = Math.min(left, request.remaining);
+      const result = donate(donor, {
+        requestId: request.id,
+        hours,
+        message: pledge.message,
+        anonymous: pledge.is_anonymous,
+        pledgeId: pledge.id
+      });
+      if (result.problem) {
+        if (DONOR_PROBLEMS.includes(result.problem.code)) {
+          stopped = result.problem;
+          break;
+        }
+        continue;
+      }
+      left -= hours;
+      donations++;
+    }
+
+    const hoursGiven = pledge.hours - left;
+    if (left === 0) return { status: 'given', hoursGiven, donations, code: null, reason: null };
+
+    const code = stopped ? stopped.code : 'NO_ELIGIBLE_REQUESTS';
+    const reason = stopped ? stopped.error : 'No request you can give to needed more hours';
+    const status = hoursGiven > 0 ? 'partial' : stopped ? 'skipped' : 'nothing_to_fund';
+    return { status, hoursGiven, donations, code, reason };
+  }
+
+  // Run every pledge due on or before today (YYYY-MM-DD) and end those past
+  // their end date. Returns the runs as { pledgeId, userId, ...outcome }.
+  function runDuePledges(today) {
+    const due = db.prepare(`
+      ${PLEDGE_SELECT}
+      WHERE p.status = 'active' AND p.next_due_on <= ? AND (p.end_date IS NULL OR p.next_due_on <= p.end_date)
+      ORDER BY p.next_due_on, p.id
+    `).all(today).map(presentPledge);
+
+    // The period after a run starts after today, whatever it missed
+    const tomorrow = parseDate(today);
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+    const runs = [];
+    due.forEach(pledge => {
+      try {
+        const outcome = db.transaction(() => {
+          const result = givePledge(pledge);
+          insertRun.run(pledge.id, pledge.next_due_on, result.status, result.hoursGiven, result.donations, result.code, result.reason);
+
+          const next = firstDueOnOrAfter({ ...pledge, periods_run: pledge.periods_run + 1 }, formatDate(tomorrow));
+          db.prepare(`
+            UPDATE donation_pledges SET periods_run = ?, next_due_on = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+          `).run(next.periodsRun, next.dueOn, pledge.id);
+          events.publish('pledge.run', { pledgeId: pledge.id, userId: pledge.user_id, hours: pledge.hours, ...result });
+          return result;
+        })();
+        runs.push({ pledgeId: pledge.id, userId: pledge.user_id, ...outcome });
+      } catch (error) {
+        // Leave the pledge due so the next run tries it again
+        console.error(`Pledge ${pledge.id} run error:`, error);
+      }
+    });
+
+    // Pledges with no due date left before their end date are over
+    db.prepare(`
+      UPDATE donation_pledges SET status = 'ended', next_due_on = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('active', 'paused') AND end_date IS NOT NULL AND (end_date < ? OR next_due_on > end_date)
+    `).run(today);
+
+    return runs;
+  }
+
+  return { listPledges, getPledge, createPledge, updatePledge, cancelPledge, eligibleRequests, runDuePledges };
+}
+
+module.exports = { PLEDGE_PERIODS, PLEDGE_STATUSES, RUN_STATUSES, dueDate, createDonationPledges };
@@ -0,0 +1,96 @@
+// Company donation policies.
+//
+// Policies are evaluated on every donation and support request. Each check
+// returns null when the action is allowed, or a { code, reason } violation
+// that the API hands back to the client as-is.
+
+const REQUEST_CATEGORIES = ['medical', 'family', 'bereavement', 'emergency', 'parental', 'other'];
+
+// Applied to users without a company and companies that never saved a policy
+const DEFAULT_POLICY = {
+  allow_cross_company_giving: false,
+  allow_cross_company_receiving: false,
+  max_donation_hours_per_year: null,
+  min_donor_balance_hours: null,
+  max_hours_per_request: null,
+  max_hours_received_per_request: null,
+  eligible_categories: REQUEST_CATEGORIES
+};
+
+function violation(code, reason) {
+  return { code, reason };
+}
+
+// Check a new or edited support request against the requester's company policy
+function evaluateRequest({ policy, hoursNeeded, category }) {
+  if (!policy) return null;
+
+  if (!policy.eligible_categories.includes(category)) {
+    return violation('CATEGORY_NOT_ELIGIBLE', `Your company does not accept ${category} requests`);
+  }
+
+  if (policy.max_hours_per_request != null && hoursNeeded > policy.max_hours_per_request) {
+    return violation('REQUEST_HOURS_LIMIT', `Your company allows at most ${policy.max_hours_per_request} hours per request`);
+  }
+
+  return null;
+}
+
+// Check a donation against both the donor's and the recipient's company policies.
+// A party without a company (policy null) is held to DEFAULT_POLICY, and a
+// donation to or from one is always cross-company.
+//   donor:               { company_id, available_pto_hours }
+//   recipient:           { company_id }
+//   request:             { category, hours_received }
+//   donatedThisYear:     hours the donor has already given this calendar year
+function evaluateDonation({ donor, donorPolicy, recipient, recipientPolicy, request, hours, donatedThisYear }) {
+  const crossCompany = donor.company_id == null || recipient.company_id == null ||
+    donor.company_id !== recipient.company_id;
+  const giving = donorPolicy || DEFAULT_POLICY;
+  const receiving = recipientPolicy || DEFAULT_POLICY;
+
+  if (crossCompany && !giving.allow_cross_company_giving) {
+    return violation('CROSS_COMPANY_GIVING_DISABLED', donor.company_id == null
+      ? 'Join your company to donate PTO'
+      : 'Your company does not allow donations to other companies');
+  }
+
+  if (crossCompany && !receiving.allow_cross_company_receiving) {
+    return violation('CROSS_COMPANY_RECEIVING_DISABLED', recipient.company_id == null
+      ? 'The recipient does not belong to a company that accepts donations'
+      : "The recipient's company does not accept donations from other companies");
+  }
+
+  if (giving.max_donation_hours_per_year != null &&
+      donatedThisYear + hours > giving.max_donation_hours_per_year) {
+    const remaining = Math.max(0, giving.max_donation_hours_per_year - donatedThisYear);
+    return violation('ANNUAL_DONATION_LIMIT',
+      `Your company allows ${giving.max_donation_hours_per_year} donated hours per year; you can give ${remaining} more this year`);
+  }
+
+  if (giving.min_donor_balance_hours != null &&
+      donor.available_pto_hours - hours < giving.min_donor_balance_hours) {
+    return violation('MIN_BALANCE_REQUIRED',
+      `Your company requires you to keep at least ${giving.min_donor_balance_hours} PTO hours after donating`);
+  }
+
+  if (!receiving.eligible_categories.includes(request.category)) {
+    return violation('CATEGORY_NOT_ELIGIBLE', `The recipient's company does not accept ${request.category} requests`);
+  }
+
+  if (receiving.max_hours_received_per_request != null &&
+      request.hours_received + hours > receiving.max_hours_received_per_request) {
+    const remaining = Math.max(0, receiving.max_hours_received_per_request - request.hours_received);
+    return violation('REQUEST_RECEIVE_CAP',
+      `This request can receive at most ${remaining} more hours under the recipient's company policy`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  REQUEST_CATEGORIES,
+  DEFAULT_POLICY,
+  evaluateRequest,
+  evaluateDonation
+};
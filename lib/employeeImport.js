@@ -0,0 +1,178 @@
+// Bulk employee import from a roster CSV.
+//
+// Every row is validated, and checked for duplicates within the file and
+// against existing accounts, before anything is written. The API returns the
+// result as a preview and only imports a file in which every row is valid.
+// Field values are checked with the caller's validation rules, the same ones
+// the account forms use, so an import can't store what a form would refuse.
+
+const csv = require('./csv');
+
+const MAX_ROWS = 1000;
+const USERNAME_MIN = 3;
+const USERNAME_MAX = 50;
+
+// Header names accepted for each field (compared lowercased, spaces as underscores)
+const COLUMN_ALIASES = {
+  name: ['name', 'full_name'],
+  first_name: ['first_name', 'firstname', 'first'],
+  last_name: ['last_name', 'lastname', 'last', 'surname'],
+  email: ['email', 'email_address'],
+  phone: ['phone', 'phone_number'],
+  username: ['username'],
+  pto_balance: ['pto_balance', 'pto_hours', 'available_pto_hours', 'balance'],
+  can_donate: ['can_donate', 'donor']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Map each field to its column index, or undefined when the file lacks it
+function mapColumns(headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+  return columns;
+}
+
+function missingColumns(columns) {
+  const missing = [];
+  if (columns.name === undefined && (columns.first_name === undefined || columns.last_name === undefined)) {
+    missing.push('first_name and last_name (or name)');
+  }
+  if (columns.email === undefined) missing.push('email');
+  if (columns.phone === undefined) missing.push('phone');
+  return missing;
+}
+
+// Suggest a username from the email address, numbering it until it's free.
+// Short local parts are padded and long ones cut so the suggestion is a valid username.
+function suggestUsername(email, isTaken) {
+  const local = email.split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '');
+  const base = (local.length >= USERNAME_MIN ? local : `${local}employee`).slice(0, USERNAME_MAX - 5);
+  let candidate = base;
+  for (let n = 2; isTaken(candidate); n++) {
+    candidate = `${base}${n}`;
+  }
+  return candidate;
+}
+
+// Validate a roster CSV.
+//   emailExists(email), usernameExists(username): lookups against existing users
+//   fields: validation rules for first_name, last_name, email, phone, username and pto_balance
+// Returns { error } when the file itself is unusable, otherwise
+// { rows: [{ line, first_name, last_name, email, phone, username, pto_balance, can_donate, errors }], summary }
+function buildPreview(text, { emailExists, usernameExists, fields }) {
+  let table;
+  try {
+    table = csv.parse(text).filter(row => row.some(cell => cell.trim() !== ''));
+  } catch (error) {
+    return { error: `Could not read the CSV file: ${error.message}` };
+  }
+
+  if (table.length < 2) {
+    return { error: 'The file needs a header row and at least one employee' };
+  }
+  if (table.length - 1 > MAX_ROWS) {
+    return { error: `Import at most ${MAX_ROWS} employees per file` };
+  }
+
+  const columns = mapColumns(table[0]);
+  const missing = missingColumns(columns);
+  if (missing.length > 0) {
+    return { error: `Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+  }
+
+  const cell = (row, field) => (columns[field] === undefined ? '' : (row[columns[field]] || '').trim());
+  const emailsSeen = new Map();
+  const usernamesSeen = new Map();
+
+  // Explicit usernames are claimed first so generated ones never collide with them
+  table.slice(1).forEach((row, index) => {
+    const username = cell(row, 'username').toLowerCase();
+    if (username && !usernamesSeen.has(username)) usernamesSeen.set(username, index + 2);
+  });
+
+  const rows = table.slice(1).map((row, index) => {
+    const line = index + 2;
+    const errors = [];
+
+    // The cleaned value, or null with the rule's message added to the row's errors
+    const check = (field, value) => {
+      const result = fields[field].apply(value, field);
+      if (result.problem) {
+        errors.push(result.problem.message);
+        return null;
+      }
+      return result.value;
+    };
+
+    let firstName = cell(row, 'first_name');
+    let lastName = cell(row, 'last_name');
+    if (!firstName && !lastName && cell(row, 'name')) {
+      const parts = cell(row, 'name').split(/\s+/);
+      firstName = parts.shift();
+      lastName = parts.join(' ');
+    }
+    check('first_name', firstName || '');
+    check('last_name', lastName || '');
+
+    const email = cell(row, 'email').toLowerCase();
+    if (check('email', email) !== null) {
+      if (emailsSeen.has(email)) {
+        errors.push(`Email is a duplicate of line ${emailsSeen.get(email)}`);
+      } else if (emailExists(email)) {
+        errors.push('A user with this email already exists');
+      }
+    }
+    if (email && !emailsSeen.has(email)) emailsSeen.set(email, line);
+
+    const phone = cell(row, 'phone');
+    check('phone', phone);
+
+    let username = cell(row, 'username').toLowerCase();
+    if (username) {
+      if (check('username', username) !== null) {
+        if (usernamesSeen.get(username) !== line) {
+          errors.push(`Username is a duplicate of line ${usernamesSeen.get(username)}`);
+        } else if (usernameExists(username)) {
+          errors.push('Username is already taken');
+        }
+      }
+    } else if (email) {
+      username = suggestUsername(email, name => usernamesSeen.has(name) || usernameExists(name));
+      usernamesSeen.set(username, line);
+    }
+
+    const ptoBalance = check('pto_balance', cell(row, 'pto_balance'));
+
+    const canDonateText = cell(row, 'can_donate').toLowerCase();
+    if (!TRUE_VALUES.includes(canDonateText) && !FALSE_VALUES.includes(canDonateText)) {
+      errors.push('can_donate must be yes or no');
+    }
+
+    return {
+      line,
+      first_name: firstName,
+      last_name: lastName,
+      email,
+      phone,
+      username,
+      pto_balance: ptoBalance === null ? 0 : ptoBalance,
+      can_donate: TRUE_VALUES.includes(canDonateText),
+      errors
+    };
+  });
+
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+  return { rows, summary: { total: rows.length, valid: rows.length - invalid, invalid } };
+}
+
+module.exports = { MAX_ROWS, buildPreview };
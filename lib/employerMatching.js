@@ -0,0 +1,212 @@
+// Employer matching of donated hours.
+//
+// A company with an enabled matching program adds hours of its own to each
+// donation its employees make: match_percent of the donated hours (100 for an
+// hour per hour, 50 for one per two), rounded down to whole hours. A match is
+// limited by the program's per-request cap (hours the company matches on any
+// one request), its annual budget (hours matched per calendar year), the
+// company's pool balance and what the request still needs.
+//
+// Matched hours come out of the company's PTO pool, which its admins fund and
+// withdraw from. The pool is an append-only ledger like the PTO ledger, and
+// each match is an entry tied to the donation it matched. When hours of a
+// donation are reversed or refunded, the same share of its match goes back to
+// the pool.
+//
+// A request's matched hours are kept in support_requests.hours_matched, apart
+// from the donated hours_received; both count toward its need.
+
+const POOL_ENTRY_TYPES = ['fund', 'withdraw', 'match', 'match_return', 'merge'];
+
+// Applied to companies that never saved a program
+const DEFAULT_PROGRAM = {
+  enabled: false,
+  match_percent: 100,
+  annual_budget_hours: null,
+  max_hours_per_request: null
+};
+
+// Net matched hours (matches less returns) in a pool ledger query
+const MATCHED_HOURS_SQL = `COALESCE(-SUM(CASE WHEN entry_type IN ('match', 'match_return') THEN hours END), 0)`;
+
+// How many hours a program matches on a donation of `hours`, given what the
+// pool holds and has already matched
+function matchFor({ program, hours, poolBalance, matchedThisYear, matchedOnRequest, remainingNeed }) {
+  if (!program.enabled) return 0;
+
+  const limits = [Math.floor(hours * program.match_percent / 100), poolBalance, remainingNeed];
+  if (program.annual_budget_hours != null) limits.push(program.annual_budget_hours - matchedThisYear);
+  if (program.max_hours_per_request != null) limits.push(program.max_hours_per_request - matchedOnRequest);
+  return Math.max(0, Math.min(...limits));
+}
+
+function createEmployerMatching(db, { ledger }) {
+  const insertEntry = db.prepare(`
+    INSERT INTO company_pool_ledger (company_id, entry_type, hours, balance_after, donation_id, request_id, actor_id, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const currentBalance = db.prepare('SELECT COALESCE(SUM(hours), 0) as balance FROM company_pool_ledger WHERE company_id = ?');
+
+  function getProgram(companyId) {
+    const row = db.prepare('SELECT * FROM company_matching_programs WHERE company_id = ?').get(companyId);
+    if (!row) return { ...DEFAULT_PROGRAM };
+    return {
+      enabled: !!row.enabled,
+      match_percent: row.match_percent,
+      annual_budget_hours: row.annual_budget_hours,
+      max_hours_per_request: row.max_hours_per_request
+    };
+  }
+
+  function saveProgram(companyId, program, actorId) {
+    db.prepare(`
+      INSERT INTO company_matching_programs (
+        company_id, enabled, match_percent, annual_budget_hours, max_hours_per_request, updated_by, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(company_id) DO UPDATE SET
+        enabled = excluded.enabled,
+        match_percent = excluded.match_percent,
+        annual_budget_hours = excluded.annual_budget_hours,
+        max_hours_per_request = excluded.max_hours_per_request,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      companyId,
+      program.enabled ? 1 : 0,
+      program.match_percent,
+      program.annual_budget_hours,
+      program.max_hours_per_request,
+      actorId
+    );
+  }
+
+  // Record a signed pool entry; returns the entry id
+  const post = db.transaction(({ companyId, type, hours, donationId = null, requestId = null, actorId = null, note = null }) => {
+    if (!POOL_ENTRY_TYPES.includes(type)) {
+      throw new Error(`Unknown pool entry type "${type}"`);
+    }
+    if (!Number.isFinite(hours) || hours === 0) {
+      throw new Error('Pool entries need a non-zero number of hours');
+    }
+
+    const balanceAfter = currentBalance.get(companyId).balance + hours;
+    return insertEntry.run(companyId, type, hours, balanceAfter, donationId, requestId, actorId, note).lastInsertRowid;
+  });
+
+  function poolBalance(companyId) {
+    return currentBalance.get(companyId).balance;
+  }
+
+  // Hours matched this calendar year, net of returns
+  function matchedThisYear(companyId) {
+    return Math.max(0, db.prepare(`
+      SELECT ${MATCHED_HOURS_SQL} as hours FROM company_pool_ledger
+      WHERE company_id = ? AND strftime('%Y', created_at) = strftime('%Y', 'now')
+    `).get(companyId).hours);
+  }
+
+  // Pool entries newest first, with who made them and the request they matched
+  function poolEntries(companyId, limit = 50) {
+    return db.prepare(`
+      SELECT p.id, p.entry_type, p.hours, p.balance_after, p.donation_id, p.request_id, p.note, p.created_at,
+             actor.first_name || ' ' || actor.last_name as actor_name
+      FROM company_pool_ledger p
+      LEFT JOIN users actor ON p.actor_id = actor.id
+      WHERE p.company_id = ?
+      ORDER BY p.id DESC
+      LIMIT ?
+    `).all(companyId, limit);
+  }
+
+  // The program, the pool and what has been matched, for the company's admins
+  function summary(companyId) {
+    const program = getProgram(companyId);
+    const thisYear = matchedThisYear(companyId);
+    const total = db.prepare(`SELECT ${MATCHED_HOURS_SQL} as hours FROM company_pool_ledger WHERE company_id = ?`).get(companyId);
+    return {
+      program,
+      poolBalance: poolBalance(companyId),
+      matchedThisYear: thisYear,
+      matchedTotal: total.hours,
+      budgetRemaining: program.annual_budget_hours == null ? null : Math.max(0, program.annual_budget_hours - thisYear)
+    };
+  }
+
+  // Match a donation from the donor's company pool. Call inside the donation's
+  // transaction, with the request as it stands after the donation. Returns the
+  // hours matched.
+  function matchDonation({ donationId, companyId, request, hours, companyName }) {
+    const program = getProgram(companyId);
+    if (!program.enabled) return 0;
+
+    const matchedOnRequest = db.prepare(`
+      SELECT ${MATCHED_HOURS_SQL} as hours FROM company_pool_ledger WHERE company_id = ? AND request_id = ?
+    `).get(companyId, request.id).hours;
+
+    const matched = matchFor({
+      program,
+      hours,
+      poolBalance: poolBalance(companyId),
+      matchedThisYear: matchedThisYear(companyId),
+      matchedOnRequest,
+      remainingNeed: request.hours_needed - request.hours_received - request.hours_matched
+    });
+    if (matched === 0) return 0;
+
+    const refs = { donationId, requestId: request.id, note: `Matched by ${companyName}` };
+    post({ ...refs, companyId, type: 'match', hours: -matched });
+    ledger.post({ ...refs, userId: request.user_id, type: 'employer_match', hours: matched });
+    db.prepare('UPDATE support_requests SET hours_matched = hours_matched + ? WHERE id = ?').run(matched, request.id);
+    return matched;
+  }
+
+  // The part of a donation's match that goes back to the pool when the donation
+  // is left with remainingHours of its original hours: { companyId, hours }, or
+  // null when nothing goes back.
+  function matchToReturn(donation, remainingHours) {
+    const match = db.prepare(`
+      SELECT company_id,
+             COALESCE(-SUM(CASE WHEN entry_type = 'match' THEN hours END), 0) as matched,
+             ${MATCHED_HOURS_SQL} as outstanding
+      FROM company_pool_ledger
+      WHERE donation_id = ? AND entry_type IN ('match', 'match_return')
+      GROUP BY company_id
+    `).get(donation.id);
+    if (!match) return null;
+
+    const kept = Math.floor(match.matched * remainingHours / donation.hours);
+    const hours = match.outstanding - kept;
+    return hours > 0 ? { companyId: match.company_id, hours } : null;
+  }
+
+  // Give back a reversed donation's share of its match. Must be called inside
+  // the reversal's transaction. Returns the hours returned to the pool.
+  function returnMatch({ donation, remainingHours, requesterId, actorId = null }) {
+    const share = matchToReturn(donation, remainingHours);
+    if (!share) return 0;
+
+    const refs = { donationId: donation.id, requestId: donation.request_id, actorId, note: 'Match returned with the donation' };
+    post({ ...refs, companyId: share.companyId, type: 'match_return', hours: share.hours });
+    ledger.post({ ...refs, userId: requesterId, type: 'employer_match', hours: -share.hours });
+    db.prepare('UPDATE support_requests SET hours_matched = hours_matched - ? WHERE id = ?').run(share.hours, donation.request_id);
+    return share.hours;
+  }
+
+  // Move a merged company's pool into the company it merged into. Must be called
+  // inside the merge's transaction. Returns the hours moved.
+  function movePool(sourceId, targetId, actorId) {
+    const hours = poolBalance(sourceId);
+    if (hours <= 0) return 0;
+
+    post({ companyId: sourceId, type: 'merge', hours: -hours, actorId, note: 'Moved to the company this one merged into' });
+    post({ companyId: targetId, type: 'merge', hours, actorId, note: 'Moved from a merged company' });
+    return hours;
+  }
+
+  return {
+    getProgram, saveProgram, post, poolBalance, matchedThisYear, poolEntries, summary,
+    matchDonation, matchToReturn, returnMatch, movePool
+  };
+}
+
+module.exports = { POOL_ENTRY_TYPES, DEFAULT_PROGRAM, MATCHED_HOURS_SQL, matchFor, createEmployerMatching };
@@ -0,0 +1,57 @@
+// In-process domain events.
+//
+// Routes publish what happened (a donation was made, a request changed
+// status, an employee was added); subscribers such as notifications react to
+// it without the routes knowing about them. Handlers run synchronously, so
+// anything they write joins the caller's transaction, and a failing handler is
+// logged rather than undoing the action that published the event.
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'donation.created',
+  'donation.reversed',
+  'pledge.run',
+  'message.posted',
+  'message.reported',
+  'request.created',
+  'request.status_changed',
+  'employee.added',
+  'employee.updated',
+  'employee.removed',
+  'account.deletion_requested',
+  'join_request.created',
+  'join_request.rejected',
+  'company.status_changed',
+  'company.merged'
+];
+
+function createEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(50);
+
+  function publish(type, payload) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+    emitter.emit(type, payload);
+    emitter.emit('*', { type, payload });
+  }
+
+  // Pass '*' to receive every event as { type, payload }
+  function subscribe(type, handler) {
+    const safeHandler = payload => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Event handler error (${type}):`, error);
+      }
+    };
+    emitter.on(type, safeHandler);
+    return () => emitter.off(type, safeHandler);
+  }
+
+  return { publish, subscribe };
+}
+
+module.exports = { EVENT_TYPES, createEventBus };
@@ -0,0 +1,123 @@
+// Emailed invitations to join a company.
+//
+// An admin invites an email address; the invitee follows the emailed link to
+// accept-invite.html, where they either create an account with their own
+// username and password or sign in to an account they already have, and join
+// the company. Only a hash of the token is stored. Each address has at most one
+// pending invitation per company: inviting it again, or resending, replaces the
+// token and restarts the expiry, so older links stop working. A pending
+// invitation past its expiry is reported as 'expired' and can be resent.
+
+const crypto = require('crypto');
+
+const INVITATION_STATUSES = ['pending', 'expired', 'accepted', 'revoked'];
+
+const INVITATION_SELECT = `
+  SELECT
+    i.id, i.company_id, i.email, i.can_donate, i.pto_hours, i.invited_by, i.expires_at, i.sent_count,
+    i.last_sent_at, i.accepted_user_id, i.accepted_at, i.revoked_at, i.created_at,
+    CASE WHEN i.status = 'pending' AND i.expires_at <= datetime('now') THEN 'expired' ELSE i.status END as status,
+    c.name as company_name,
+    inviter.first_name || ' ' || inviter.last_name as invited_by_name,
+    accepted.first_name || ' ' || accepted.last_name as accepted_user_name
+  FROM company_invitations i
+  JOIN companies c ON i.company_id = c.id
+  LEFT JOIN users inviter ON i.invited_by = inviter.id
+  LEFT JOIN users accepted ON i.accepted_user_id = accepted.id
+`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createInvitations(db, { mailer, appUrl, ttlDays }) {
+  const ttl = `+${ttlDays} days`;
+
+  const getById = db.prepare(`${INVITATION_SELECT} WHERE i.id = ? AND i.company_id = ?`);
+  const getPending = db.prepare(`SELECT id FROM company_invitations WHERE company_id = ? AND email = ? AND status = 'pending'`);
+
+  // The newest invitations first, optionally only those with one status
+  function list(companyId, { status } = {}) {
+    const rows = db.prepare(`${INVITATION_SELECT} WHERE i.company_id = ? ORDER BY i.created_at DESC, i.id DESC`).all(companyId);
+    return status ? rows.filter(row => row.status === status) : rows;
+  }
+
+  function get(companyId, id) {
+    return getById.get(id, companyId) || null;
+  }
+
+  // Replace an invitation's token and restart its expiry. Returns the new token.
+  function reissue(id, { canDonate, ptoHours } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    db.prepare(`
+      UPDATE company_invitations
+      SET token_hash = ?, expires_at = datetime('now', ?), sent_count = sent_count + 1,
+          last_sent_at = CURRENT_TIMESTAMP,
+          can_donate = COALESCE(?, can_donate), pto_hours = COALESCE(?, pto_hours)
+      WHERE id = ?
+    `).run(hashToken(token), ttl, canDonate === undefined ? null : (canDonate ? 1 : 0), ptoHours === undefined ? null : ptoHours, id);
+    return token;
+  }
+
+  // Invite an address, or reissue its pending invitation. Must be called inside
+  // a transaction. Returns { id, token, reissued }.
+  function invite({ companyId, email, canDonate = false, ptoHours = 0, invitedBy }) {
+    const address = email.toLowerCase();
+    const pending = getPending.get(companyId, address);
+    if (pending) {
+      return { id: pending.id, token: reissue(pending.id, { canDonate, ptoHours }), reissued: true };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = db.prepare(`
+      INSERT INTO company_invitations (company_id, email, can_donate, pto_hours, token_hash, invited_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))
+    `).run(companyId, address, canDonate ? 1 : 0, ptoHours, hashToken(token), invitedBy, ttl);
+    return { id: result.lastInsertRowid, token, reissued: false };
+  }
+
+  // Revoke a pending invitation. Returns false if it was no longer pending.
+  function revoke(id) {
+    return db.prepare(`
+      UPDATE company_invitations SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).run(id).changes > 0;
+  }
+
+  // The pending, unexpired invitation for a token, or null
+  function findByToken(token) {
+    return db.prepare(`
+      ${INVITATION_SELECT}
+      WHERE i.token_hash = ? AND i.status = 'pending' AND i.expires_at > datetime('now')
+    `).get(hashToken(token)) || null;
+  }
+
+  // Mark an invitation accepted by a user. Returns false if another request
+  // accepted or revoked it first.
+  function claim(id, userId) {
+    return db.prepare(`
+      UPDATE company_invitations
+      SET status = 'accepted', accepted_user_id = ?, accepted_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending' AND expires_at > datetime('now')
+    `).run(userId, id).changes > 0;
+  }
+
+  // Email the invitation link. Delivery happens in the background; failures are logged.
+  function send({ email, companyName, inviterName, token }) {
+    mailer.send({
+      to: email,
+      subject: `${inviterName} invited you to ${companyName} on PTO Buddy`,
+      text: `Hi,\n\n` +
+        `${inviterName} invited you to join ${companyName} on PTO Buddy, where colleagues ` +
+        `donate paid time off to each other when life gets hard.\n\n` +
+        `Use the link below within ${ttlDays} days to create your account, or to sign in ` +
+        `with an account you already have:\n\n` +
+        `${appUrl}/accept-invite.html?token=${token}\n\n` +
+        `If you weren't expecting this, you can ignore this email.`
+    }).catch(error => console.error('Invitation email error:', error));
+  }
+
+  return { list, get, invite, reissue, revoke, findByToken, claim, send };
+}
+
+module.exports = { INVITATION_STATUSES, createInvitations };
@@ -0,0 +1,100 @@
+// Searching and cursor pagination for list endpoints.
+//
+// Lists are ordered by a named sort made of SQL expressions ending in a unique
+// id. A page's nextCursor holds the sort name and its last row's key values,
+// and the next page continues strictly after them, so pages don't skip or
+// repeat rows when rows are added in the meantime. Cursors are opaque to
+// clients: they pass back the nextCursor they were given.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// A sort is a list of keys: { expr, dir: 'ASC' | 'DESC', value(row) }, where
+// value reads the key back from a result row. The last key must be unique.
+function orderBy(sort) {
+  return 'ORDER BY ' + sort.map(key => `${key.expr} ${key.dir}`).join(', ');
+}
+
+// Page size from a query string value, or null if it isn't a positive integer
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) return null;
+  return Math.min(Number(value), MAX_LIMIT);
+}
+
+function encodeCursor(sortName, values) {
+  return Buffer.from(JSON.stringify({ s: sortName, v: values })).toString('base64url');
+}
+
+// Key values from a cursor, or null when it's malformed or from another sort
+function decodeCursor(cursor, sortName, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.s !== sortName || !Array.isArray(decoded.v) || decoded.v.length !== sort.length) return null;
+    if (!decoded.v.every(value => ['string', 'number'].includes(typeof value))) return null;
+    return decoded.v;
+  } catch (error) {
+    return null;
+  }
+}
+
+// WHERE condition for rows after the given key values:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with < for descending keys
+function afterCursor(sort, values) {
+  const clauses = [];
+  const params = [];
+  sort.forEach((key, index) => {
+    const equal = sort.slice(0, index).map(previous => `${previous.expr} = ?`);
+    clauses.push(`(${[...equal, `${key.expr} ${key.dir === 'DESC' ? '<' : '>'} ?`].join(' AND ')})`);
+    params.push(...values.slice(0, index), values[index]);
+  });
+  return { sql: `(${clauses.join(' OR ')})`, params };
+}
+
+// Trim the extra row fetched to detect a next page and build its cursor
+function page(rows, { sortName, sort, limit }) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(sortName, sort.map(key => key.value(last))) : null
+  };
+}
+
+// Condition matching rows where every word of the search text appears in at
+// least one of the given SQL expressions (case-insensitive), or null for no text
+function searchSql(text, expressions) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).slice(0, 10);
+  if (words.length === 0) return null;
+
+  const params = [];
+  const clauses = words.map(word => {
+    const pattern = `%${word.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    params.push(...expressions.map(() => pattern));
+    return `(${expressions.map(expression => `${expression} LIKE ? ESCAPE '\\'`).join(' OR ')})`;
+  });
+  return { sql: `(${clauses.join(' AND ')})`, params };
+}
+
+// Run a filtered, sorted list query and return one page with the total count.
+//   select / selectParams: the column list and any parameters it uses
+//   from: FROM and JOIN clauses
+//   filters: [{ sql, params }] combined with AND
+//   cursor: key values from decodeCursor, or null for the first page
+function fetchPage(db, { select, selectParams = [], from, filters, sortName, sort, limit, cursor }) {
+  const where = filters.length > 0 ? `WHERE ${filters.map(filter => filter.sql).join(' AND ')}` : '';
+  const whereParams = filters.flatMap(filter => filter.params);
+
+  const total = db.prepare(`SELECT COUNT(*) as count ${from} ${where}`).get(...whereParams).count;
+
+  const after = cursor ? afterCursor(sort, cursor) : null;
+  const pageWhere = after ? `${where ? `${where} AND` : 'WHERE'} ${after.sql}` : where;
+  const rows = db.prepare(`SELECT ${select} ${from} ${pageWhere} ${orderBy(sort)} LIMIT ?`)
+    .all(...selectParams, ...whereParams, ...(after ? after.params : []), limit + 1);
+
+  const { items, nextCursor } = page(rows, { sortName, sort, limit });
+  return { items, total, nextCursor };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, orderBy, parseLimit, decodeCursor, afterCursor, page, searchSql, fetchPage };
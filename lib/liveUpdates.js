@@ -0,0 +1,171 @@
+// Live updates over Server-Sent Events.
+//
+// Pages open one stream and get told when something they show has changed:
+//   request        { id, status, hours_needed, hours_received, hours_matched }   (a request's progress or status)
+//   company-stats  { companyId }                                                  (an admin's company stats are stale)
+//   resync         {}                                                             (missed events can't be replayed; reload)
+//
+// Messages carry the current state read after the publishing transaction has
+// settled, never who donated, and each one only goes to users allowed to see
+// the request (or, for company stats, that company's admins). Recent messages
+// are kept so a client reconnecting with Last-Event-ID gets what it missed.
+
+const privacy = require('./privacy');
+
+const BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+// Distinguishes ids from an earlier server run, whose events can't be replayed
+const STREAM_ID = Date.now().toString(36);
+
+function createLiveUpdates(db, { events, loadViewer }) {
+  const clients = new Set();
+  const buffer = [];
+  let sequence = 0;
+
+  // Work queued by domain events, flushed once the current transaction is done
+  const pendingRequests = new Set();
+  const pendingCompanies = new Set();
+  let flushScheduled = false;
+
+  const getRequest = db.prepare(`
+    SELECT sr.id, sr.user_id, sr.status, sr.visibility, sr.hours_needed, sr.hours_matched, u.company_id,
+           (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id AND status = 'completed') as hours_received
+    FROM support_requests sr
+    JOIN users u ON sr.user_id = u.id
+    WHERE sr.id = ?
+  `);
+  const getCompanyId = db.prepare('SELECT company_id FROM users WHERE id = ?');
+
+  function companyOf(userId) {
+    const row = getCompanyId.get(userId);
+    return row ? row.company_id : null;
+  }
+
+  function queue({ requestId, companyIds = [] }) {
+    if (requestId) pendingRequests.add(requestId);
+    companyIds.forEach(companyId => { if (companyId != null) pendingCompanies.add(companyId); });
+    if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flush);
+    }
+  }
+
+  events.subscribe('donation.created', ({ donorId, requestId }) => {
+    queue({ requestId, companyIds: [companyOf(donorId)] });
+  });
+  events.subscribe('donation.reversed', ({ donorId, requestId }) => {
+    queue({ requestId, companyIds: [companyOf(donorId)] });
+  });
+  events.subscribe('request.created', ({ requestId }) => queue({ requestId }));
+  events.subscribe('request.status_changed', ({ requestId }) => queue({ requestId }));
+  ['employee.added', 'employee.updated', 'employee.removed'].forEach(type => {
+    events.subscribe(type, ({ companyId }) => queue({ companyIds: [companyId] }));
+  });
+  events.subscribe('company.merged', ({ sourceId, targetId }) => queue({ companyIds: [sourceId, targetId] }));
+
+  function canReceive(viewer, message) {
+    if (message.event === 'request') return privacy.canViewRequest(viewer, message.audience);
+    if (message.event === 'company-stats') {
+      return Boolean(viewer.is_platform_admin) ||
+        (Boolean(viewer.is_company_admin) && viewer.company_id === message.data.companyId);
+    }
+    return true;
+  }
+
+  function write(client, message) {
+    if (!canReceive(client.viewer, message)) return;
+    client.res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message.data)}\n\n`);
+  }
+
+  function broadcast(event, data, audience = null) {
+    const message = { id: `${STREAM_ID}-${++sequence}`, sequence, event, data, audience };
+    buffer.push(message);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    clients.forEach(client => write(client, message));
+  }
+
+  function flush() {
+    flushScheduled = false;
+    try {
+      pendingRequests.forEach(requestId => {
+        const request = getRequest.get(requestId);
+        if (!request || request.status === 'draft') return;
+
+        pendingCompanies.add(request.company_id);
+        broadcast('request', {
+          id: request.id,
+          status: request.status,
+          hours_needed: request.hours_needed,
+          hours_received: request.hours_received,
+          hours_matched: request.hours_matched
+        }, { user_id: request.user_id, company_id: request.company_id, visibility: request.visibility });
+      });
+      pendingCompanies.forEach(companyId => {
+        if (companyId != null) broadcast('company-stats', { companyId });
+      });
+    } catch (error) {
+      console.error('Live update error:', error);
+    } finally {
+      pendingRequests.clear();
+      pendingCompanies.clear();
+    }
+  }
+
+  // Messages after lastEventId, or null when they're no longer all available
+  function missedSince(lastEventId) {
+    const [streamId, lastSequence] = String(lastEventId).split('-');
+    if (streamId !== STREAM_ID || !/^\d+$/.test(lastSequence || '')) return null;
+
+    const last = Number(lastSequence);
+    if (last > sequence) return null;
+    if (last === sequence) return [];
+    if (buffer.length === 0 || buffer[0].sequence > last + 1) return null;
+    return buffer.filter(message => message.sequence > last);
+  }
+
+  // Serve one stream. viewer is the signed-in user; sessionId lets the stream
+  // notice when the session ends or the user's role changes.
+  function connect(req, res, { viewer, sessionId }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, viewer };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = missedSince(lastEventId);
+      if (missed) {
+        missed.forEach(message => write(client, message));
+      } else {
+        res.write(`id: ${STREAM_ID}-${sequence}\nevent: resync\ndata: {}\n\n`);
+      }
+    }
+    clients.add(client);
+
+    const heartbeat = setInterval(() => {
+      try {
+        client.viewer = loadViewer(sessionId);
+        if (!client.viewer) return res.end();
+        res.write(': keep-alive\n\n');
+      } catch (error) {
+        console.error('Live update heartbeat error:', error);
+      }
+    }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  return { connect };
+}
+
+module.exports = { createLiveUpdates };
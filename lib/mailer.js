@@ -0,0 +1,69 @@
+// Pluggable mail delivery.
+//
+// MAIL_DRIVER=smtp sends through an SMTP server (SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER, SMTP_PASS). The default "outbox" driver stores every
+// message in the mail_outbox table so the app runs without a mail server.
+
+const DEFAULT_FROM = 'PTO Buddy <no-reply@ptobuddy.local>';
+
+// Store messages locally instead of sending them
+function createOutboxDriver(db) {
+  const insert = db.prepare(`
+    INSERT INTO mail_outbox (from_address, to_address, subject, body)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  return {
+    name: 'outbox',
+    async send({ from, to, subject, text }) {
+      const result = insert.run(from, to, subject, text);
+      return { id: result.lastInsertRowid };
+    }
+  };
+}
+
+// Deliver messages through an SMTP server
+function createSmtpDriver(env) {
+  const nodemailer = require('nodemailer');
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ from, to, subject, text }) {
+      const info = await transport.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createMailer(db, env = process.env) {
+  const driverName = env.MAIL_DRIVER || 'outbox';
+  let driver;
+
+  if (driverName === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_DRIVER=smtp requires SMTP_HOST');
+    }
+    driver = createSmtpDriver(env);
+  } else if (driverName === 'outbox') {
+    driver = createOutboxDriver(db);
+  } else {
+    throw new Error(`Unknown MAIL_DRIVER "${driverName}"`);
+  }
+
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    driver: driver.name,
+    send({ to, subject, text }) {
+      return driver.send({ from, to, subject, text });
+    }
+  };
+}
+
+module.exports = { createMailer };
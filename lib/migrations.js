@@ -0,0 +1,125 @@
+// Versioned schema migrations.
+//
+// Each file in migrations/ is named <version>_<name>.js and exports up(db) and
+// down(db). Applied versions are recorded in schema_migrations, and each
+// migration runs in one transaction together with that record, so a failing
+// migration leaves the schema as it was and is reported rather than skipped.
+// The server applies pending migrations at startup; `npm run migrate` applies,
+// rolls back and lists them by hand.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^((\d+)_\w+)\.js$/;
+
+function loadMigrations(dir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, name, version]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.name} must export up(db) and down(db)`);
+    }
+  });
+  return migrations;
+}
+
+// For migrations that add columns: databases from before migrations existed
+// may already have some of them, added back then when the server started
+function addMissingColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+  Object.entries(columns)
+    .filter(([name]) => !existing.includes(name))
+    .forEach(([name, definition]) => db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`));
+}
+
+function createMigrator(db, { dir = MIGRATIONS_DIR } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const migrations = loadMigrations(dir);
+
+  function appliedRows() {
+    return new Map(db.prepare('SELECT version, name, applied_at FROM schema_migrations').all()
+      .map(row => [row.version, row]));
+  }
+
+  // Every migration with when it was applied (null if pending). Applied
+  // versions whose file is gone are listed with missing: true.
+  function status() {
+    const applied = appliedRows();
+    const known = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.has(version) ? applied.get(version).applied_at : null
+    }));
+    const missing = [...applied.values()]
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .map(row => ({ ...row, missing: true }));
+    return known.concat(missing).sort((a, b) => a.version - b.version);
+  }
+
+  // Apply pending migrations up to and including target (default: all), oldest
+  // first. Returns the migrations applied.
+  function up(target = Infinity) {
+    const applied = appliedRows();
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+    pending.forEach(migration => {
+      try {
+        db.transaction(() => {
+          migration.up(db);
+          record.run(migration.version, migration.name);
+        })();
+      } catch (error) {
+        error.message = `Migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+    });
+    return pending;
+  }
+
+  // Roll back the latest `steps` applied migrations, newest first. Returns the
+  // migrations rolled back.
+  function down(steps = 1) {
+    const applied = appliedRows();
+    const latest = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+    const reverting = latest.map(version => {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${applied.get(version).name} is applied but its file is missing`);
+      }
+      return migration;
+    });
+    const forget = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    reverting.forEach(migration => {
+      try {
+        db.transaction(() => {
+          migration.down(db);
+          forget.run(migration.version);
+        })();
+      } catch (error) {
+        error.message = `Rolling back migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+    });
+    return reverting;
+  }
+
+  return { status, up, down };
+}
+
+module.exports = { MIGRATIONS_DIR, addMissingColumns, createMigrator };
@@ -0,0 +1,493 @@
+// Notifications.
+//
+// Subscribes to domain events, works out who should hear about each one and
+// stores an inbox entry per recipient. Each user chooses, per notification
+// type, whether it appears in the app and whether it is emailed. Emails go out
+// through the mailer once the surrounding transaction has settled, and only if
+// the inbox entry still exists (a rolled-back action sends nothing).
+
+const privacy = require('./privacy');
+
+// Preference keys users can switch on and off, with their defaults
+const NOTIFICATION_TYPES = {
+  donation_received: {
+    label: 'Donations to my requests',
+    defaults: { in_app: true, email: true }
+  },
+  donation_returned: {
+    label: 'Donations reversed or refunded',
+    defaults: { in_app: true, email: true }
+  },
+  pledge_problems: {
+    label: "My recurring pledges can't be given in full",
+    defaults: { in_app: true, email: true }
+  },
+  request_status: {
+    label: 'My requests are fulfilled or expire',
+    defaults: { in_app: true, email: true }
+  },
+  request_messages: {
+    label: 'Thank-you notes and replies about my donations and requests',
+    defaults: { in_app: true, email: true }
+  },
+  supported_request_fulfilled: {
+    label: 'Requests I donated to are fulfilled',
+    defaults: { in_app: true, email: false }
+  },
+  company_request: {
+    label: 'New support requests in my company (admins)',
+    defaults: { in_app: true, email: true }
+  },
+  account_changes: {
+    label: 'Changes an admin makes to my account',
+    defaults: { in_app: true, email: true }
+  },
+  company_employees: {
+    label: 'Employees joining, asking to join or leaving my company (admins)',
+    defaults: { in_app: true, email: false }
+  },
+  message_reports: {
+    label: 'Messages reported as inappropriate (admins)',
+    defaults: { in_app: true, email: true }
+  }
+};
+
+function createNotifications(db, { mailer, events, appUrl }) {
+  const getUser = db.prepare('SELECT id, first_name, last_name, email, company_id, is_company_admin, is_platform_admin FROM users WHERE id = ?');
+  const getRequest = db.prepare('SELECT * FROM support_requests WHERE id = ?');
+  const getPreference = db.prepare('SELECT in_app, email FROM notification_preferences WHERE user_id = ? AND type = ?');
+  const insertNotification = db.prepare(`
+    INSERT INTO notifications (user_id, type, title, body, link) VALUES (?, ?, ?, ?, ?)
+  `);
+  const getNotification = db.prepare('SELECT * FROM notifications WHERE id = ?');
+
+  function preferenceFor(userId, type) {
+    const row = getPreference.get(userId, type);
+    return row ? { in_app: !!row.in_app, email: !!row.email } : NOTIFICATION_TYPES[type].defaults;
+  }
+
+  function hoursText(hours) {
+    return `${hours} ${Math.abs(hours) === 1 ? 'hour' : 'hours'}`;
+  }
+
+  function fullName(user) {
+    return `${user.first_name} ${user.last_name}`;
+  }
+
+  function companyAdmins(companyId, exceptUserId) {
+    if (companyId == null) return [];
+    return db.prepare('SELECT id FROM users WHERE company_id = ? AND is_company_admin = 1 AND deleted_at IS NULL AND id != ?')
+      .all(companyId, exceptUserId || 0)
+      .map(row => row.id);
+  }
+
+  // Deliver one notification to a user according to their preferences
+  function notify(userId, type, { title, body, link = null }) {
+    const preference = preferenceFor(userId, type);
+    if (!preference.in_app && !preference.email) return null;
+
+    // Email-only notifications are stored already read so they don't fill the inbox
+    const result = insertNotification.run(userId, type, title, body, link);
+    const id = result.lastInsertRowid;
+    if (!preference.in_app) {
+      db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP, hidden = 1 WHERE id = ?').run(id);
+    }
+
+    if (preference.email) {
+      setImmediate(() => sendEmail(id));
+    }
+    return id;
+  }
+
+  function sendEmail(notificationId) {
+    try {
+      const notification = getNotification.get(notificationId);
+      if (!notification) return;
+      const user = getUser.get(notification.user_id);
+      if (!user || !user.email) return;
+
+      mailer.send({
+        to: user.email,
+        subject: notification.title,
+        text: `Hi ${user.first_name},\n\n${notification.body}\n\n` +
+          (notification.link ? `${appUrl}/${notification.link}\n\n` : '') +
+          `You can choose which emails you get from your profile page.`
+      }).catch(error => console.error('Notification email error:', error));
+    } catch (error) {
+      console.error('Notification email error:', error);
+    }
+  }
+
+  // Donors still holding hours in a request
+  function requestDonors(requestId) {
+    return db.prepare(`
+      SELECT donor_id, SUM(hours) as hours FROM donations
+      WHERE request_id = ? AND status = 'completed'
+      GROUP BY donor_id HAVING SUM(hours) > 0
+    `).all(requestId);
+  }
+
+  events.subscribe('donation.created', ({ donorId, requestId, hours, matchedHours, anonymous }) => {
+    const request = getRequest.get(requestId);
+    const requester = getUser.get(request.user_id);
+    const donor = getUser.get(donorId);
+    const donorName = anonymous && !privacy.canIdentify(requester, donor) ? privacy.ANONYMOUS_NAME : fullName(donor);
+    const match = matchedHours ? ` Their employer matched it with another ${hoursText(matchedHours)}.` : '';
+
+    notify(requester.id, 'donation_received', {
+      title: `You received ${hoursText(hours + (matchedHours || 0))} of PTO`,
+      body: `${donorName} donated ${hoursText(hours)} to your support request.${match} ` +
+        `You now have ${request.hours_received + request.hours_matched} of ${request.hours_needed} hours.`,
+      link: 'my-donations.html'
+    });
+  });
+
+  const REVERSAL_REASONS = {
+    donor_reversal: 'the donor reversed the donation',
+    admin_reversal: 'an admin reversed the donation',
+    request_cancelled: 'the request was cancelled',
+    surplus_refund: 'the request closed with hours left over'
+  };
+
+  events.subscribe('donation.reversed', ({ donorId, requestId, hours, matchReturned, reason }) => {
+    const request = getRequest.get(requestId);
+    const why = REVERSAL_REASONS[reason] || 'the donation was reversed';
+
+    if (reason !== 'donor_reversal') {
+      notify(donorId, 'donation_returned', {
+        title: `${hoursText(hours)} of donated PTO returned to you`,
+        body: `${hoursText(hours)} you donated went back to your balance because ${why}.`,
+        link: 'my-donations.html'
+      });
+    }
+    if (reason === 'donor_reversal' || reason === 'admin_reversal') {
+      notify(request.user_id, 'donation_returned', {
+        title: `A donation of ${hoursText(hours)} was reversed`,
+        body: `${hoursText(hours)} came back out of your support request because ${why}.` +
+          (matchReturned ? ` The ${hoursText(matchReturned)} their employer matched went back with it.` : ''),
+        link: 'my-donations.html'
+      });
+    }
+  });
+
+  // Runs that gave everything need no news; the donor hears about the donations in their history
+  events.subscribe('pledge.run', ({ userId, hours, status, hoursGiven, reason }) => {
+    if (status === 'given') return;
+
+    const title = status === 'partial'
+      ? `Your pledge gave ${hoursText(hoursGiven)} of ${hoursText(hours)}`
+      : `Your pledge of ${hoursText(hours)} was skipped this time`;
+    notify(userId, 'pledge_problems', {
+      title,
+      body: `${reason}.${status === 'skipped' ? ' Your pledge stays on and will try again next time it is due.' : ''}`,
+      link: 'my-donations.html'
+    });
+  });
+
+  // The requester's name as someone else in the request's conversation sees it
+  function requesterName(viewer, request, requester) {
+    const hidden = request.visibility === 'anonymous' ||
+      !privacy.canViewRequest(viewer, { ...request, company_id: requester.company_id });
+    return hidden && !privacy.canIdentify(viewer, requester) ? privacy.ANONYMOUS_NAME : fullName(requester);
+  }
+
+  function excerpt(text) {
+    return text.length > 300 ? `${text.slice(0, 297)}...` : text;
+  }
+
+  events.subscribe('message.posted', ({ messageId, requestId, donationId, authorId, kind }) => {
+    const message = db.prepare('SELECT body FROM request_messages WHERE id = ?').get(messageId);
+    const request = getRequest.get(requestId);
+    const requester = getUser.get(request.user_id);
+
+    // A thank-you note goes to everyone still giving to the request
+    if (kind === 'note') {
+      requestDonors(request.id).filter(donor => donor.donor_id !== authorId).forEach(({ donor_id: donorId }) => {
+        const donor = getUser.get(donorId);
+        notify(donorId, 'request_messages', {
+          title: `${requesterName(donor, request, requester)} sent a thank-you note`,
+          body: excerpt(message.body),
+          link: 'my-donations.html'
+        });
+      });
+      return;
+    }
+
+    const donation = db.prepare('SELECT donor_id, is_anonymous FROM donations WHERE id = ?').get(donationId);
+    const donor = getUser.get(donation.donor_id);
+    if (authorId === request.user_id) {
+      notify(donor.id, 'request_messages', {
+        title: `${requesterName(donor, request, requester)} replied about your donation`,
+        body: excerpt(message.body),
+        link: 'my-donations.html'
+      });
+    } else {
+      const donorName = donation.is_anonymous && !privacy.canIdentify(requester, donor) ? privacy.ANONYMOUS_NAME : fullName(donor);
+      notify(requester.id, 'request_messages', {
+        title: `${donorName} replied about their donation`,
+        body: excerpt(message.body),
+        link: 'request-support.html'
+      });
+    }
+  });
+
+  // The admins who moderate the message: those of the requester's company and of the author's
+  events.subscribe('message.reported', ({ messageId, requestId, reporterId }) => {
+    const message = db.prepare('SELECT author_id FROM request_messages WHERE id = ?').get(messageId);
+    const requester = getUser.get(getRequest.get(requestId).user_id);
+    const author = message.author_id ? getUser.get(message.author_id) : null;
+    const adminIds = new Set([
+      ...companyAdmins(requester.company_id, reporterId),
+      ...(author ? companyAdmins(author.company_id, reporterId) : [])
+    ]);
+    adminIds.forEach(adminId => {
+      notify(adminId, 'message_reports', {
+        title: 'A message was reported',
+        body: 'Someone reported a message on a support request as inappropriate. You can hide it or dismiss the report.',
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  function notifyCompanyAdminsOfRequest(request) {
+    const requester = getUser.get(request.user_id);
+    companyAdmins(requester.company_id, requester.id).forEach(adminId => {
+      notify(adminId, 'company_request', {
+        title: 'New support request in your company',
+        body: `${fullName(requester)} asked for ${request.hours_needed} hours of PTO support (${request.category}).`,
+        link: 'company-admin.html'
+      });
+    });
+  }
+
+  events.subscribe('request.created', ({ requestId }) => {
+    const request = getRequest.get(requestId);
+    if (request.status === 'active') notifyCompanyAdminsOfRequest(request);
+  });
+
+  events.subscribe('request.status_changed', ({ requestId, from, to, action }) => {
+    const request = getRequest.get(requestId);
+
+    if (from === 'draft' && to === 'active') {
+      notifyCompanyAdminsOfRequest(request);
+    }
+
+    if (to === 'fulfilled') {
+      notify(request.user_id, 'request_status', {
+        title: action === 'fulfill' ? 'Your support request is fully funded' : 'Your support request is closed',
+        body: `Your request received ${request.hours_received} of ${request.hours_needed} hours and is now closed to donations.`,
+        link: 'request-support.html'
+      });
+
+      requestDonors(request.id).forEach(donor => {
+        notify(donor.donor_id, 'supported_request_fulfilled', {
+          title: 'A request you supported is complete',
+          body: `A colleague's request you gave ${hoursText(donor.hours)} to has ${action === 'fulfill' ? 'been fully funded' : 'closed'}. Thank you!`,
+          link: 'my-donations.html'
+        });
+      });
+    }
+
+    if (to === 'expired') {
+      notify(request.user_id, 'request_status', {
+        title: 'Your support request has expired',
+        body: `Your request passed its end date with ${request.hours_received} of ${request.hours_needed} hours received. ` +
+          'You can extend it to reopen it.',
+        link: 'request-support.html'
+      });
+    }
+  });
+
+  events.subscribe('employee.added', ({ userId, companyId, actorId, joinRequestId }) => {
+    const user = getUser.get(userId);
+    const company = db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId);
+    if (!user || !company) return;
+
+    // People who joined by accepting an invitation or confirming their email added themselves
+    if (userId !== actorId && joinRequestId) {
+      notify(user.id, 'account_changes', {
+        title: `You joined ${company.name}`,
+        body: `A company admin approved your request to join ${company.name} on PTO Buddy.`,
+        link: 'dashboard.html'
+      });
+    } else if (userId !== actorId) {
+      notify(user.id, 'account_changes', {
+        title: `You were added to ${company.name}`,
+        body: `A company admin added you to ${company.name} on PTO Buddy.`,
+        link: 'dashboard.html'
+      });
+    }
+    companyAdmins(companyId, actorId).forEach(adminId => {
+      notify(adminId, 'company_employees', {
+        title: 'New employee added',
+        body: `${fullName(user)} was added to ${company.name}.`,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  events.subscribe('join_request.created', ({ userId, companyId }) => {
+    const user = getUser.get(userId);
+    const company = db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId);
+    companyAdmins(companyId, userId).forEach(adminId => {
+      notify(adminId, 'company_employees', {
+        title: 'New request to join your company',
+        body: `${fullName(user)} (${user.email}) asked to join ${company.name}.`,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  events.subscribe('join_request.rejected', ({ userId, companyId }) => {
+    const company = db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId);
+    notify(userId, 'account_changes', {
+      title: `Your request to join ${company.name} was declined`,
+      body: `A company admin declined your request to join ${company.name} on PTO Buddy. ` +
+        'You can ask to join a company again from your profile.',
+      link: 'profile.html'
+    });
+  });
+
+  const COMPANY_STATUS_NOTICES = {
+    active: (name, from) => ({
+      title: from === 'pending' ? `${name} is approved` : `${name} is active again`,
+      body: from === 'pending'
+        ? `PTO Buddy approved ${name}. You can now invite employees, and colleagues can join, post requests and donate.`
+        : `PTO Buddy reactivated ${name}. Employees can post requests and donate again.`
+    }),
+    suspended: name => ({
+      title: `${name} is suspended`,
+      body: `PTO Buddy suspended ${name}. Until it is reactivated, nobody can join it and its employees can't post requests or donate.`
+    })
+  };
+
+  events.subscribe('company.status_changed', ({ companyId, from, to, reason, actorId }) => {
+    const company = db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId);
+    const notice = COMPANY_STATUS_NOTICES[to](company.name, from);
+    companyAdmins(companyId, actorId).forEach(adminId => {
+      notify(adminId, 'account_changes', {
+        title: notice.title,
+        body: reason ? `${notice.body} Reason: ${reason}` : notice.body,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  events.subscribe('company.merged', ({ sourceId, targetId, userIds, actorId }) => {
+    const source = db.prepare('SELECT name FROM companies WHERE id = ?').get(sourceId);
+    const target = db.prepare('SELECT name FROM companies WHERE id = ?').get(targetId);
+
+    userIds.forEach(userId => {
+      notify(userId, 'account_changes', {
+        title: `${source.name} was merged into ${target.name}`,
+        body: `PTO Buddy merged ${source.name} into ${target.name}. You are now an employee of ${target.name}; ` +
+          'your balance, requests and donations came with you.',
+        link: 'dashboard.html'
+      });
+    });
+    companyAdmins(targetId, actorId).filter(adminId => !userIds.includes(adminId)).forEach(adminId => {
+      notify(adminId, 'company_employees', {
+        title: `${source.name} was merged into your company`,
+        body: `PTO Buddy merged ${source.name} into ${target.name}, adding ${userIds.length} ` +
+          `${userIds.length === 1 ? 'employee' : 'employees'}.`,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  events.subscribe('employee.updated', ({ userId, actorId, changes, balance }) => {
+    if (userId === actorId || changes.length === 0) return;
+
+    const described = changes.map(field => (field === 'available_pto_hours' ? `PTO balance (now ${balance} hours)` : field.replace(/_/g, ' ')));
+    notify(userId, 'account_changes', {
+      title: 'A company admin updated your account',
+      body: `A company admin changed your ${described.join(', ')}.`,
+      link: 'profile.html'
+    });
+  });
+
+  // The person hears too, in case it wasn't them who asked
+  events.subscribe('account.deletion_requested', ({ userId, companyId, scheduledFor }) => {
+    const user = getUser.get(userId);
+    const day = scheduledFor.split(' ')[0];
+    notify(userId, 'account_changes', {
+      title: 'Your account is due to be deleted',
+      body: `You asked for your PTO Buddy account to be deleted. It will be anonymized on ${day}; ` +
+        'until then you can cancel from your profile page.',
+      link: 'profile.html'
+    });
+    companyAdmins(companyId, userId).forEach(adminId => {
+      notify(adminId, 'company_employees', {
+        title: 'An employee is deleting their account',
+        body: `${fullName(user)} asked for their account to be deleted. It will be anonymized on ${day}.`,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  events.subscribe('employee.removed', ({ userId, companyId, actorId, name, deleted }) => {
+    const company = db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId);
+    if (!company) return;
+
+    if (!deleted) {
+      notify(userId, 'account_changes', {
+        title: `You were removed from ${company.name}`,
+        body: `A company admin removed you from ${company.name} on PTO Buddy. Your account and balance are unchanged.`,
+        link: 'profile.html'
+      });
+    }
+    companyAdmins(companyId, actorId).forEach(adminId => {
+      notify(adminId, 'company_employees', {
+        title: 'Employee removed',
+        body: `${name} was ${deleted ? 'deleted' : 'removed'} from ${company.name}.`,
+        link: 'company-admin.html'
+      });
+    });
+  });
+
+  // ---- Inbox and preferences ----
+
+  function inbox(userId, { unreadOnly = false, limit = 20 } = {}) {
+    return db.prepare(`
+      SELECT id, type, title, body, link, read_at, created_at FROM notifications
+      WHERE user_id = ? AND hidden = 0 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+      ORDER BY id DESC LIMIT ?
+    `).all(userId, limit);
+  }
+
+  function unreadCount(userId) {
+    return db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND hidden = 0 AND read_at IS NULL')
+      .get(userId).count;
+  }
+
+  // Mark the given notifications (or all of them) as read; returns how many changed
+  function markRead(userId, ids = null) {
+    if (ids) {
+      const mark = db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id = ? AND read_at IS NULL');
+      return db.transaction(() => ids.reduce((count, id) => count + mark.run(userId, id).changes, 0))();
+    }
+    return db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL')
+      .run(userId).changes;
+  }
+
+  function preferences(userId) {
+    return Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => ({ type, label, ...preferenceFor(userId, type) }));
+  }
+
+  const setPreferences = db.transaction((userId, changes) => {
+    const upsert = db.prepare(`
+      INSERT INTO notification_preferences (user_id, type, in_app, email) VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id, type) DO UPDATE SET in_app = excluded.in_app, email = excluded.email
+    `);
+    changes.forEach(({ type, in_app, email }) => {
+      const current = preferenceFor(userId, type);
+      upsert.run(userId, type,
+        (in_app !== undefined ? in_app : current.in_app) ? 1 : 0,
+        (email !== undefined ? email : current.email) ? 1 : 0);
+    });
+  });
+
+  return { notify, inbox, unreadCount, markRead, preferences, setPreferences };
+}
+
+module.exports = { NOTIFICATION_TYPES, createNotifications };
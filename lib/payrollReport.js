@@ -0,0 +1,167 @@
+// Payroll reports of PTO transfers.
+//
+// A report lists every ledger entry that moved hours between employees
+// (donations, and reversals or refunds of them) for one company's employees
+// over a date range, by UTC date. Cross-company transfers appear once in each
+// company's report, each side showing only its own employee's debit or credit.
+//
+// Locking a period records exactly which entries it contained. Entries dated
+// inside a locked period that arrive after it was locked are carried into the
+// next report instead of being lost.
+//
+// The JSON and CSV formats are versioned by FORMAT_VERSION and documented in
+// the README; add fields at the end and bump the version for any other change.
+
+const csv = require('./csv');
+const privacy = require('./privacy');
+
+const FORMAT_VERSION = 2;
+
+const TRANSFER_TYPES = ['donation_out', 'donation_in', 'reversal', 'employer_match'];
+
+const ENTRY_COLUMNS = [
+  'entry_id', 'date', 'employee_id', 'employee_name', 'employee_email', 'entry_type',
+  'direction', 'hours', 'signed_hours', 'counterparty_name', 'counterparty_company',
+  'cross_company', 'request_id', 'donation_id', 'carried_over'
+];
+
+const EMPLOYER_MATCH_NAME = 'Employer match';
+
+const SUMMARY_COLUMNS = ['employee_id', 'employee_name', 'employee_email', 'debit_hours', 'credit_hours', 'net_hours'];
+
+function createPayrollReports(db) {
+  // Transfer entries for a company's employees, with the other side of each transfer
+  const ENTRY_SELECT = `
+    SELECT l.id as entry_id, l.created_at, l.user_id as employee_id,
+           u.first_name || ' ' || u.last_name as employee_name, u.email as employee_email,
+           l.entry_type, l.hours as signed_hours, l.request_id, l.donation_id,
+           other.id as counterparty_id, other.company_id as counterparty_company_id,
+           other.first_name || ' ' || other.last_name as counterparty_name,
+           oc.name as counterparty_company,
+           CASE WHEN d.donor_id = l.user_id THEN sr.visibility = 'anonymous' ELSE d.is_anonymous END as counterparty_anonymous
+    FROM pto_ledger l
+    JOIN users u ON l.user_id = u.id
+    LEFT JOIN donations d ON l.donation_id = d.id
+    LEFT JOIN support_requests sr ON d.request_id = sr.id
+    LEFT JOIN users other ON other.id = CASE WHEN d.donor_id = l.user_id THEN sr.user_id ELSE d.donor_id END
+    LEFT JOIN companies oc ON other.company_id = oc.id
+  `;
+  const TYPE_FILTER = `l.entry_type IN (${TRANSFER_TYPES.map(() => '?').join(', ')})`;
+
+  // Entries not yet in a locked period that are dated in the range, plus any
+  // that arrived late for an earlier locked period
+  function unlockedEntries(companyId, start, end) {
+    return db.prepare(`
+      ${ENTRY_SELECT}
+      WHERE u.company_id = ? AND ${TYPE_FILTER}
+        AND l.id NOT IN (SELECT ledger_entry_id FROM payroll_period_entries WHERE company_id = ?)
+        AND (
+          date(l.created_at) BETWEEN ? AND ?
+          OR (date(l.created_at) < ? AND EXISTS (
+            SELECT 1 FROM payroll_periods p
+            WHERE p.company_id = ? AND date(l.created_at) BETWEEN p.start_date AND p.end_date
+          ))
+        )
+      ORDER BY l.id
+    `).all(companyId, ...TRANSFER_TYPES, companyId, start, end, start, companyId);
+  }
+
+  function periodEntries(periodId) {
+    return db.prepare(`
+      ${ENTRY_SELECT}
+      JOIN payroll_period_entries pe ON pe.ledger_entry_id = l.id
+      WHERE pe.period_id = ?
+      ORDER BY l.id
+    `).all(periodId);
+  }
+
+  // Shape rows into the documented format, hiding anonymous counterparties
+  // the viewer may not identify
+  function buildReport({ company, period, rows, viewer }) {
+    const entries = rows.map(row => {
+      const shown = privacy.presentLedgerEntry(viewer, { ...row, counterparty: row.counterparty_name });
+      // A match comes from the donor's company, not from the donor
+      if (row.entry_type === 'employer_match') shown.counterparty = EMPLOYER_MATCH_NAME;
+      const date = row.created_at.split(' ')[0];
+      return {
+        entry_id: row.entry_id,
+        date,
+        employee_id: row.employee_id,
+        employee_name: row.employee_name,
+        employee_email: row.employee_email,
+        entry_type: row.entry_type,
+        direction: row.signed_hours < 0 ? 'debit' : 'credit',
+        hours: Math.abs(row.signed_hours),
+        signed_hours: row.signed_hours,
+        counterparty_name: shown.counterparty,
+        counterparty_company: row.counterparty_company || null,
+        cross_company: row.counterparty_company_id !== company.id,
+        request_id: row.request_id,
+        donation_id: row.donation_id,
+        carried_over: date < period.start_date
+      };
+    });
+
+    const byEmployee = new Map();
+    entries.forEach(entry => {
+      if (!byEmployee.has(entry.employee_id)) {
+        byEmployee.set(entry.employee_id, {
+          employee_id: entry.employee_id,
+          employee_name: entry.employee_name,
+          employee_email: entry.employee_email,
+          debit_hours: 0,
+          credit_hours: 0,
+          net_hours: 0
+        });
+      }
+      const summary = byEmployee.get(entry.employee_id);
+      if (entry.direction === 'debit') summary.debit_hours += entry.hours;
+      else summary.credit_hours += entry.hours;
+      summary.net_hours += entry.signed_hours;
+    });
+    const employees = [...byEmployee.values()].sort((a, b) => a.employee_name.localeCompare(b.employee_name));
+
+    return {
+      format_version: FORMAT_VERSION,
+      generated_at: new Date().toISOString(),
+      company: { id: company.id, name: company.name },
+      period,
+      totals: {
+        entries: entries.length,
+        debit_hours: employees.reduce((sum, e) => sum + e.debit_hours, 0),
+        credit_hours: employees.reduce((sum, e) => sum + e.credit_hours, 0)
+      },
+      employees,
+      entries
+    };
+  }
+
+  // Record a period and the entries it contains. Returns the new period id.
+  const lockPeriod = db.transaction(({ companyId, start, end, lockedBy }) => {
+    const period = db.prepare(`
+      INSERT INTO payroll_periods (company_id, start_date, end_date, locked_by)
+      VALUES (?, ?, ?, ?)
+    `).run(companyId, start, end, lockedBy);
+
+    const insertEntry = db.prepare(`
+      INSERT INTO payroll_period_entries (period_id, company_id, ledger_entry_id) VALUES (?, ?, ?)
+    `);
+    unlockedEntries(companyId, start, end).forEach(row => insertEntry.run(period.lastInsertRowid, companyId, row.entry_id));
+
+    return period.lastInsertRowid;
+  });
+
+  return { unlockedEntries, periodEntries, buildReport, lockPeriod };
+}
+
+// CSV of a report: one line per entry, or per employee with view 'summary'
+function toCsv(report, view = 'entries') {
+  const columns = view === 'summary' ? SUMMARY_COLUMNS : ENTRY_COLUMNS;
+  const rows = view === 'summary' ? report.employees : report.entries;
+  return csv.stringify(columns, rows.map(row => columns.map(column => {
+    const value = row[column];
+    return typeof value === 'boolean' ? (value ? 'yes' : 'no') : value;
+  })));
+}
+
+module.exports = { FORMAT_VERSION, TRANSFER_TYPES, createPayrollReports, toCsv };
@@ -0,0 +1,150 @@
+// Platform-wide administration: the company lifecycle and metrics across companies.
+//
+// A company registered by its own admin starts out pending and becomes active
+// once a platform admin approves it. Only active companies are offered to
+// people signing up, take in new members, and let their members post requests
+// and donate. A suspended company keeps its data but is frozen until it is
+// reactivated.
+//
+// Merging a duplicate company moves its members (and with them their requests,
+// donations and balances) into another company as regular employees, along with
+// its domains, open join requests, payroll periods and audit history. The
+// duplicate is kept as 'merged', pointing at the company it went into, so
+// history that names it still reads correctly.
+
+const COMPANY_STATUSES = ['pending', 'active', 'suspended', 'merged'];
+
+// The statuses each change applies to, and the status it leads to
+const STATUS_CHANGES = {
+  approve: { from: ['pending'], to: 'active' },
+  suspend: { from: ['pending', 'active'], to: 'suspended' },
+  reactivate: { from: ['suspended'], to: 'active' }
+};
+
+function createPlatformAdmin(db) {
+  const getStatus = db.prepare('SELECT status FROM companies WHERE id = ?');
+
+  // Apply a status change. Returns { from, to }, or null if the company's
+  // current status doesn't allow it.
+  function changeStatus(companyId, change, { actorId, reason = null }) {
+    const { from, to } = STATUS_CHANGES[change];
+    const company = getStatus.get(companyId);
+    if (!company || !from.includes(company.status)) return null;
+
+    db.prepare(`
+      UPDATE companies
+      SET status = ?, status_reason = ?, status_changed_by = ?, status_changed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(to, reason, actorId, companyId);
+    return { from: company.status, to };
+  }
+
+  // Move everything from one company into another. Must be called inside a
+  // transaction. Returns how many of each thing moved.
+  function merge(sourceId, targetId, actorId) {
+    const moved = {};
+
+    moved.employees = db.prepare('UPDATE users SET company_id = ?, is_company_admin = 0 WHERE company_id = ?')
+      .run(targetId, sourceId).changes;
+
+    moved.joinRequests = db.prepare(`
+      UPDATE join_requests SET company_id = ? WHERE company_id = ? AND status IN ('pending', 'confirm_email')
+    `).run(targetId, sourceId).changes;
+
+    // Invitations promised membership of the duplicate; the target's admins can invite again
+    moved.invitationsRevoked = db.prepare(`
+      UPDATE company_invitations SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+      WHERE company_id = ? AND status = 'pending'
+    `).run(sourceId).changes;
+
+    // A domain the duplicate verified replaces the target's unverified copy of it
+    db.prepare(`
+      DELETE FROM company_domains
+      WHERE company_id = ? AND status != 'verified'
+        AND domain IN (SELECT domain FROM company_domains WHERE company_id = ? AND status = 'verified')
+    `).run(targetId, sourceId);
+    moved.domains = db.prepare('UPDATE OR IGNORE company_domains SET company_id = ? WHERE company_id = ?')
+      .run(targetId, sourceId).changes;
+    db.prepare('DELETE FROM company_domains WHERE company_id = ?').run(sourceId);
+
+    // Entries of a transfer between the two companies may already be locked by
+    // the target; those stay recorded under the duplicate's id in their period
+    moved.payrollPeriods = db.prepare('UPDATE payroll_periods SET company_id = ? WHERE company_id = ?')
+      .run(targetId, sourceId).changes;
+    db.prepare('UPDATE OR IGNORE payroll_period_entries SET company_id = ? WHERE company_id = ?').run(targetId, sourceId);
+
+    db.prepare(`
+      INSERT OR IGNORE INTO audit_log_companies (entry_id, company_id)
+      SELECT entry_id, ? FROM audit_log_companies WHERE company_id = ?
+    `).run(targetId, sourceId);
+
+    db.prepare(`
+      UPDATE companies
+      SET status = 'merged', merged_into_id = ?, status_reason = NULL, status_changed_by = ?, status_changed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(targetId, actorId, sourceId);
+
+    return moved;
+  }
+
+  // Counts across every company
+  function metrics() {
+    const count = (sql, ...params) => db.prepare(sql).get(...params).count;
+
+    const companies = Object.fromEntries(COMPANY_STATUSES.map(status => [status, 0]));
+    db.prepare('SELECT status, COUNT(*) as count FROM companies GROUP BY status').all()
+      .forEach(row => { companies[row.status] = row.count; });
+
+    const requests = Object.fromEntries(
+      db.prepare('SELECT status, COUNT(*) as count FROM support_requests GROUP BY status').all()
+        .map(row => [row.status, row.count])
+    );
+
+    const hours = db.prepare(`
+      SELECT COALESCE(SUM(d.hours), 0) as total,
+             COALESCE(SUM(CASE WHEN d.created_at >= datetime('now', '-30 days') THEN d.hours END), 0) as last_30_days,
+             COALESCE(SUM(CASE WHEN donor.company_id != requester.company_id THEN d.hours END), 0) as cross_company
+      FROM donations d
+      JOIN users donor ON d.donor_id = donor.id
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users requester ON sr.user_id = requester.id
+      WHERE d.status = 'completed'
+    `).get();
+
+    const topCompanies = db.prepare(`
+      SELECT c.id, c.name, c.status,
+             (SELECT COUNT(*) FROM users u WHERE u.company_id = c.id AND u.deleted_at IS NULL) as employees,
+             COALESCE((
+               SELECT SUM(d.hours) FROM donations d JOIN users u ON d.donor_id = u.id
+               WHERE u.company_id = c.id AND d.status = 'completed'
+             ), 0) as hours_donated
+      FROM companies c
+      WHERE c.status != 'merged'
+      ORDER BY hours_donated DESC, employees DESC, c.name
+      LIMIT 10
+    `).all();
+
+    return {
+      companies,
+      users: {
+        total: count('SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL'),
+        unassigned: count('SELECT COUNT(*) as count FROM users WHERE company_id IS NULL AND is_platform_admin = 0 AND deleted_at IS NULL'),
+        newLast30Days: count(`SELECT COUNT(*) as count FROM users WHERE created_at >= datetime('now', '-30 days')`),
+        donors: count('SELECT COUNT(*) as count FROM users WHERE can_donate = 1 AND deleted_at IS NULL'),
+        activeSessions: count(`SELECT COUNT(DISTINCT user_id) as count FROM sessions WHERE revoked_at IS NULL AND expires_at > datetime('now')`)
+      },
+      requests,
+      hours: { donated: hours.total, donatedLast30Days: hours.last_30_days, crossCompany: hours.cross_company },
+      pending: {
+        companies: companies.pending,
+        joinRequests: count(`SELECT COUNT(*) as count FROM join_requests WHERE status = 'pending'`),
+        invitations: count(`SELECT COUNT(*) as count FROM company_invitations WHERE status = 'pending' AND expires_at > datetime('now')`)
+      },
+      topCompanies
+    };
+  }
+
+  return { changeStatus, merge, metrics };
+}
+
+module.exports = { COMPANY_STATUSES, STATUS_CHANGES, createPlatformAdmin };
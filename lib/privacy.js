@@ -0,0 +1,162 @@
+// Requester and donor privacy.
+//
+// Requesters choose who sees their request (public, company-only, or
+// anonymous) and may keep the reason to themselves; donors may give
+// anonymously. Routes pass rows through these helpers before responding so
+// the rules hold for every client, not just our pages. Admins of a person's
+// company and platform admins always see who they are. Supporting documents
+// on a request are stricter still: only the requester and their company's
+// admins may open them.
+
+const REQUEST_VISIBILITIES = ['public', 'company', 'anonymous'];
+
+const ANONYMOUS_FIRST_NAME = 'Anonymous';
+const ANONYMOUS_LAST_NAME = 'colleague';
+const ANONYMOUS_NAME = `${ANONYMOUS_FIRST_NAME} ${ANONYMOUS_LAST_NAME}`;
+
+// person: { id, company_id }
+function canIdentify(viewer, person) {
+  if (viewer.id === person.id || viewer.is_platform_admin) return true;
+  return Boolean(viewer.is_company_admin) && viewer.company_id != null && viewer.company_id === person.company_id;
+}
+
+// Whether a request shows up for the viewer at all.
+// request: { user_id, company_id, visibility } with company_id the requester's
+function canViewRequest(viewer, request) {
+  if (request.visibility !== 'company') return true;
+  if (canIdentify(viewer, { id: request.user_id, company_id: request.company_id })) return true;
+  return viewer.company_id != null && viewer.company_id === request.company_id;
+}
+
+// Whether the viewer may see a request's supporting documents.
+// request: { user_id, company_id } with company_id the requester's
+function canViewDocuments(viewer, request) {
+  if (viewer.id === request.user_id) return true;
+  return Boolean(viewer.is_company_admin) && viewer.company_id != null && viewer.company_id === request.company_id;
+}
+
+function maskName(row, prefix = '') {
+  row[`${prefix}first_name`] = ANONYMOUS_FIRST_NAME;
+  row[`${prefix}last_name`] = ANONYMOUS_LAST_NAME;
+}
+
+// Hide the requester's identity and reason from viewers who may not see them
+function presentRequest(viewer, request) {
+  if (canIdentify(viewer, { id: request.user_id, company_id: request.company_id })) {
+    return request;
+  }
+
+  const shown = { ...request };
+  if (request.visibility === 'anonymous' || !canViewRequest(viewer, request)) {
+    maskName(shown);
+    shown.user_id = null;
+    // In a small company, the company alone can give the requester away
+    shown.company_id = null;
+    shown.company_name = null;
+    shown.requester_hidden = true;
+  }
+  if (request.hide_reason) {
+    shown.reason = null;
+    shown.reason_hidden = true;
+  }
+  return shown;
+}
+
+// ---- The same rules as SQL conditions, for filtering and searching in queries ----
+// columns: SQL expressions for { userId, companyId, visibility }. Each returns { sql, params }.
+
+function identifySql(viewer, { userId, companyId }) {
+  if (viewer.is_platform_admin) return { sql: '1', params: [] };
+  if (viewer.is_company_admin && viewer.company_id != null) {
+    return { sql: `(${userId} = ? OR ${companyId} = ?)`, params: [viewer.id, viewer.company_id] };
+  }
+  return { sql: `${userId} = ?`, params: [viewer.id] };
+}
+
+function viewRequestSql(viewer, columns) {
+  const identify = identifySql(viewer, columns);
+  const sameCompany = viewer.company_id != null ? ` OR ${columns.companyId} = ?` : '';
+  return {
+    sql: `(${columns.visibility} != 'company' OR ${identify.sql}${sameCompany})`,
+    params: [...identify.params, ...(viewer.company_id != null ? [viewer.company_id] : [])]
+  };
+}
+
+// The requester's name is shown (so it may be searched)
+function namedRequesterSql(viewer, columns) {
+  const identify = identifySql(viewer, columns);
+  const sameCompany = viewer.company_id != null ? ` OR (${columns.visibility} = 'company' AND ${columns.companyId} = ?)` : '';
+  return {
+    sql: `(${columns.visibility} = 'public' OR ${identify.sql}${sameCompany})`,
+    params: [...identify.params, ...(viewer.company_id != null ? [viewer.company_id] : [])]
+  };
+}
+
+// The request's reason is shown (so it may be searched)
+function visibleReasonSql(viewer, { hideReason, ...columns }) {
+  const identify = identifySql(viewer, columns);
+  return { sql: `(${hideReason} = 0 OR ${identify.sql})`, params: identify.params };
+}
+
+// A donation as its donor sees it: the recipient follows the request's visibility.
+// donation: { recipient_id, recipient_company_id, recipient_first_name, recipient_last_name, visibility, hide_reason, reason }
+function presentGivenDonation(viewer, donation) {
+  const recipient = { id: donation.recipient_id, company_id: donation.recipient_company_id };
+  if (canIdentify(viewer, recipient)) return donation;
+
+  const shown = { ...donation };
+  const request = { user_id: donation.recipient_id, company_id: donation.recipient_company_id, visibility: donation.visibility };
+  if (donation.visibility === 'anonymous' || !canViewRequest(viewer, request)) {
+    maskName(shown, 'recipient_');
+    shown.recipient_id = null;
+    shown.recipient_company_id = null;
+    shown.recipient_company_name = null;
+    shown.recipient_hidden = true;
+  }
+  if (donation.hide_reason) {
+    shown.reason = null;
+    shown.reason_hidden = true;
+  }
+  return shown;
+}
+
+// A donation as its recipient sees it: anonymous donors stay anonymous.
+// donation: { donor_id, donor_company_id, donor_first_name, donor_last_name, is_anonymous }
+function presentReceivedDonation(viewer, donation) {
+  if (!donation.is_anonymous || canIdentify(viewer, { id: donation.donor_id, company_id: donation.donor_company_id })) {
+    return donation;
+  }
+
+  const shown = { ...donation };
+  maskName(shown, 'donor_');
+  shown.donor_id = null;
+  shown.donor_company_name = null;
+  shown.donor_hidden = true;
+  return shown;
+}
+
+// A ledger entry whose counterparty chose to stay anonymous.
+// entry: { counterparty, counterparty_id, counterparty_company_id, counterparty_anonymous }
+function presentLedgerEntry(viewer, entry) {
+  const { counterparty_id, counterparty_company_id, counterparty_anonymous, ...shown } = entry;
+  if (counterparty_anonymous && !canIdentify(viewer, { id: counterparty_id, company_id: counterparty_company_id })) {
+    shown.counterparty = ANONYMOUS_NAME;
+  }
+  return shown;
+}
+
+module.exports = {
+  REQUEST_VISIBILITIES,
+  ANONYMOUS_NAME,
+  canIdentify,
+  canViewRequest,
+  canViewDocuments,
+  presentRequest,
+  presentGivenDonation,
+  presentReceivedDonation,
+  presentLedgerEntry,
+  identifySql,
+  viewRequestSql,
+  namedRequesterSql,
+  visibleReasonSql
+};
@@ -0,0 +1,295 @@
+// PTO accrual plans and year-end carryover.
+//
+// A company's accrual plans each pay out on a schedule (weekly, every other
+// week or monthly from a first pay date). On every pay date, each employee on
+// the plan accrues the hours of the highest tenure band they have reached,
+// tenure being whole months from their hire date (or, without one, from when
+// their account was created) to the pay date. Every pay date is posted once,
+// including any the server missed while it was down.
+//
+// At the start of each year a company with carryover rules forfeits what its
+// employees hold above the carryover cap at the end of the year before, from
+// the end of the year the rules were switched on. Hours
+// received as donations (and employer matches on them) that are still in a
+// balance at year end are counted as the last ones used, and the company's
+// donated hours rule says what happens to them:
+//   with_earned  they count toward the cap like earned hours
+//   expire       they expire; only earned hours are checked against the cap
+//   exempt       they always carry over; only earned hours are checked against the cap
+
+const PAY_PERIODS = ['weekly', 'biweekly', 'monthly'];
+const DONATED_HOURS_RULES = ['with_earned', 'expire', 'exempt'];
+
+// Applied to companies that never saved carryover rules
+const DEFAULT_CARRYOVER = {
+  enabled: false,
+  carryover_cap_hours: null,
+  donated_hours_rule: 'with_earned'
+};
+
+// Most tenure bands a plan may have
+const MAX_BANDS = 10;
+
+// Ledger entries that moved donated hours into or out of a recipient's balance
+const RECEIVED_HOURS_SQL = `
+  (l.entry_type IN ('donation_in', 'employer_match') OR (l.entry_type = 'reversal' AND d.donor_id != l.user_id))
+`;
+
+function parseDate(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// The nth pay date of a schedule starting on firstPayDate (the 0th). Monthly
+// pay dates past the end of a shorter month fall on its last day.
+function payDate(firstPayDate, payPeriod, n) {
+  const first = parseDate(firstPayDate);
+  if (payPeriod !== 'monthly') {
+    first.setUTCDate(first.getUTCDate() + (payPeriod === 'weekly' ? 7 : 14) * n);
+    return formatDate(first);
+  }
+
+  const month = first.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(first.getUTCFullYear(), month, Math.min(first.getUTCDate(), lastDay))));
+}
+
+// Whole months from one date to a later one
+function tenureMonths(fromDate, toDate) {
+  const from = parseDate(fromDate);
+  const to = parseDate(toDate);
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  return Math.max(0, to.getUTCDate() < from.getUTCDate() ? months - 1 : months);
+}
+
+// Hours per pay period for a tenure, from bands sorted by min_months
+function bandHours(bands, months) {
+  const band = bands.filter(b => b.min_months <= months).pop();
+  return band ? band.hours : 0;
+}
+
+// Hours to forfeit above the cap and donated hours to expire, for a year-end
+// balance of which `received` hours came from donations
+function carryoverFor({ rules, balance, received }) {
+  const donated = Math.min(Math.max(received, 0), Math.max(balance, 0));
+  const earned = Math.max(balance, 0) - donated;
+  const cap = rules.carryover_cap_hours;
+
+  if (rules.donated_hours_rule === 'with_earned') {
+    return { forfeited: cap == null ? 0 : Math.max(0, earned + donated - cap), expired: 0 };
+  }
+  return {
+    forfeited: cap == null ? 0 : Math.max(0, earned - cap),
+    expired: rules.donated_hours_rule === 'expire' ? donated : 0
+  };
+}
+
+function createPtoAccruals(db, { ledger }) {
+  const getBands = db.prepare('SELECT min_months, hours FROM accrual_plan_bands WHERE plan_id = ? ORDER BY min_months');
+  const lastPayDate = db.prepare('SELECT MAX(pay_date) as pay_date FROM accrual_runs WHERE plan_id = ?');
+
+  // The first pay date of a plan that hasn't been posted
+  function nextPayDate(plan) {
+    const { pay_date: last } = lastPayDate.get(plan.id);
+    let n = 0;
+    while (last && payDate(plan.first_pay_date, plan.pay_period, n) <= last) n++;
+    return payDate(plan.first_pay_date, plan.pay_period, n);
+  }
+
+  function withDetails(plan) {
+    return {
+      ...plan,
+      bands: getBands.all(plan.id),
+      employees: db.prepare('SELECT COUNT(*) as count FROM users WHERE accrual_plan_id = ? AND company_id = ?')
+        .get(plan.id, plan.company_id).count,
+      next_pay_date: nextPayDate(plan)
+    };
+  }
+
+  function listPlans(companyId) {
+    return db.prepare('SELECT * FROM accrual_plans WHERE company_id = ? ORDER BY name').all(companyId).map(withDetails);
+  }
+
+  function getPlan(companyId, id) {
+    const plan = db.prepare('SELECT * FROM accrual_plans WHERE company_id = ? AND id = ?').get(companyId, id);
+    return plan ? withDetails(plan) : null;
+  }
+
+  // Create a plan, or replace an existing one's schedule and bands. Must be
+  // called inside a transaction. Returns the plan id.
+  function savePlan({ companyId, id = null, name, pay_period, first_pay_date, bands, actorId }) {
+    let planId = id;
+    if (planId) {
+      db.prepare(`
+        UPDATE accrual_plans SET name = ?, pay_period = ?, first_pay_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(name, pay_period, first_pay_date, planId);
+      db.prepare('DELETE FROM accrual_plan_bands WHERE plan_id = ?').run(planId);
+    } else {
+      planId = db.prepare(`
+        INSERT INTO accrual_plans (company_id, name, pay_period, first_pay_date, created_by) VALUES (?, ?, ?, ?, ?)
+      `).run(companyId, name, pay_period, first_pay_date, actorId).lastInsertRowid;
+    }
+
+    const insertBand = db.prepare('INSERT INTO accrual_plan_bands (plan_id, min_months, hours) VALUES (?, ?, ?)');
+    bands.forEach(band => insertBand.run(planId, band.min_months, band.hours));
+    return planId;
+  }
+
+  // What a plan's employees accrue on a pay date
+  function accrualsFor(plan, date) {
+    const bands = plan.bands || getBands.all(plan.id);
+    const employees = db.prepare(`
+      SELECT id as user_id, first_name, last_name, hire_date, COALESCE(hire_date, date(created_at)) as tenure_from
+      FROM users
+      WHERE accrual_plan_id = ? AND company_id = ?
+      ORDER BY last_name, first_name
+    `).all(plan.id, plan.company_id);
+
+    return employees.map(({ tenure_from: tenureFrom, ...employee }) => {
+      const months = tenureMonths(tenureFrom, date);
+      return { ...employee, tenure_months: months, hours: bandHours(bands, months) };
+    });
+  }
+
+  // The next run of a plan, without posting it
+  function preview(plan) {
+    const date = nextPayDate(plan);
+    const employees = accrualsFor(plan, date);
+    return { pay_date: date, employees, total_hours: employees.reduce((sum, e) => sum + e.hours, 0) };
+  }
+
+  // Post every pay date of every plan up to today (YYYY-MM-DD), for active
+  // companies. Returns the runs as { planId, payDate, employees, hours }.
+  function runDueAccruals(today) {
+    const plans = db.prepare(`
+      SELECT p.* FROM accrual_plans p JOIN companies c ON p.company_id = c.id
+      WHERE c.status = 'active' AND p.first_pay_date <= ?
+    `).all(today);
+
+    const runs = [];
+    plans.forEach(plan => {
+      for (let date = nextPayDate(plan); date <= today; date = nextPayDate(plan)) {
+        const accruals = accrualsFor(plan, date).filter(accrual => accrual.hours > 0);
+        const hours = accruals.reduce((sum, accrual) => sum + accrual.hours, 0);
+
+        db.transaction(() => {
+          db.prepare('INSERT INTO accrual_runs (plan_id, pay_date, employees, hours) VALUES (?, ?, ?, ?)')
+            .run(plan.id, date, accruals.length, hours);
+          accruals.forEach(accrual => ledger.post({
+            userId: accrual.user_id,
+            type: 'accrual',
+            hours: accrual.hours,
+            note: `${plan.name} accrual for ${date}`
+          }));
+        })();
+        runs.push({ planId: plan.id, payDate: date, employees: accruals.length, hours });
+      }
+    });
+    return runs;
+  }
+
+  function getCarryoverRules(companyId) {
+    const row = db.prepare('SELECT * FROM company_carryover_rules WHERE company_id = ?').get(companyId);
+    if (!row) return { ...DEFAULT_CARRYOVER };
+    return {
+      enabled: !!row.enabled,
+      carryover_cap_hours: row.carryover_cap_hours,
+      donated_hours_rule: row.donated_hours_rule
+    };
+  }
+
+  function saveCarryoverRules(companyId, rules, actorId) {
+    db.prepare(`
+      INSERT INTO company_carryover_rules (
+        company_id, enabled, carryover_cap_hours, donated_hours_rule, enabled_since, updated_by, updated_at
+      ) VALUES (?, ?, ?, ?, CASE WHEN ? = 1 THEN date('now') END, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(company_id) DO UPDATE SET
+        enabled_since = CASE
+          WHEN excluded.enabled = 0 THEN NULL
+          WHEN company_carryover_rules.enabled = 0 THEN date('now')
+          ELSE company_carryover_rules.enabled_since
+        END,
+        enabled = excluded.enabled,
+        carryover_cap_hours = excluded.carryover_cap_hours,
+        donated_hours_rule = excluded.donated_hours_rule,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(companyId, rules.enabled ? 1 : 0, rules.carryover_cap_hours, rules.donated_hours_rule, rules.enabled ? 1 : 0, actorId);
+  }
+
+  // What each of a company's employees would lose at the end of a year under
+  // its rules, as { user_id, first_name, last_name, balance, received, forfeited, expired }
+  function carryoverPreview(companyId, year) {
+    const rules = getCarryoverRules(companyId);
+    const yearEnd = `${year}-12-31`;
+    const yearStart = `${year}-01-01`;
+
+    return db.prepare(`
+      SELECT u.id as user_id, u.first_name, u.last_name, u.available_pto_hours as current_balance,
+             COALESCE(SUM(CASE WHEN date(l.created_at) <= ? THEN l.hours END), 0) as balance,
+             COALESCE(SUM(CASE WHEN date(l.created_at) BETWEEN ? AND ? AND ${RECEIVED_HOURS_SQL} THEN l.hours END), 0) as received
+      FROM users u
+      LEFT JOIN pto_ledger l ON l.user_id = u.id
+      LEFT JOIN donations d ON l.donation_id = d.id
+      WHERE u.company_id = ? AND u.deleted_at IS NULL
+      GROUP BY u.id
+      ORDER BY u.last_name, u.first_name
+    `).all(yearEnd, yearStart, yearEnd, companyId).map(row => {
+      // Hours spent since the year ended can't be taken again
+      const { forfeited, expired } = carryoverFor({ rules, balance: row.balance, received: row.received });
+      const expiredNow = Math.min(expired, row.current_balance);
+      const forfeitedNow = Math.min(forfeited, row.current_balance - expiredNow);
+      return { ...row, forfeited: forfeitedNow, expired: expiredNow };
+    });
+  }
+
+  // Apply the carryover rules for the year before today's to every company
+  // with rules switched on that hasn't had them applied yet. Returns the runs
+  // as { companyId, year, employees, forfeited, expired }.
+  function runYearEnd(today) {
+    const year = parseDate(today).getUTCFullYear() - 1;
+    const companies = db.prepare(`
+      SELECT r.company_id FROM company_carryover_rules r
+      JOIN companies c ON r.company_id = c.id
+      WHERE r.enabled = 1 AND c.status = 'active' AND CAST(strftime('%Y', r.enabled_since) AS INTEGER) <= ?
+        AND NOT EXISTS (SELECT 1 FROM carryover_runs cr WHERE cr.company_id = r.company_id AND cr.year = ?)
+    `).all(year, year);
+
+    return companies.map(({ company_id: companyId }) => db.transaction(() => {
+      const losses = carryoverPreview(companyId, year).filter(row => row.forfeited > 0 || row.expired > 0);
+      losses.forEach(row => {
+        if (row.expired > 0) {
+          ledger.post({ userId: row.user_id, type: 'donation_expiry', hours: -row.expired, note: `Donated hours unused at the end of ${year}` });
+        }
+        if (row.forfeited > 0) {
+          ledger.post({ userId: row.user_id, type: 'carryover_forfeit', hours: -row.forfeited, note: `Above the carryover cap at the end of ${year}` });
+        }
+      });
+
+      const forfeited = losses.reduce((sum, row) => sum + row.forfeited, 0);
+      const expired = losses.reduce((sum, row) => sum + row.expired, 0);
+      db.prepare('INSERT INTO carryover_runs (company_id, year, employees, hours_forfeited, hours_expired) VALUES (?, ?, ?, ?, ?)')
+        .run(companyId, year, losses.length, forfeited, expired);
+      return { companyId, year, employees: losses.length, forfeited, expired };
+    })());
+  }
+
+  return {
+    listPlans, getPlan, savePlan, nextPayDate, preview, runDueAccruals,
+    getCarryoverRules, saveCarryoverRules, carryoverPreview, runYearEnd
+  };
+}
+
+module.exports = {
+  PAY_PERIODS,
+  DONATED_HOURS_RULES,
+  DEFAULT_CARRYOVER,
+  MAX_BANDS,
+  payDate,
+  tenureMonths,
+  carryoverFor,
+  createPtoAccruals
+};
@@ -0,0 +1,114 @@
+// Append-only PTO ledger.
+//
+// Every change to a user's PTO balance is a signed entry in pto_ledger.
+// users.available_pto_hours is only a cache of the ledger sum, and post() is
+// the only code that writes it, so the two stay in step.
+
+const ENTRY_TYPES = [
+  'opening_balance',
+  'accrual',
+  'admin_adjustment',
+  'donation_out',
+  'donation_in',
+  'reversal',
+  'employer_match',
+  'carryover_forfeit',
+  'donation_expiry',
+  'account_closed'
+];
+
+function createLedger(db) {
+  const insertEntry = db.prepare(`
+    INSERT INTO pto_ledger (user_id, entry_type, hours, balance_after, donation_id, request_id, actor_id, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const updateCache = db.prepare('UPDATE users SET available_pto_hours = ? WHERE id = ?');
+  const currentBalance = db.prepare('SELECT COALESCE(SUM(hours), 0) as balance FROM pto_ledger WHERE user_id = ?');
+
+  // Record a signed entry and refresh the cached balance; returns the entry id
+  const post = db.transaction(({ userId, type, hours, donationId = null, requestId = null, actorId = null, note = null }) => {
+    if (!ENTRY_TYPES.includes(type)) {
+      throw new Error(`Unknown ledger entry type "${type}"`);
+    }
+    if (!Number.isFinite(hours) || hours === 0) {
+      throw new Error('Ledger entries need a non-zero number of hours');
+    }
+
+    const balanceAfter = currentBalance.get(userId).balance + hours;
+    const result = insertEntry.run(userId, type, hours, balanceAfter, donationId, requestId, actorId, note);
+    updateCache.run(balanceAfter, userId);
+    return result.lastInsertRowid;
+  });
+
+  // Move a user's balance to an absolute value with one adjustment entry
+  function setBalance({ userId, balance, type, actorId, note }) {
+    const delta = balance - currentBalance.get(userId).balance;
+    if (delta === 0) return null;
+    return post({ userId, type, hours: delta, actorId, note });
+  }
+
+  function balance(userId) {
+    return currentBalance.get(userId).balance;
+  }
+
+  // Entries newest first, with the other party of any donation they relate to
+  // and whether that party asked to stay anonymous
+  function statement(userId) {
+    return db.prepare(`
+      SELECT l.id, l.entry_type, l.hours, l.balance_after, l.donation_id, l.request_id,
+             l.actor_id, l.note, l.created_at,
+             CASE WHEN d.donor_id = l.user_id
+               THEN recipient.first_name || ' ' || recipient.last_name
+               ELSE donor.first_name || ' ' || donor.last_name
+             END as counterparty,
+             CASE WHEN d.donor_id = l.user_id THEN recipient.id ELSE donor.id END as counterparty_id,
+             CASE WHEN d.donor_id = l.user_id THEN recipient.company_id ELSE donor.company_id END as counterparty_company_id,
+             CASE WHEN d.donor_id = l.user_id THEN sr.visibility = 'anonymous' ELSE d.is_anonymous END as counterparty_anonymous
+      FROM pto_ledger l
+      LEFT JOIN donations d ON l.donation_id = d.id
+      LEFT JOIN users donor ON d.donor_id = donor.id
+      LEFT JOIN support_requests sr ON d.request_id = sr.id
+      LEFT JOIN users recipient ON sr.user_id = recipient.id
+      WHERE l.user_id = ?
+      ORDER BY l.id DESC
+    `).all(userId);
+  }
+
+  // Find cached values that disagree with the ledger and the donations table.
+  // Pass a company id to limit the check to that company's people.
+  function reconcile(companyId = null) {
+    const userDrift = db.prepare(`
+      SELECT u.id as user_id, u.first_name, u.last_name,
+             u.available_pto_hours as cached_balance,
+             COALESCE(l.balance, 0) as ledger_balance
+      FROM users u
+      LEFT JOIN (SELECT user_id, SUM(hours) as balance FROM pto_ledger GROUP BY user_id) l ON l.user_id = u.id
+      WHERE (? IS NULL OR u.company_id = ?)
+        AND u.available_pto_hours != COALESCE(l.balance, 0)
+    `).all(companyId, companyId);
+
+    const requestDrift = db.prepare(`
+      SELECT sr.id as request_id, sr.user_id,
+             sr.hours_received as cached_hours_received,
+             COALESCE(d.hours, 0) as donated_hours
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      LEFT JOIN (
+        SELECT request_id, SUM(hours) as hours FROM donations
+        WHERE status = 'completed' GROUP BY request_id
+      ) d ON d.request_id = sr.id
+      WHERE (? IS NULL OR u.company_id = ?)
+        AND sr.hours_received != COALESCE(d.hours, 0)
+    `).all(companyId, companyId);
+
+    return {
+      balanced: userDrift.length === 0 && requestDrift.length === 0,
+      users: userDrift.map(row => ({ ...row, drift: row.cached_balance - row.ledger_balance })),
+      requests: requestDrift.map(row => ({ ...row, drift: row.cached_hours_received - row.donated_hours }))
+    };
+  }
+
+  return { post, setBalance, balance, statement, reconcile };
+}
+
+module.exports = { ENTRY_TYPES, createLedger };
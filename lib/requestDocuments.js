@@ -0,0 +1,138 @@
+// Supporting documents on support requests.
+//
+// Requesters attach PDFs and images (a doctor's note, a death certificate) to
+// their requests for their company's HR to check. Documents are more private
+// than the request itself: only the requester and admins of the requester's
+// company may see them (see privacy.canViewDocuments), and colleagues only
+// ever learn that a company admin verified them.
+//
+// Files are kept on local disk under random names, in a directory the app
+// never serves statically, and are only sent through the documents route. A
+// file is accepted only when its first bytes match the type it was uploaded
+// as, so a page or script renamed to .pdf is refused.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Accepted types and the bytes each file of that type starts with
+const DOCUMENT_TYPES = {
+  'application/pdf': { label: 'PDF', signatures: [{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }] },
+  'image/png': { label: 'PNG', signatures: [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }] },
+  'image/jpeg': { label: 'JPEG', signatures: [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }] },
+  'image/webp': {
+    label: 'WebP',
+    signatures: [{ offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }]
+  }
+};
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENTS_PER_REQUEST = 5;
+
+// The accepted type a file's contents show it to be, or null
+function sniffType(data) {
+  const type = Object.keys(DOCUMENT_TYPES).find(name => DOCUMENT_TYPES[name].signatures.every(({ offset, bytes }) =>
+    data.length >= offset + bytes.length && bytes.every((byte, index) => data[offset + index] === byte)
+  ));
+  return type || null;
+}
+
+// A file name safe to show in a page and to send back in a Content-Disposition header
+function cleanFileName(name) {
+  const base = name.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"<>]/g, '').trim();
+  return base.slice(0, 200) || 'document';
+}
+
+function createRequestDocuments(db, { dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const DOCUMENT_SELECT = `
+    SELECT d.id, d.request_id, d.file_name, d.content_type, d.size_bytes, d.storage_name, d.created_at,
+           d.verified_at, verifier.first_name || ' ' || verifier.last_name as verified_by_name
+    FROM request_documents d
+    LEFT JOIN users verifier ON d.verified_by = verifier.id
+  `;
+
+  function listDocuments(requestId) {
+    return db.prepare(`${DOCUMENT_SELECT} WHERE d.request_id = ? ORDER BY d.id`).all(requestId);
+  }
+
+  function getDocument(requestId, id) {
+    return db.prepare(`${DOCUMENT_SELECT} WHERE d.request_id = ? AND d.id = ?`).get(requestId, id);
+  }
+
+  // Documents of a company's employees' requests, newest first, for its admins
+  function companyDocuments(companyId, { verified = null, limit = 100 } = {}) {
+    const state = verified === null ? '' : verified ? 'AND d.verified_at IS NOT NULL' : 'AND d.verified_at IS NULL';
+    return db.prepare(`
+      SELECT d.id, d.request_id, d.file_name, d.content_type, d.size_bytes, d.created_at, d.verified_at,
+             verifier.first_name || ' ' || verifier.last_name as verified_by_name,
+             sr.category, sr.status as request_status, u.id as requester_id, u.first_name, u.last_name
+      FROM request_documents d
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users u ON sr.user_id = u.id
+      LEFT JOIN users verifier ON d.verified_by = verifier.id
+      WHERE u.company_id = ? ${state}
+      ORDER BY d.id DESC
+      LIMIT ?
+    `).all(companyId, limit);
+  }
+
+  function countDocuments(requestId) {
+    return db.prepare('SELECT COUNT(*) as count FROM request_documents WHERE request_id = ?').get(requestId).count;
+  }
+
+  // Store a file the caller has checked and record it; returns the document id
+  function saveDocument({ requestId, uploadedBy, fileName, contentType, data }) {
+    const storageName = crypto.randomBytes(16).toString('hex');
+    const target = path.join(dir, storageName);
+    fs.writeFileSync(target, data, { flag: 'wx' });
+
+    try {
+      return db.prepare(`
+        INSERT INTO request_documents (request_id, uploaded_by, file_name, content_type, size_bytes, storage_name)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(requestId, uploadedBy, cleanFileName(fileName), contentType, data.length, storageName).lastInsertRowid;
+    } catch (error) {
+      fs.rmSync(target, { force: true });
+      throw error;
+    }
+  }
+
+  function filePath(document) {
+    return path.join(dir, document.storage_name);
+  }
+
+  // Pass a verifier to mark a document verified, or null to take that back
+  function setVerified(document, verifierId) {
+    db.prepare(`
+      UPDATE request_documents
+      SET verified_by = ?, verified_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).run(verifierId, verifierId, document.id);
+  }
+
+  // Forget a document. The file is left for deleteFile, to be called once the
+  // surrounding transaction has committed.
+  function removeDocument(document) {
+    db.prepare('DELETE FROM request_documents WHERE id = ?').run(document.id);
+  }
+
+  function deleteFile(document) {
+    fs.rmSync(filePath(document), { force: true });
+  }
+
+  return {
+    listDocuments, getDocument, companyDocuments, countDocuments, saveDocument, filePath,
+    setVerified, removeDocument, deleteFile
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  MAX_DOCUMENTS_PER_REQUEST,
+  sniffType,
+  cleanFileName,
+  createRequestDocuments
+};
@@ -0,0 +1,59 @@
+// Support request lifecycle.
+//
+// Every status change goes through transition(), which checks the move against
+// TRANSITIONS and reports what happens to hours already donated to the request.
+
+const STATUSES = ['draft', 'active', 'paused', 'fulfilled', 'cancelled', 'expired'];
+
+// status -> { action: nextStatus }
+const TRANSITIONS = {
+  draft: { publish: 'active', cancel: 'cancelled' },
+  active: { pause: 'paused', close: 'fulfilled', fulfill: 'fulfilled', cancel: 'cancelled', expire: 'expired' },
+  paused: { resume: 'active', close: 'fulfilled', cancel: 'cancelled', expire: 'expired' },
+  fulfilled: {},
+  cancelled: {},
+  expired: { reopen: 'active' }
+};
+
+// What happens to hours already donated when an action is taken:
+//   'keep'           - the requester keeps everything received so far
+//   'return'         - every donation goes back to its donor
+//   'refund_surplus' - hours beyond what the requester used go back to donors pro rata
+const DONATED_HOURS_BY_ACTION = {
+  cancel: 'return',
+  close: 'refund_surplus'
+};
+
+// Actions only the server performs; requesters can't ask for these directly
+const SYSTEM_ACTIONS = ['fulfill', 'expire', 'reopen'];
+
+// Statuses in which the requester may still edit hours, reason and dates
+const EDITABLE_STATUSES = ['draft', 'active', 'paused'];
+
+function allowedActions(status) {
+  return Object.keys(TRANSITIONS[status] || {});
+}
+
+// Returns { from, to, donatedHours } or throws when the move isn't allowed
+function transition(status, action) {
+  const to = (TRANSITIONS[status] || {})[action];
+  if (!to) {
+    const error = new Error(`Cannot ${action} a request that is ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+  return { from: status, to, donatedHours: DONATED_HOURS_BY_ACTION[action] || 'keep' };
+}
+
+function isEditable(status) {
+  return EDITABLE_STATUSES.includes(status);
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  SYSTEM_ACTIONS,
+  allowedActions,
+  transition,
+  isEditable
+};
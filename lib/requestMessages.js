@@ -0,0 +1,229 @@
+// Message threads between requesters and their donors.
+//
+// Each support request has one conversation made of:
+//   donation  the message a donor left with a donation
+//   reply     a message about one donation, from its donor or the requester
+//   note      a thank-you note from the requester to everyone who donated
+// The requester sees the whole conversation. A donor sees the notes and the
+// messages about their own donations, never another donor's. Names follow the
+// same rules as elsewhere: an anonymous donor stays anonymous to the
+// requester, and an anonymous requester to their donors.
+//
+// Anyone in a conversation may report a message they didn't write. Admins of
+// the requester's company or the author's company, and platform admins,
+// moderate: they may hide a message (its text is then only shown to
+// moderators) or dismiss the reports on it.
+
+const privacy = require('./privacy');
+
+const MESSAGE_KINDS = ['donation', 'reply', 'note'];
+const REPORT_STATUSES = ['open', 'hidden', 'dismissed'];
+const MAX_MESSAGE_LENGTH = 2000;
+
+function createRequestMessages(db, { events }) {
+  const MESSAGE_SELECT = `
+    SELECT m.*, author.first_name, author.last_name, author.company_id as author_company_id,
+           d.donor_id, d.is_anonymous as donation_anonymous,
+           (SELECT COUNT(*) FROM message_reports r WHERE r.message_id = m.id AND r.status = 'open') as open_reports
+    FROM request_messages m
+    LEFT JOIN users author ON m.author_id = author.id
+    LEFT JOIN donations d ON m.donation_id = d.id
+  `;
+
+  // A request with what the conversation rules need: its requester's name and company
+  function getRequest(requestId) {
+    return db.prepare(`
+      SELECT sr.id, sr.user_id, sr.status, sr.visibility, sr.category, u.first_name, u.last_name, u.company_id
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      WHERE sr.id = ?
+    `).get(requestId);
+  }
+
+  function getMessage(id) {
+    return db.prepare(`${MESSAGE_SELECT} WHERE m.id = ?`).get(id);
+  }
+
+  // The viewer's part in a request's conversation:
+  // { isRecipient, donationIds (their donations to it), isModerator }
+  function roleIn(viewer, request) {
+    const donationIds = db.prepare("SELECT id FROM donations WHERE request_id = ? AND donor_id = ? AND kind = 'donation'")
+      .all(request.id, viewer.id)
+      .map(row => row.id);
+    return {
+      isRecipient: viewer.id === request.user_id,
+      donationIds,
+      isModerator: canModerateRequest(viewer, request)
+    };
+  }
+
+  function canModerateRequest(viewer, request) {
+    if (viewer.is_platform_admin) return true;
+    return Boolean(viewer.is_company_admin) && viewer.company_id != null && viewer.company_id === request.company_id;
+  }
+
+  // Moderators of a message: those of its request, and admins of its author's company
+  function canModerate(viewer, request, message) {
+    if (canModerateRequest(viewer, request)) return true;
+    return Boolean(viewer.is_company_admin) && viewer.company_id != null && viewer.company_id === message.author_company_id;
+  }
+
+  function canSee(viewer, request, role, message) {
+    if (role.isRecipient || canModerate(viewer, request, message)) return true;
+    if (message.donation_id === null) return role.donationIds.length > 0;
+    return role.donationIds.includes(message.donation_id);
+  }
+
+  // Whether the viewer is kept from knowing who wrote a message
+  function authorHidden(viewer, request, message) {
+    if (message.author_id === request.user_id) {
+      const requester = { id: request.user_id, company_id: request.company_id };
+      const hiddenRequest = request.visibility === 'anonymous' || !privacy.canViewRequest(viewer, request);
+      return hiddenRequest && !privacy.canIdentify(viewer, requester);
+    }
+    const donor = { id: message.author_id, company_id: message.author_company_id };
+    return Boolean(message.donation_anonymous) && !privacy.canIdentify(viewer, donor);
+  }
+
+  function presentMessage(viewer, request, message) {
+    const moderator = canModerate(viewer, request, message);
+    const hiddenAuthor = authorHidden(viewer, request, message);
+    const hidden = message.hidden_at !== null;
+    const shown = {
+      id: message.id,
+      request_id: message.request_id,
+      donation_id: message.donation_id,
+      kind: message.kind,
+      body: hidden && !moderator ? null : message.body,
+      author_role: message.author_id === request.user_id ? 'recipient' : 'donor',
+      author_name: hiddenAuthor ? privacy.ANONYMOUS_NAME : message.first_name ? `${message.first_name} ${message.last_name}` : null,
+      author_hidden: hiddenAuthor,
+      mine: message.author_id === viewer.id,
+      hidden,
+      created_at: message.created_at
+    };
+    if (moderator) {
+      shown.hidden_reason = message.hidden_reason;
+      shown.open_reports = message.open_reports;
+    }
+    return shown;
+  }
+
+  // The conversation on a request as the viewer may see it, optionally only the
+  // notes and the messages about one donation. Returns null when the viewer has
+  // no part in it.
+  function thread(viewer, request, { donationId = null } = {}) {
+    const role = roleIn(viewer, request);
+    if (!role.isRecipient && !role.isModerator && role.donationIds.length === 0) return null;
+
+    const filter = donationId === null ? '' : 'AND (m.donation_id IS NULL OR m.donation_id = ?)';
+    const messages = db.prepare(`${MESSAGE_SELECT} WHERE m.request_id = ? ${filter} ORDER BY m.id`)
+      .all(...(donationId === null ? [request.id] : [request.id, donationId]))
+      .filter(message => canSee(viewer, request, role, message))
+      .map(message => presentMessage(viewer, request, message));
+
+    // The requester may reply about any donation, including those that came without a message
+    const donations = role.isRecipient || role.isModerator ? db.prepare(`
+      SELECT d.id, d.hours, d.status, d.is_anonymous, d.created_at, d.donor_id,
+             u.first_name as donor_first_name, u.last_name as donor_last_name, u.company_id as donor_company_id
+      FROM donations d
+      JOIN users u ON d.donor_id = u.id
+      WHERE d.request_id = ? AND d.kind = 'donation'
+      ORDER BY d.id
+    `).all(request.id).map(donation => {
+      const { donor_id, donor_company_id, is_anonymous, ...shown } = privacy.presentReceivedDonation(viewer, donation);
+      return shown;
+    }) : [];
+
+    return {
+      messages,
+      donations,
+      isRecipient: role.isRecipient,
+      myDonationIds: role.donationIds,
+      canModerate: role.isModerator
+    };
+  }
+
+  // Add a message the caller has checked the author may write. Returns its id.
+  function postMessage({ request, donationId = null, authorId, kind, body }) {
+    const messageId = db.prepare(`
+      INSERT INTO request_messages (request_id, donation_id, author_id, kind, body) VALUES (?, ?, ?, ?, ?)
+    `).run(request.id, donationId, authorId, kind, body).lastInsertRowid;
+
+    // A donation's own message is announced with the donation
+    if (kind !== 'donation') {
+      events.publish('message.posted', { messageId, requestId: request.id, donationId, authorId, kind, actorId: authorId });
+    }
+    return messageId;
+  }
+
+  // Returns false when the reporter had already reported the message
+  function reportMessage(message, reporterId, reason) {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO message_reports (message_id, reporter_id, reason) VALUES (?, ?, ?)
+    `).run(message.id, reporterId, reason);
+    if (result.changes === 0) return false;
+
+    events.publish('message.reported', { messageId: message.id, requestId: message.request_id, reporterId, actorId: reporterId });
+    return true;
+  }
+
+  // Hide a message or show it again, closing its open reports as hidden or
+  // dismissed. Returns the number of reports closed.
+  function moderateMessage(message, { hidden, actorId, reason = null }) {
+    if (hidden !== (message.hidden_at !== null)) {
+      db.prepare(`
+        UPDATE request_messages
+        SET hidden_by = ?, hidden_at = CASE WHEN ? THEN CURRENT_TIMESTAMP END, hidden_reason = ?
+        WHERE id = ?
+      `).run(hidden ? actorId : null, hidden ? 1 : 0, hidden ? reason : null, message.id);
+    }
+
+    return db.prepare(`
+      UPDATE message_reports SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE message_id = ? AND status = 'open'
+    `).run(hidden ? 'hidden' : 'dismissed', actorId, message.id).changes;
+  }
+
+  // Reported messages on a company's employees' requests or written by its
+  // employees, with their reports, for the company's admins
+  function companyReports(viewer, companyId, { status = 'open', limit = 100 } = {}) {
+    const messages = db.prepare(`
+      ${MESSAGE_SELECT}
+      JOIN support_requests sr ON m.request_id = sr.id
+      JOIN users requester ON sr.user_id = requester.id
+      WHERE (requester.company_id = ? OR author.company_id = ?)
+        AND EXISTS (SELECT 1 FROM message_reports r WHERE r.message_id = m.id AND r.status ${status === 'open' ? "= 'open'" : "!= 'open'"})
+      ORDER BY (SELECT MAX(r.id) FROM message_reports r WHERE r.message_id = m.id) DESC
+      LIMIT ?
+    `).all(companyId, companyId, limit);
+
+    const getReports = db.prepare(`
+      SELECT r.id, r.reason, r.status, r.created_at, r.resolved_at,
+             resolver.first_name || ' ' || resolver.last_name as resolved_by_name
+      FROM message_reports r
+      LEFT JOIN users resolver ON r.resolved_by = resolver.id
+      WHERE r.message_id = ?
+      ORDER BY r.id
+    `);
+
+    return messages.map(message => {
+      const request = getRequest(message.request_id);
+      const requesterHidden = request.visibility === 'anonymous' &&
+        !privacy.canIdentify(viewer, { id: request.user_id, company_id: request.company_id });
+      return {
+        ...presentMessage(viewer, request, message),
+        category: request.category,
+        requester_name: requesterHidden ? privacy.ANONYMOUS_NAME : `${request.first_name} ${request.last_name}`,
+        reports: getReports.all(message.id)
+      };
+    });
+  }
+
+  return {
+    getRequest, getMessage, roleIn, canModerate, canSee, presentMessage, thread,
+    postMessage, reportMessage, moderateMessage, companyReports
+  };
+}
+
+module.exports = { MESSAGE_KINDS, REPORT_STATUSES, MAX_MESSAGE_LENGTH, createRequestMessages };
@@ -0,0 +1,233 @@
+// Declarative request validation.
+//
+// Routes describe their input as a schema of rules instead of checking fields
+// by hand:
+//
+//   validate({
+//     body: { hours: rules.integer({ min: 1 }), message: rules.string({ max: 500, optional: true }) },
+//     checks: [checks.ordered('body', 'startDate', 'endDate')]
+//   })
+//
+// The middleware replaces req.body / req.query with the cleaned values (known
+// fields only, numbers and booleans converted) or answers 400 with
+//
+//   { error, code: 'VALIDATION_FAILED', fields: { hours: { code: 'TOO_SMALL', message } } }
+//
+// `error` repeats the field messages so callers that only show `error` still
+// say what is wrong; forms use `fields` to mark the offending inputs.
+//
+// Every rule takes { optional, nullable, default, label }. A missing field is
+// an error unless it is optional or has a default; an empty one ('' or null)
+// is an error unless it is nullable, in which case it becomes null.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "hoursNeeded" and "first_name" read as "Hours needed" and "First name"
+function humanize(field) {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function problem(code, message) {
+  return { problem: { code, message } };
+}
+
+// Wrap a parse(value, label) function in the shared handling of missing and empty values
+function rule(parse, { optional = false, nullable = false, label, ...rest } = {}) {
+  const hasDefault = Object.prototype.hasOwnProperty.call(rest, 'default');
+  return {
+    apply(value, field) {
+      const name = label || humanize(field);
+      if (value === undefined && hasDefault) return { value: rest.default };
+      if (value === undefined) return optional ? {} : problem('REQUIRED', `${name} is required`);
+      if (value === null || (typeof value === 'string' && value.trim() === '')) {
+        if (nullable) return { value: null };
+        if (hasDefault) return { value: rest.default };
+        return problem('REQUIRED', `${name} is required`);
+      }
+      return parse(value, name);
+    }
+  };
+}
+
+const rules = {
+  // Text, trimmed unless trim is false. min/max count characters;
+  // patternMessage(label) explains a pattern.
+  string({ min, max, pattern, patternMessage, trim = true, ...options } = {}) {
+    return rule((value, name) => {
+      if (typeof value !== 'string') return problem('INVALID_TYPE', `${name} must be text`);
+      const text = trim ? value.trim() : value;
+      if (min !== undefined && text.length < min) return problem('TOO_SHORT', `${name} must be at least ${min} characters`);
+      if (max !== undefined && text.length > max) return problem('TOO_LONG', `${name} must be at most ${max} characters`);
+      if (pattern && !pattern.test(text)) {
+        return problem('INVALID_FORMAT', patternMessage ? patternMessage(name) : `${name} is not in a valid format`);
+      }
+      return { value: text };
+    }, options);
+  },
+
+  // Whole numbers, given as numbers or digit strings (query strings, form values)
+  integer({ min, max, ...options } = {}) {
+    return rule((value, name) => {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(number)) return problem('INVALID_TYPE', `${name} must be a whole number`);
+      if (min !== undefined && number < min) return problem('TOO_SMALL', `${name} must be at least ${min}`);
+      if (max !== undefined && number > max) return problem('TOO_LARGE', `${name} must be at most ${max}`);
+      return { value: number };
+    }, options);
+  },
+
+  // A positive whole-number id
+  id(options = {}) {
+    return rules.integer({ min: 1, ...options });
+  },
+
+  boolean(options = {}) {
+    return rule((value, name) => {
+      if (typeof value === 'boolean') return { value };
+      if (value === 1 || value === 'true' || value === '1') return { value: true };
+      if (value === 0 || value === 'false' || value === '0') return { value: false };
+      return problem('INVALID_TYPE', `${name} must be true or false`);
+    }, options);
+  },
+
+  oneOf(values, options = {}) {
+    return rule((value, name) => (values.includes(value)
+      ? { value }
+      : problem('INVALID_CHOICE', `${name} must be one of: ${values.join(', ')}`)), options);
+  },
+
+  email(options = {}) {
+    return rules.string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: name => `${name} must be a valid email address`, ...options });
+  },
+
+  // Digits with optional +, spaces, dashes, dots and brackets; 7 to 15 digits
+  phone(options = {}) {
+    return rule((value, name) => {
+      const text = typeof value === 'string' ? value.trim() : '';
+      const digits = text.replace(/\D/g, '').length;
+      if (!PHONE_PATTERN.test(text) || digits < 7 || digits > 15) {
+        return problem('INVALID_FORMAT', `${name} must be a valid phone number`);
+      }
+      return { value: text };
+    }, options);
+  },
+
+  // A calendar date as YYYY-MM-DD
+  date(options = {}) {
+    return rule((value, name) => {
+      // Date rolls 2026-02-30 over to March and rejects month 13 outright
+      const parsed = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+      const valid = parsed && !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+      return valid ? { value } : problem('INVALID_DATE', `${name} must be a date (YYYY-MM-DD)`);
+    }, options);
+  },
+
+  // An array of items, or a comma-separated string (as in query strings)
+  list(item, { min, max, ...options } = {}) {
+    return rule((value, name) => {
+      const values = typeof value === 'string' ? value.split(',').map(part => part.trim()).filter(Boolean) : value;
+      if (!Array.isArray(values)) return problem('INVALID_TYPE', `${name} must be a list`);
+      if (min !== undefined && values.length < min) return problem('TOO_SHORT', `${name} must have at least ${min} item${min === 1 ? '' : 's'}`);
+      if (max !== undefined && values.length > max) return problem('TOO_LONG', `${name} must have at most ${max} items`);
+
+      const cleaned = [];
+      for (const [index, entry] of values.entries()) {
+        const result = item.apply(entry, `${name} item ${index + 1}`);
+        if (result.problem) return result;
+        cleaned.push(result.value);
+      }
+      return { value: cleaned };
+    }, options);
+  },
+
+  // A nested object; the first invalid field is reported against the whole value
+  object(fields, options = {}) {
+    return rule((value, name) => {
+      if (typeof value !== 'object' || Array.isArray(value)) return problem('INVALID_TYPE', `${name} must be an object`);
+      const { values, problems } = applyFields(fields, value);
+      const [field] = Object.keys(problems);
+      if (field) return problem(problems[field].code, `${name}: ${problems[field].message}`);
+      return { value: values };
+    }, options);
+  }
+};
+
+// Cross-field checks, run once every field is valid on its own
+const checks = {
+  // `later` must not come before `earlier` (dates or numbers)
+  ordered(source, earlier, later, { message } = {}) {
+    return input => {
+      const values = input[source];
+      if (values[earlier] == null || values[later] == null || values[earlier] <= values[later]) return null;
+      return {
+        field: later,
+        code: 'OUT_OF_ORDER',
+        message: message || `${humanize(later)} cannot be before ${humanize(earlier).toLowerCase()}`
+      };
+    };
+  }
+};
+
+function applyFields(fields, input = {}) {
+  const values = {};
+  const problems = {};
+  Object.entries(fields).forEach(([field, fieldRule]) => {
+    const result = fieldRule.apply(input[field], field);
+    if (result.problem) {
+      problems[field] = result.problem;
+    } else if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+  });
+  return { values, problems };
+}
+
+function sendValidationError(res, fields) {
+  return res.status(400).json({
+    error: Object.values(fields).map(field => field.message).join('; '),
+    code: 'VALIDATION_FAILED',
+    fields
+  });
+}
+
+// Reject a single field from inside a route, for rules that need the database
+function rejectField(res, field, code, message) {
+  return sendValidationError(res, { [field]: { code, message } });
+}
+
+// Route middleware for a schema of { body, query, checks }
+function validate({ body, query, checks: inputChecks = [] }) {
+  return (req, res, next) => {
+    const cleaned = {};
+    let problems = {};
+
+    // An empty query parameter (?q=) means the same as leaving it out
+    const queryInput = Object.fromEntries(Object.entries(req.query || {}).filter(([, value]) => value !== ''));
+
+    [['body', body, req.body], ['query', query, queryInput]].forEach(([source, fields, input]) => {
+      if (!fields) return;
+      const result = applyFields(fields, input || {});
+      cleaned[source] = result.values;
+      problems = { ...problems, ...result.problems };
+    });
+
+    if (Object.keys(problems).length === 0) {
+      inputChecks.forEach(check => {
+        const failed = check(cleaned);
+        if (failed) problems[failed.field] = { code: failed.code, message: failed.message };
+      });
+    }
+    if (Object.keys(problems).length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    if (body) req.body = cleaned.body;
+    if (query) req.query = cleaned.query;
+    next();
+  };
+}
+
+module.exports = { rules, checks, validate, sendValidationError, rejectField };
@@ -0,0 +1,54 @@
+// Apply, roll back or list schema migrations.
+//
+//   npm run migrate                     apply every pending migration
+//   npm run migrate -- up [version]     apply pending migrations up to version
+//   npm run migrate -- down [steps]     roll back the latest migration, or the latest steps
+//   npm run migrate -- status           list migrations and when they were applied
+
+const Database = require('better-sqlite3');
+const { createMigrator } = require('./lib/migrations');
+
+const USAGE = 'Usage: npm run migrate -- [up [version] | down [steps] | status]';
+
+function parseCount(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`${name} must be a positive whole number`);
+  }
+  return Number(value);
+}
+
+function main([command = 'up', argument]) {
+  // Same database file as server.js
+  const db = new Database('pto_buddy.db');
+  try {
+    const migrator = createMigrator(db);
+
+    if (command === 'up') {
+      const applied = migrator.up(parseCount(argument, 'version'));
+      if (applied.length === 0) console.log('Schema is up to date');
+      applied.forEach(migration => console.log(`Applied ${migration.name}`));
+    } else if (command === 'down') {
+      const reverted = migrator.down(parseCount(argument, 'steps') || 1);
+      if (reverted.length === 0) console.log('No migrations to roll back');
+      reverted.forEach(migration => console.log(`Rolled back ${migration.name}`));
+    } else if (command === 'status') {
+      migrator.status().forEach(migration => {
+        const state = migration.missing ? `applied ${migration.applied_at}, file missing`
+          : migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+        console.log(`${migration.name}  ${state}`);
+      });
+    } else {
+      throw new Error(USAGE);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,93 @@
+// Companies, users, support requests and donations, as they were before
+// migrations existed.
+//
+// Databases created back then already have these tables, some without the
+// columns that used to be added at startup, so this migration creates what is
+// missing and adds those columns rather than assuming an empty database.
+
+const { addMissingColumns } = require('../lib/migrations');
+
+// Columns added to the original tables after they were first created
+const LATER_COLUMNS = {
+  users: {
+    company_id: 'INTEGER REFERENCES companies(id)',
+    is_company_admin: 'BOOLEAN DEFAULT 0'
+  }
+};
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS companies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      domain TEXT,
+      allow_cross_company BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      phone TEXT NOT NULL,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      company_id INTEGER,
+      is_company_admin BOOLEAN DEFAULT 0,
+      can_donate BOOLEAN DEFAULT 0,
+      need_support BOOLEAN DEFAULT 0,
+      available_pto_hours INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS support_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      hours_needed INTEGER NOT NULL,
+      hours_received INTEGER DEFAULT 0,
+      urgency TEXT NOT NULL,
+      category TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      status TEXT DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS donations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      donor_id INTEGER NOT NULL,
+      request_id INTEGER NOT NULL,
+      hours INTEGER NOT NULL,
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (donor_id) REFERENCES users(id),
+      FOREIGN KEY (request_id) REFERENCES support_requests(id)
+    );
+  `);
+
+  Object.entries(LATER_COLUMNS).forEach(([table, columns]) => addMissingColumns(db, table, columns));
+
+  // Employee lists, request listings and donation totals filter on these
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_users_company ON users(company_id);
+    CREATE INDEX IF NOT EXISTS idx_support_requests_user ON support_requests(user_id);
+    CREATE INDEX IF NOT EXISTS idx_support_requests_status ON support_requests(status, start_date);
+    CREATE INDEX IF NOT EXISTS idx_donations_request ON donations(request_id);
+    CREATE INDEX IF NOT EXISTS idx_donations_donor ON donations(donor_id);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS donations;
+    DROP TABLE IF EXISTS support_requests;
+    DROP TABLE IF EXISTS users;
+    DROP TABLE IF EXISTS companies;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// Platform administrators, who manage every company
+
+const { addMissingColumns } = require('../lib/migrations');
+
+function up(db) {
+  addMissingColumns(db, 'users', { is_platform_admin: 'BOOLEAN DEFAULT 0' });
+}
+
+function down(db) {
+  db.exec('ALTER TABLE users DROP COLUMN is_platform_admin');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Donation status, so a cancelled request can hand its donations back
+
+const { addMissingColumns } = require('../lib/migrations');
+
+function up(db) {
+  addMissingColumns(db, 'donations', {
+    status: `TEXT DEFAULT 'completed'`,
+    returned_at: 'DATETIME'
+  });
+
+  // Donation totals only count completed donations
+  db.exec(`
+    DROP INDEX IF EXISTS idx_donations_request;
+    CREATE INDEX idx_donations_request ON donations(request_id, status);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_donations_request;
+    CREATE INDEX idx_donations_request ON donations(request_id);
+    ALTER TABLE donations DROP COLUMN returned_at;
+    ALTER TABLE donations DROP COLUMN status;
+  `);
+}
+
+module.exports = { up, down };
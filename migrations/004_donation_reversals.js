@@ -0,0 +1,46 @@
+// Reversals and refunds, stored as negative donations pointing at the original
+
+const { addMissingColumns } = require('../lib/migrations');
+
+function up(db) {
+  addMissingColumns(db, 'donations', {
+    kind: `TEXT DEFAULT 'donation'`,
+    reverses_donation_id: 'INTEGER REFERENCES donations(id)',
+    reversal_reason: 'TEXT',
+    actor_id: 'INTEGER'
+  });
+  db.exec('CREATE INDEX IF NOT EXISTS idx_donations_reverses ON donations(reverses_donation_id)');
+
+  // Donations returned by a cancellation used to be flagged 'returned' in place;
+  // record those returns as reversal rows like every other refund
+  const returned = db.prepare(`SELECT * FROM donations WHERE status = 'returned'`).all();
+  const insertReversal = db.prepare(`
+    INSERT INTO donations (donor_id, request_id, hours, kind, reverses_donation_id, reversal_reason, created_at)
+    VALUES (?, ?, ?, 'reversal', ?, 'request_cancelled', COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+  returned.forEach(donation => {
+    insertReversal.run(donation.donor_id, donation.request_id, -donation.hours, donation.id, donation.returned_at);
+    db.prepare(`UPDATE donations SET status = 'completed' WHERE id = ?`).run(donation.id);
+  });
+}
+
+// Returns from cancellations are flagged on the donation again. Other reversals
+// and refunds have no place in the older schema and are dropped.
+function down(db) {
+  db.exec(`
+    UPDATE donations
+    SET status = 'returned',
+        returned_at = (SELECT r.created_at FROM donations r
+                       WHERE r.reverses_donation_id = donations.id AND r.reversal_reason = 'request_cancelled')
+    WHERE id IN (SELECT reverses_donation_id FROM donations WHERE reversal_reason = 'request_cancelled');
+    DELETE FROM donations WHERE kind = 'reversal';
+
+    DROP INDEX IF EXISTS idx_donations_reverses;
+    ALTER TABLE donations DROP COLUMN actor_id;
+    ALTER TABLE donations DROP COLUMN reversal_reason;
+    ALTER TABLE donations DROP COLUMN reverses_donation_id;
+    ALTER TABLE donations DROP COLUMN kind;
+  `);
+}
+
+module.exports = { up, down };
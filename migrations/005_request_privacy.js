@@ -0,0 +1,21 @@
+// Request visibility, private reasons and anonymous donations
+
+const { addMissingColumns } = require('../lib/migrations');
+
+function up(db) {
+  addMissingColumns(db, 'support_requests', {
+    visibility: `TEXT DEFAULT 'public'`,
+    hide_reason: 'BOOLEAN DEFAULT 0'
+  });
+  addMissingColumns(db, 'donations', { is_anonymous: 'BOOLEAN DEFAULT 0' });
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE donations DROP COLUMN is_anonymous;
+    ALTER TABLE support_requests DROP COLUMN hide_reason;
+    ALTER TABLE support_requests DROP COLUMN visibility;
+  `);
+}
+
+module.exports = { up, down };
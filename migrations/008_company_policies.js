@@ -0,0 +1,24 @@
+// Per-company donation policies
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS company_policies (
+      company_id INTEGER PRIMARY KEY,
+      allow_cross_company_giving BOOLEAN DEFAULT 0,
+      allow_cross_company_receiving BOOLEAN DEFAULT 0,
+      max_donation_hours_per_year INTEGER,
+      min_donor_balance_hours INTEGER,
+      max_hours_per_request INTEGER,
+      max_hours_received_per_request INTEGER,
+      eligible_categories TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS company_policies');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+// Append-only PTO ledger, with an opening entry for every balance that predates it
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pto_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entry_type TEXT NOT NULL,
+      hours INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      donation_id INTEGER,
+      request_id INTEGER,
+      actor_id INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (donation_id) REFERENCES donations(id),
+      FOREIGN KEY (request_id) REFERENCES support_requests(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pto_ledger_user ON pto_ledger(user_id);
+    CREATE INDEX IF NOT EXISTS idx_pto_ledger_donation ON pto_ledger(donation_id);
+
+    -- The ledger is append-only; corrections are new entries
+    CREATE TRIGGER IF NOT EXISTS pto_ledger_no_update BEFORE UPDATE ON pto_ledger
+    BEGIN
+      SELECT RAISE(ABORT, 'pto_ledger is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS pto_ledger_no_delete BEFORE DELETE ON pto_ledger
+    BEGIN
+      SELECT RAISE(ABORT, 'pto_ledger is append-only');
+    END;
+  `);
+
+  // Give balances that predate the ledger an opening entry so the two agree
+  db.prepare(`
+    INSERT INTO pto_ledger (user_id, entry_type, hours, balance_after, note)
+    SELECT id, 'opening_balance', available_pto_hours, available_pto_hours,
+           'Balance carried over when the ledger was introduced'
+    FROM users
+    WHERE available_pto_hours != 0 AND id NOT IN (SELECT DISTINCT user_id FROM pto_ledger)
+  `).run();
+}
+
+function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS pto_ledger_no_update;
+    DROP TRIGGER IF EXISTS pto_ledger_no_delete;
+    DROP TABLE IF EXISTS pto_ledger;
+  `);
+}
+
+module.exports = { up, down };
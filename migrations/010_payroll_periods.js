@@ -0,0 +1,36 @@
+// Locked payroll export periods and the ledger entries each one covers
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS payroll_periods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      locked_by INTEGER,
+      locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (locked_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS payroll_period_entries (
+      period_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      ledger_entry_id INTEGER NOT NULL,
+      PRIMARY KEY (company_id, ledger_entry_id),
+      FOREIGN KEY (period_id) REFERENCES payroll_periods(id),
+      FOREIGN KEY (ledger_entry_id) REFERENCES pto_ledger(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payroll_period_entries_period ON payroll_period_entries(period_id);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS payroll_period_entries;
+    DROP TABLE IF EXISTS payroll_periods;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// In-app notifications and per-type delivery preferences
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      link TEXT,
+      read_at DATETIME,
+      hidden BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      in_app BOOLEAN NOT NULL,
+      email BOOLEAN NOT NULL,
+      PRIMARY KEY (user_id, type),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS notification_preferences;
+    DROP TABLE IF EXISTS notifications;
+  `);
+}
+
+module.exports = { up, down };
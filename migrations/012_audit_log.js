@@ -0,0 +1,39 @@
+// Audit log of administrative and balance-changing actions
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_name TEXT NOT NULL,
+      actor_company_id INTEGER,
+      actor_anonymous BOOLEAN DEFAULT 0,
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      target_name TEXT,
+      target_company_id INTEGER,
+      target_anonymous BOOLEAN DEFAULT 0,
+      before_json TEXT,
+      after_json TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log_companies (
+      entry_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      PRIMARY KEY (company_id, entry_id),
+      FOREIGN KEY (entry_id) REFERENCES audit_log(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS audit_log_companies;
+    DROP TABLE IF EXISTS audit_log;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Emailed invitations to join a company
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS company_invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      can_donate BOOLEAN DEFAULT 0,
+      pto_hours INTEGER DEFAULT 0,
+      token_hash TEXT UNIQUE NOT NULL,
+      status TEXT DEFAULT 'pending',
+      invited_by INTEGER,
+      expires_at DATETIME NOT NULL,
+      sent_count INTEGER DEFAULT 1,
+      last_sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      accepted_user_id INTEGER,
+      accepted_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (invited_by) REFERENCES users(id),
+      FOREIGN KEY (accepted_user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_company_invitations_company ON company_invitations(company_id, status);
+
+    -- At most one open invitation per address and company
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_company_invitations_pending
+      ON company_invitations(company_id, email) WHERE status = 'pending';
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS company_invitations');
+}
+
+module.exports = { up, down };
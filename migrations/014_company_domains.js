@@ -0,0 +1,64 @@
+// Verified company email domains and requests to join a company
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS company_domains (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      domain TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      verification_email TEXT,
+      code_hash TEXT,
+      code_expires_at DATETIME,
+      failed_attempts INTEGER DEFAULT 0,
+      added_by INTEGER,
+      verified_by INTEGER,
+      verified_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, domain),
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (added_by) REFERENCES users(id),
+      FOREIGN KEY (verified_by) REFERENCES users(id)
+    );
+
+    -- A domain can be verified by one company only
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_company_domains_verified
+      ON company_domains(domain) WHERE status = 'verified';
+
+    CREATE TABLE IF NOT EXISTS join_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      token_hash TEXT UNIQUE,
+      expires_at DATETIME,
+      decided_by INTEGER,
+      decided_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (decided_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_join_requests_company ON join_requests(company_id, status);
+
+    -- One open request per user
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_join_requests_open
+      ON join_requests(user_id) WHERE status IN ('pending', 'confirm_email');
+  `);
+
+  // Domains entered before verification existed start out unverified
+  db.exec(`
+    INSERT OR IGNORE INTO company_domains (company_id, domain)
+    SELECT id, lower(trim(domain)) FROM companies WHERE domain IS NOT NULL AND trim(domain) != ''
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS join_requests;
+    DROP TABLE IF EXISTS company_domains;
+  `);
+}
+
+module.exports = { up, down };
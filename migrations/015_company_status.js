@@ -0,0 +1,28 @@
+// Company lifecycle: companies registered by their own admins wait for a
+// platform admin's approval, and platform admins can suspend companies or merge
+// a duplicate into another.
+
+const STATUS_COLUMNS = {
+  status: `TEXT DEFAULT 'active'`,
+  status_reason: 'TEXT',
+  status_changed_by: 'INTEGER REFERENCES users(id)',
+  status_changed_at: 'DATETIME',
+  merged_into_id: 'INTEGER REFERENCES companies(id)'
+};
+
+function up(db) {
+  // Companies that already exist stay active
+  Object.entries(STATUS_COLUMNS).forEach(([name, definition]) => {
+    db.exec(`ALTER TABLE companies ADD COLUMN ${name} ${definition}`);
+  });
+  db.exec('CREATE INDEX IF NOT EXISTS idx_companies_status ON companies(status)');
+}
+
+function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_companies_status');
+  Object.keys(STATUS_COLUMNS).reverse().forEach(name => {
+    db.exec(`ALTER TABLE companies DROP COLUMN ${name}`);
+  });
+}
+
+module.exports = { up, down };
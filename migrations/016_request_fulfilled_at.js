@@ -0,0 +1,22 @@
+// When each support request was fulfilled, for time-to-fulfillment analytics
+
+function up(db) {
+  db.exec('ALTER TABLE support_requests ADD COLUMN fulfilled_at DATETIME');
+
+  // Requests fulfilled before this was tracked: the last donation they
+  // received, or when they were posted if they never received one
+  db.exec(`
+    UPDATE support_requests
+    SET fulfilled_at = COALESCE(
+      (SELECT MAX(d.created_at) FROM donations d WHERE d.request_id = support_requests.id AND d.kind = 'donation'),
+      created_at
+    )
+    WHERE status = 'fulfilled'
+  `);
+}
+
+function down(db) {
+  db.exec('ALTER TABLE support_requests DROP COLUMN fulfilled_at');
+}
+
+module.exports = { up, down };
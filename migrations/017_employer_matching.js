@@ -0,0 +1,63 @@
+// Employer matching: each company's matching program and the PTO pool that
+// funds it, and the matched hours each request has received
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS company_matching_programs (
+      company_id INTEGER PRIMARY KEY,
+      enabled BOOLEAN DEFAULT 0,
+      match_percent INTEGER DEFAULT 100,
+      annual_budget_hours INTEGER,
+      max_hours_per_request INTEGER,
+      updated_by INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS company_pool_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      entry_type TEXT NOT NULL,
+      hours INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      donation_id INTEGER,
+      request_id INTEGER,
+      actor_id INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (donation_id) REFERENCES donations(id),
+      FOREIGN KEY (request_id) REFERENCES support_requests(id),
+      FOREIGN KEY (actor_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_company_pool_ledger_company ON company_pool_ledger(company_id);
+    CREATE INDEX IF NOT EXISTS idx_company_pool_ledger_donation ON company_pool_ledger(donation_id);
+
+    -- The pool ledger is append-only, like the PTO ledger
+    CREATE TRIGGER IF NOT EXISTS company_pool_ledger_no_update BEFORE UPDATE ON company_pool_ledger
+    BEGIN
+      SELECT RAISE(ABORT, 'company_pool_ledger is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS company_pool_ledger_no_delete BEFORE DELETE ON company_pool_ledger
+    BEGIN
+      SELECT RAISE(ABORT, 'company_pool_ledger is append-only');
+    END;
+  `);
+
+  db.exec('ALTER TABLE support_requests ADD COLUMN hours_matched INTEGER DEFAULT 0');
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE support_requests DROP COLUMN hours_matched;
+    DROP TRIGGER IF EXISTS company_pool_ledger_no_update;
+    DROP TRIGGER IF EXISTS company_pool_ledger_no_delete;
+    DROP TABLE IF EXISTS company_pool_ledger;
+    DROP TABLE IF EXISTS company_matching_programs;
+  `);
+}
+
+module.exports = { up, down };
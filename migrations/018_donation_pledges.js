@@ -0,0 +1,56 @@
+// Recurring donation pledges, each run of them, and the pledge a donation was
+// given under
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS donation_pledges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      hours INTEGER NOT NULL,
+      period TEXT NOT NULL,
+      categories TEXT,
+      company_id INTEGER,
+      message TEXT,
+      is_anonymous BOOLEAN DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active',
+      start_date DATE NOT NULL,
+      end_date DATE,
+      periods_run INTEGER NOT NULL DEFAULT 0,
+      next_due_on DATE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (company_id) REFERENCES companies(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_donation_pledges_user ON donation_pledges(user_id);
+    CREATE INDEX IF NOT EXISTS idx_donation_pledges_due ON donation_pledges(status, next_due_on);
+
+    CREATE TABLE IF NOT EXISTS pledge_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pledge_id INTEGER NOT NULL,
+      due_on DATE NOT NULL,
+      status TEXT NOT NULL,
+      hours_given INTEGER NOT NULL DEFAULT 0,
+      donations INTEGER NOT NULL DEFAULT 0,
+      reason_code TEXT,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (pledge_id) REFERENCES donation_pledges(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pledge_runs_pledge ON pledge_runs(pledge_id);
+  `);
+
+  db.exec('ALTER TABLE donations ADD COLUMN pledge_id INTEGER REFERENCES donation_pledges(id)');
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE donations DROP COLUMN pledge_id;
+    DROP TABLE IF EXISTS pledge_runs;
+    DROP TABLE IF EXISTS donation_pledges;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,85 @@
+// PTO accrual plans with tenure bands, the plan and hire date of each employee,
+// each company's year-end carryover rules, and a record of every accrual and
+// carryover run so none is posted twice
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS accrual_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      pay_period TEXT NOT NULL,
+      first_pay_date DATE NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_accrual_plans_company ON accrual_plans(company_id);
+
+    -- Hours per pay period for employees with at least min_months of tenure
+    CREATE TABLE IF NOT EXISTS accrual_plan_bands (
+      plan_id INTEGER NOT NULL,
+      min_months INTEGER NOT NULL,
+      hours INTEGER NOT NULL,
+      PRIMARY KEY (plan_id, min_months),
+      FOREIGN KEY (plan_id) REFERENCES accrual_plans(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS accrual_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL,
+      pay_date DATE NOT NULL,
+      employees INTEGER NOT NULL,
+      hours INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (plan_id, pay_date),
+      FOREIGN KEY (plan_id) REFERENCES accrual_plans(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS company_carryover_rules (
+      company_id INTEGER PRIMARY KEY,
+      enabled BOOLEAN DEFAULT 0,
+      carryover_cap_hours INTEGER,
+      donated_hours_rule TEXT NOT NULL DEFAULT 'with_earned',
+      enabled_since DATE,
+      updated_by INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS carryover_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      year INTEGER NOT NULL,
+      employees INTEGER NOT NULL,
+      hours_forfeited INTEGER NOT NULL,
+      hours_expired INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, year),
+      FOREIGN KEY (company_id) REFERENCES companies(id)
+    );
+  `);
+
+  db.exec(`
+    ALTER TABLE users ADD COLUMN accrual_plan_id INTEGER REFERENCES accrual_plans(id);
+    ALTER TABLE users ADD COLUMN hire_date DATE;
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE users DROP COLUMN hire_date;
+    ALTER TABLE users DROP COLUMN accrual_plan_id;
+    DROP TABLE IF EXISTS carryover_runs;
+    DROP TABLE IF EXISTS company_carryover_rules;
+    DROP TABLE IF EXISTS accrual_runs;
+    DROP TABLE IF EXISTS accrual_plan_bands;
+    DROP TABLE IF EXISTS accrual_plans;
+  `);
+}
+
+module.exports = { up, down };
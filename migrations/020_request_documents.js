@@ -0,0 +1,29 @@
+// Supporting documents attached to support requests, and who verified them
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS request_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id INTEGER NOT NULL,
+      uploaded_by INTEGER,
+      file_name TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      storage_name TEXT NOT NULL UNIQUE,
+      verified_by INTEGER,
+      verified_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (request_id) REFERENCES support_requests(id),
+      FOREIGN KEY (uploaded_by) REFERENCES users(id),
+      FOREIGN KEY (verified_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_request_documents_request ON request_documents(request_id);
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS request_documents');
+}
+
+module.exports = { up, down };
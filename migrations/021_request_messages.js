@@ -0,0 +1,59 @@
+// Message threads on support requests, reports of inappropriate messages, and
+// the messages donors already left on their donations as the start of each
+// donation's thread
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS request_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id INTEGER NOT NULL,
+      donation_id INTEGER,
+      author_id INTEGER,
+      kind TEXT NOT NULL,
+      body TEXT NOT NULL,
+      hidden_by INTEGER,
+      hidden_at DATETIME,
+      hidden_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (request_id) REFERENCES support_requests(id),
+      FOREIGN KEY (donation_id) REFERENCES donations(id),
+      FOREIGN KEY (author_id) REFERENCES users(id),
+      FOREIGN KEY (hidden_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_request_messages_request ON request_messages(request_id);
+    CREATE INDEX IF NOT EXISTS idx_request_messages_donation ON request_messages(donation_id);
+
+    CREATE TABLE IF NOT EXISTS message_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      reporter_id INTEGER,
+      reason TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_by INTEGER,
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (message_id, reporter_id),
+      FOREIGN KEY (message_id) REFERENCES request_messages(id),
+      FOREIGN KEY (reporter_id) REFERENCES users(id),
+      FOREIGN KEY (resolved_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_reports_status ON message_reports(status);
+
+    INSERT INTO request_messages (request_id, donation_id, author_id, kind, body, created_at)
+    SELECT request_id, id, donor_id, 'donation', message, created_at
+    FROM donations
+    WHERE message IS NOT NULL AND trim(message) != ''
+    ORDER BY id;
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS message_reports;
+    DROP TABLE IF EXISTS request_messages;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Requests to delete an account, each waiting out its cooling-off period, and
+// the mark left on a user row once the account is anonymized
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS account_deletions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      company_id INTEGER,
+      requested_by INTEGER,
+      reason TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      scheduled_for DATETIME NOT NULL,
+      cancelled_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (requested_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_account_deletions_due ON account_deletions(status, scheduled_for);
+
+    -- One pending deletion per user
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletions_pending
+      ON account_deletions(user_id) WHERE status = 'pending';
+  `);
+
+  db.exec('ALTER TABLE users ADD COLUMN deleted_at DATETIME');
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE users DROP COLUMN deleted_at;
+    DROP TABLE IF EXISTS account_deletions;
+  `);
+}
+
+module.exports = { up, down };
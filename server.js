@@ -2,88 +2,309 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const Database = require('better-sqlite3');
+const crypto = require('crypto');
 const path = require('path');
+const { createMailer } = require('./lib/mailer');
+const requestLifecycle = require('./lib/requestLifecycle');
+const donationPolicy = require('./lib/donationPolicy');
+const { createLedger } = require('./lib/ptoLedger');
+const privacy = require('./lib/privacy');
+const employeeImport = require('./lib/employeeImport');
+const csv = require('./lib/csv');
+const payrollReport = require('./lib/payrollReport');
+const { createEventBus } = require('./lib/events');
+const { NOTIFICATION_TYPES, createNotifications } = require('./lib/notifications');
+const { createLiveUpdates } = require('./lib/liveUpdates');
+const listQuery = require('./lib/listQuery');
+const auditLog = require('./lib/auditLog');
+const { createMigrator } = require('./lib/migrations');
+const { INVITATION_STATUSES, createInvitations } = require('./lib/invitations');
+const { FREE_EMAIL_DOMAINS, JOIN_REQUEST_STATUSES, emailDomain, createCompanyMembership } = require('./lib/companyMembership');
+const { COMPANY_STATUSES, STATUS_CHANGES, createPlatformAdmin } = require('./lib/platformAdmin');
+const companyAnalytics = require('./lib/companyAnalytics');
+const { createEmployerMatching } = require('./lib/employerMatching');
+const { PLEDGE_PERIODS, createDonationPledges } = require('./lib/donationPledges');
+const { PAY_PERIODS, DONATED_HOURS_RULES, MAX_BANDS, createPtoAccruals } = require('./lib/ptoAccruals');
+const {
+  DOCUMENT_TYPES, MAX_DOCUMENT_BYTES, MAX_DOCUMENTS_PER_REQUEST, sniffType, createRequestDocuments
+} = require('./lib/requestDocuments');
+const { MAX_MESSAGE_LENGTH, createRequestMessages } = require('./lib/requestMessages');
+const { createAccountDeletion } = require('./lib/accountDeletion');
+const { rules, checks, validate, sendValidationError, rejectField } = require('./lib/validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const DOCUMENTS_DIR = path.resolve(process.env.DOCUMENTS_DIR || path.join(__dirname, 'documents'));
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Supporting documents are only sent through their access-checked route, so
+// a documents directory inside the app's folder must never be served as is
+const documentsPath = path.relative(__dirname, DOCUMENTS_DIR);
+if (documentsPath && !documentsPath.startsWith('..') && !path.isAbsolute(documentsPath)) {
+  app.use(`/${documentsPath.split(path.sep).join('/')}`, (req, res) => res.status(404).end());
+}
 app.use(express.static(path.join(__dirname, '/')));
 
 // Initialize SQLite database
 const db = new Database('pto_buddy.db');
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS companies (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT UNIQUE NOT NULL,
-    domain TEXT,
-    allow_cross_company BOOLEAN DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    first_name TEXT NOT NULL,
-    last_name TEXT NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    phone TEXT NOT NULL,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    company_id INTEGER,
-    is_company_admin BOOLEAN DEFAULT 0,
-    can_donate BOOLEAN DEFAULT 0,
-    need_support BOOLEAN DEFAULT 0,
-    available_pto_hours INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (company_id) REFERENCES companies(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS support_requests (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    hours_needed INTEGER NOT NULL,
-    hours_received INTEGER DEFAULT 0,
-    urgency TEXT NOT NULL,
-    category TEXT NOT NULL,
-    reason TEXT NOT NULL,
-    start_date DATE NOT NULL,
-    end_date DATE,
-    status TEXT DEFAULT 'active',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS donations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    donor_id INTEGER NOT NULL,
-    request_id INTEGER NOT NULL,
-    hours INTEGER NOT NULL,
-    message TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (donor_id) REFERENCES users(id),
-    FOREIGN KEY (request_id) REFERENCES support_requests(id)
-  );
-`);
-
-// Add columns to existing tables if they don't exist (for migrations)
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN company_id INTEGER REFERENCES companies(id)`);
-} catch (e) { /* column already exists */ }
-
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN is_company_admin BOOLEAN DEFAULT 0`);
-} catch (e) { /* column already exists */ }
+// Bring the schema up to date. A failing migration stops the server rather
+// than letting it run against a half-migrated database.
+createMigrator(db).up().forEach(migration => {
+  console.log(`Applied migration ${migration.name}`);
+});
+
+// Grant the platform admin role to the usernames listed in PLATFORM_ADMINS (comma-separated)
+if (process.env.PLATFORM_ADMINS) {
+  const promote = db.prepare('UPDATE users SET is_platform_admin = 1 WHERE username = ?');
+  process.env.PLATFORM_ADMINS.split(',').map(name => name.trim()).filter(Boolean).forEach(name => promote.run(name));
+}
+
+const mailer = createMailer(db);
+const ledger = createLedger(db);
+const matching = createEmployerMatching(db, { ledger });
+const accruals = createPtoAccruals(db, { ledger });
+const requestDocuments = createRequestDocuments(db, { dir: DOCUMENTS_DIR });
+const payroll = payrollReport.createPayrollReports(db);
+const audit = auditLog.createAuditLog(db);
+const events = createEventBus();
+const notifications = createNotifications(db, { mailer, events, appUrl: APP_URL });
+const messages = createRequestMessages(db, { events });
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const invitations = createInvitations(db, { mailer, appUrl: APP_URL, ttlDays: INVITATION_TTL_DAYS });
+const membership = createCompanyMembership(db, { mailer, appUrl: APP_URL });
+const platform = createPlatformAdmin(db);
+
+const DELETION_COOLING_OFF_DAYS = parseInt(process.env.DELETION_COOLING_OFF_DAYS) || 14;
+const accountDeletion = createAccountDeletion(db, { ledger, requestDocuments, coolingOffDays: DELETION_COOLING_OFF_DAYS });
+
+// ============== SESSIONS & AUTHORIZATION ==============
+
+const SESSION_COOKIE = 'ptobuddy_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+// Session tokens are only ever stored hashed, so a leaked database can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new session for a user and set it as an HttpOnly cookie
+function createSession(res, userId) {
+  db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`).run();
+
+  const token = crypto.randomBytes(32).toString('hex');
+  db.prepare(`
+    INSERT INTO sessions (user_id, token_hash, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(userId, hashToken(token), `+${SESSION_TTL_HOURS} hours`);
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000
+  });
+
+  return token;
+}
+
+// Read the session token from an "Authorization: Bearer" header or the session cookie
+function readSessionToken(req) {
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+
+  const cookieHeader = req.get('Cookie');
+  if (!cookieHeader) return null;
+
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+const SESSION_USER_SELECT = `
+  SELECT s.id as session_id, u.id, u.first_name, u.last_name, u.email, u.username,
+         u.company_id, u.is_company_admin, u.is_platform_admin
+  FROM sessions s
+  JOIN users u ON s.user_id = u.id
+  WHERE s.revoked_at IS NULL AND s.expires_at > datetime('now')
+`;
+
+// The user behind a still-valid session, or null (for long-lived connections)
+function loadSessionUser(sessionId) {
+  const session = db.prepare(`${SESSION_USER_SELECT} AND s.id = ?`).get(sessionId);
+  if (!session) return null;
+  const { session_id, ...user } = session;
+  return user;
+}
+
+// Resolve the acting user from the session on every API call
+app.use('/api', (req, res, next) => {
+  try {
+    const token = readSessionToken(req);
+    if (token) {
+      const session = db.prepare(`${SESSION_USER_SELECT} AND s.token_hash = ?`).get(hashToken(token));
+
+      if (session) {
+        const { session_id, ...user } = session;
+        req.sessionId = session_id;
+        req.user = user;
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+});
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// The acting user must be the user named by the route parameter
+function requireSelf(param) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.user.is_platform_admin || String(req.user.id) === String(req.params[param])) {
+      return next();
+    }
+    res.status(403).json({ error: 'Access denied' });
+  };
+}
+
+// The acting user must be an admin of the company named by the route parameter
+function requireCompanyAdmin(param) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.user.is_platform_admin ||
+        (req.user.is_company_admin && String(req.user.company_id) === String(req.params[param]))) {
+      return next();
+    }
+    res.status(403).json({ error: 'Company admin privileges required' });
+  };
+}
+
+function requirePlatformAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!req.user.is_platform_admin) {
+    return res.status(403).json({ error: 'Platform admin privileges required' });
+  }
+  next();
+}
+
+const INACTIVE_COMPANY_ERRORS = {
+  pending: { error: 'This company is waiting for approval by PTO Buddy', code: 'COMPANY_PENDING' },
+  suspended: { error: 'This company is suspended', code: 'COMPANY_SUSPENDED' },
+  merged: { error: 'This company was merged into another company', code: 'COMPANY_MERGED' }
+};
+
+// The error to send when a company isn't active, or null when it is (or there is no company)
+function inactiveCompanyError(companyId) {
+  const company = companyId ? db.prepare('SELECT status FROM companies WHERE id = ?').get(companyId) : null;
+  return company && company.status !== 'active' ? INACTIVE_COMPANY_ERRORS[company.status] : null;
+}
+
+// The company named by the route parameter, or else the acting user's, must be
+// active. Platform admins may act on any company.
+function requireActiveCompany(param) {
+  return (req, res, next) => {
+    const companyId = param ? req.params[param] : req.user && req.user.company_id;
+    const problem = req.user && req.user.is_platform_admin ? null : inactiveCompanyError(companyId);
+    if (problem) {
+      return res.status(403).json(problem);
+    }
+    next();
+  };
+}
+
+// ============== INPUT VALIDATION ==============
+
+// Requests, donations and balances are capped at a working year of hours
+const MAX_HOURS = 2080;
+
+const USERNAME_PATTERN = /^[a-z0-9._-]+$/i;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// Field rules shared by several routes
+const FIELDS = {
+  name: options => rules.string({ max: 100, ...options }),
+  email: options => rules.email(options),
+  phone: options => rules.phone(options),
+  username: options => rules.string({
+    min: 3,
+    max: 50,
+    pattern: USERNAME_PATTERN,
+    patternMessage: name => `${name} may only contain letters, numbers, dots, dashes and underscores`,
+    ...options
+  }),
+  password: options => rules.string({ max: 200, trim: false, ...options }),
+  newPassword: options => rules.string({ min: 8, max: 200, trim: false, ...options }),
+  hours: options => rules.integer({ min: 1, max: MAX_HOURS, ...options }),
+  balance: options => rules.integer({ min: 0, max: MAX_HOURS, ...options }),
+  domain: options => rules.string({
+    max: 253,
+    pattern: DOMAIN_PATTERN,
+    patternMessage: name => `${name} must be a domain such as example.com`,
+    ...options
+  }),
+  category: options => rules.oneOf(donationPolicy.REQUEST_CATEGORIES, options),
+  categories: options => rules.list(rules.oneOf(donationPolicy.REQUEST_CATEGORIES), options),
+  reason: options => rules.string({ max: 2000, ...options }),
+  date: options => rules.date(options)
+};
+
+// Whether an account other than exceptUserId already uses this email
+function emailTaken(email, exceptUserId = null) {
+  return !!db.prepare('SELECT 1 FROM users WHERE email = ? AND id != ?').get(email, exceptUserId || 0);
+}
+
+// ?limit and ?cursor on paginated lists
+const PAGING_QUERY = {
+  limit: rules.integer({ min: 1, optional: true }),
+  cursor: rules.string({ optional: true })
+};
+
+// Turn validated ?limit and ?cursor into paging options for a sort; sends a 400
+// and returns null when the cursor belongs to another sort or is malformed
+function readPaging(req, res, sortName, sort) {
+  const limit = listQuery.parseLimit(req.query.limit);
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = listQuery.decodeCursor(req.query.cursor, sortName, sort);
+    if (!cursor) {
+      rejectField(res, 'cursor', 'INVALID_CURSOR', 'Invalid cursor; start again from the first page');
+      return null;
+    }
+  }
+  return { limit, cursor };
+}
 
 // ============== COMPANY ROUTES ==============
 
 // Get all companies (for dropdown)
 app.get('/api/companies', (req, res) => {
   try {
-    const companies = db.prepare('SELECT id, name FROM companies ORDER BY name').all();
+    const companies = db.prepare(`SELECT id, name FROM companies WHERE status = 'active' ORDER BY name`).all();
     res.json(companies);
   } catch (error) {
     console.error('Get companies error:', error);
@@ -92,22 +313,39 @@ app.get('/api/companies', (req, res) => {
 });
 
 // Create a new company (when registering as company admin)
-app.post('/api/companies', (req, res) => {
+app.post('/api/companies', requirePlatformAdmin, validate({
+  body: {
+    name: FIELDS.name({ label: 'Company name' }),
+    domain: FIELDS.domain({ optional: true, nullable: true }),
+    allowCrossCompany: rules.boolean({ default: false })
+  }
+}), (req, res) => {
   try {
     const { name, domain, allowCrossCompany } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: 'Company name is required' });
-    }
-
     // Check if company already exists
     const existing = db.prepare('SELECT id FROM companies WHERE name = ?').get(name);
     if (existing) {
       return res.status(400).json({ error: 'Company already exists' });
     }
 
-    const stmt = db.prepare('INSERT INTO companies (name, domain, allow_cross_company) VALUES (?, ?, ?)');
-    const result = stmt.run(name, domain || null, allowCrossCompany ? 1 : 0);
+    const result = db.transaction(() => {
+      const created = db.prepare('INSERT INTO companies (name, domain, allow_cross_company) VALUES (?, ?, ?)')
+        .run(name, domain || null, allowCrossCompany ? 1 : 0);
+      // The company's admins verify it before it admits anyone
+      if (domain) {
+        db.prepare('INSERT INTO company_domains (company_id, domain, added_by) VALUES (?, ?, ?)')
+          .run(created.lastInsertRowid, domain.toLowerCase(), req.user.id);
+      }
+      audit.record({
+        action: 'company.create',
+        actorId: req.user.id,
+        target: { type: 'company', id: created.lastInsertRowid, name, companyId: created.lastInsertRowid },
+        after: { name, domain: domain || null, allow_cross_company: !!allowCrossCompany },
+        ip: req.ip
+      });
+      return created;
+    })();
 
     res.status(201).json({
       message: 'Company created',
@@ -120,7 +358,7 @@ app.post('/api/companies', (req, res) => {
 });
 
 // Get company details
-app.get('/api/companies/:id', (req, res) => {
+app.get('/api/companies/:id', requireAuth, (req, res) => {
   try {
     const company = db.prepare('SELECT * FROM companies WHERE id = ?').get(req.params.id);
     if (!company) {
@@ -133,19 +371,64 @@ app.get('/api/companies/:id', (req, res) => {
   }
 });
 
-// Get company employees (for admin)
-app.get('/api/companies/:id/employees', (req, res) => {
+const EMPLOYEE_SORTS = {
+  name: [
+    { expr: 'last_name', dir: 'ASC', value: row => row.last_name },
+    { expr: 'first_name', dir: 'ASC', value: row => row.first_name },
+    { expr: 'id', dir: 'ASC', value: row => row.id }
+  ],
+  balance: [
+    { expr: 'available_pto_hours', dir: 'DESC', value: row => row.available_pto_hours },
+    { expr: 'id', dir: 'ASC', value: row => row.id }
+  ],
+  newest: [
+    { expr: 'created_at', dir: 'DESC', value: row => row.created_at },
+    { expr: 'id', dir: 'DESC', value: row => row.id }
+  ]
+};
+
+const EMPLOYEE_ROLES = {
+  donors: 'can_donate = 1',
+  recipients: 'need_support = 1',
+  admins: 'is_company_admin = 1'
+};
+
+// Get a company's employees (for admin).
+// Filters: role (donors | recipients | admins), q (searches name, email and username).
+// sort: name (default) | balance | newest; limit, cursor.
+app.get('/api/companies/:id/employees', requireCompanyAdmin('id'), validate({
+  query: {
+    role: rules.oneOf(Object.keys(EMPLOYEE_ROLES), { optional: true }),
+    q: rules.string({ max: 200, optional: true }),
+    sort: rules.oneOf(Object.keys(EMPLOYEE_SORTS), { default: 'name' }),
+    ...PAGING_QUERY
+  }
+}), (req, res) => {
   try {
-    const employees = db.prepare(`
-      SELECT
+    const { role, q, sort: sortName } = req.query;
+    const sort = EMPLOYEE_SORTS[sortName];
+
+    const paging = readPaging(req, res, sortName, sort);
+    if (!paging) return;
+
+    const filters = [{ sql: 'company_id = ? AND deleted_at IS NULL', params: [req.params.id] }];
+    if (role) filters.push({ sql: EMPLOYEE_ROLES[role], params: [] });
+    const search = listQuery.searchSql(q, ["first_name || ' ' || last_name", 'email', 'username']);
+    if (search) filters.push(search);
+
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: `
         id, first_name, last_name, email, phone, username,
-        is_company_admin, can_donate, need_support, available_pto_hours, created_at
-      FROM users
-      WHERE company_id = ?
-      ORDER BY last_name, first_name
-    `).all(req.params.id);
+        is_company_admin, can_donate, need_support, available_pto_hours, accrual_plan_id, hire_date, created_at
+      `,
+      from: 'FROM users',
+      filters,
+      sortName,
+      sort,
+      ...paging
+    });
 
-    res.json(employees);
+    res.json({ employees: items, total, nextCursor });
   } catch (error) {
     console.error('Get employees error:', error);
     res.status(500).json({ error: 'Failed to get employees' });
@@ -153,19 +436,19 @@ app.get('/api/companies/:id/employees', (req, res) => {
 });
 
 // Get company stats (for admin)
-app.get('/api/companies/:id/stats', (req, res) => {
+app.get('/api/companies/:id/stats', requireCompanyAdmin('id'), (req, res) => {
   try {
     const companyId = req.params.id;
 
-    const totalEmployees = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ?').get(companyId);
+    const totalEmployees = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND deleted_at IS NULL').get(companyId);
 
-    const totalDonors = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND can_donate = 1').get(companyId);
+    const totalDonors = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND can_donate = 1 AND deleted_at IS NULL').get(companyId);
 
     const totalDonated = db.prepare(`
       SELECT COALESCE(SUM(d.hours), 0) as total
       FROM donations d
       JOIN users u ON d.donor_id = u.id
-      WHERE u.company_id = ?
+      WHERE u.company_id = ? AND d.status = 'completed'
     `).get(companyId);
 
     const totalReceived = db.prepare(`
@@ -173,7 +456,7 @@ app.get('/api/companies/:id/stats', (req, res) => {
       FROM donations d
       JOIN support_requests sr ON d.request_id = sr.id
       JOIN users u ON sr.user_id = u.id
-      WHERE u.company_id = ?
+      WHERE u.company_id = ? AND d.status = 'completed'
     `).get(companyId);
 
     const activeRequests = db.prepare(`
@@ -190,7 +473,7 @@ app.get('/api/companies/:id/stats', (req, res) => {
       JOIN users donor ON d.donor_id = donor.id
       JOIN support_requests sr ON d.request_id = sr.id
       JOIN users recipient ON sr.user_id = recipient.id
-      WHERE donor.company_id = ? AND recipient.company_id != ?
+      WHERE donor.company_id = ? AND recipient.company_id != ? AND d.status = 'completed'
     `).get(companyId, companyId);
 
     // Cross-company donations received
@@ -200,9 +483,11 @@ app.get('/api/companies/:id/stats', (req, res) => {
       JOIN users donor ON d.donor_id = donor.id
       JOIN support_requests sr ON d.request_id = sr.id
       JOIN users recipient ON sr.user_id = recipient.id
-      WHERE recipient.company_id = ? AND donor.company_id != ?
+      WHERE recipient.company_id = ? AND donor.company_id != ? AND d.status = 'completed'
     `).get(companyId, companyId);
 
+    const matched = matching.summary(companyId);
+
     res.json({
       totalEmployees: totalEmployees.count,
       totalDonors: totalDonors.count,
@@ -210,7 +495,9 @@ app.get('/api/companies/:id/stats', (req, res) => {
       totalReceived: totalReceived.total,
       activeRequests: activeRequests.count,
       crossCompanyGiven: crossCompanyGiven.total,
-      crossCompanyReceived: crossCompanyReceived.total
+      crossCompanyReceived: crossCompanyReceived.total,
+      totalMatched: matched.matchedTotal,
+      matchPoolBalance: matched.poolBalance
     });
   } catch (error) {
     console.error('Get company stats error:', error);
@@ -219,17 +506,49 @@ app.get('/api/companies/:id/stats', (req, res) => {
 });
 
 // Update employee (for admin)
-app.put('/api/companies/:companyId/employees/:userId', (req, res) => {
+app.put('/api/companies/:companyId/employees/:userId', requireCompanyAdmin('companyId'), validate({
+  body: {
+    company_id: rules.id({ optional: true, nullable: true, label: 'Company' }),
+    first_name: FIELDS.name({ optional: true }),
+    last_name: FIELDS.name({ optional: true }),
+    email: FIELDS.email({ optional: true }),
+    phone: FIELDS.phone({ optional: true }),
+    can_donate: rules.boolean({ optional: true }),
+    need_support: rules.boolean({ optional: true }),
+    available_pto_hours: FIELDS.balance({ optional: true, label: 'Available PTO hours' }),
+    is_company_admin: rules.boolean({ optional: true }),
+    accrual_plan_id: rules.id({ optional: true, nullable: true, label: 'Accrual plan' }),
+    hire_date: FIELDS.date({ optional: true, nullable: true })
+  }
+}), (req, res) => {
   try {
     const { companyId, userId } = req.params;
-    const { company_id, first_name, last_name, email, phone, can_donate, need_support, available_pto_hours, is_company_admin } = req.body;
+    const {
+      company_id, first_name, last_name, email, phone, can_donate, need_support, available_pto_hours, is_company_admin,
+      accrual_plan_id, hire_date
+    } = req.body;
 
     // Verify user belongs to this company
-    const user = db.prepare('SELECT company_id FROM users WHERE id = ?').get(userId);
-    if (!user || user.company_id != companyId) {
+    const user = db.prepare(`
+      SELECT company_id, first_name, last_name, email, phone, can_donate, need_support, available_pto_hours, is_company_admin,
+             accrual_plan_id, hire_date, deleted_at
+      FROM users WHERE id = ?
+    `).get(userId);
+    if (!user || user.company_id != companyId || user.deleted_at) {
       return res.status(403).json({ error: 'User does not belong to this company' });
     }
 
+    // Moving someone into another company is a platform-level action
+    if (company_id !== undefined && company_id != companyId && !req.user.is_platform_admin) {
+      return res.status(403).json({ error: 'Only platform admins can move employees between companies' });
+    }
+    if (email !== undefined && emailTaken(email, userId)) {
+      return rejectField(res, 'email', 'TAKEN', 'Another account already uses this email');
+    }
+    if (accrual_plan_id != null && !accruals.getPlan(Number(companyId), accrual_plan_id)) {
+      return rejectField(res, 'accrual_plan_id', 'NOT_FOUND', 'Accrual plan not found');
+    }
+
     const updates = [];
     const values = [];
 
@@ -240,18 +559,59 @@ app.put('/api/companies/:companyId/employees/:userId', (req, res) => {
     if (phone !== undefined) { updates.push('phone = ?'); values.push(phone); }
     if (can_donate !== undefined) { updates.push('can_donate = ?'); values.push(can_donate ? 1 : 0); }
     if (need_support !== undefined) { updates.push('need_support = ?'); values.push(need_support ? 1 : 0); }
-    if (available_pto_hours !== undefined) { updates.push('available_pto_hours = ?'); values.push(available_pto_hours); }
     if (is_company_admin !== undefined) { updates.push('is_company_admin = ?'); values.push(is_company_admin ? 1 : 0); }
+    if (accrual_plan_id !== undefined) { updates.push('accrual_plan_id = ?'); values.push(accrual_plan_id); }
+    if (hire_date !== undefined) { updates.push('hire_date = ?'); values.push(hire_date); }
+
+    db.transaction(() => {
+      const changes = updates.map(update => update.split(' = ')[0]);
+      if (updates.length > 0) {
+        values.push(userId);
+        db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+      }
 
-    if (updates.length > 0) {
-      values.push(userId);
-      db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...values);
-    }
+      // Balance changes are recorded as ledger adjustments, never written directly
+      if (available_pto_hours !== undefined) {
+        const entryId = ledger.setBalance({
+          userId: Number(userId),
+          balance: available_pto_hours,
+          type: 'admin_adjustment',
+          actorId: req.user.id,
+          note: 'Balance set by company admin'
+        });
+        if (entryId) changes.push('available_pto_hours');
+      }
+
+      events.publish('employee.updated', {
+        userId: Number(userId),
+        companyId: Number(companyId),
+        actorId: req.user.id,
+        changes,
+        balance: available_pto_hours
+      });
+
+      const after = db.prepare(`
+        SELECT company_id, first_name, last_name, email, phone, can_donate, need_support, available_pto_hours, is_company_admin,
+               accrual_plan_id, hire_date
+        FROM users WHERE id = ?
+      `).get(userId);
+      const changed = auditLog.diff(user, after);
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'employee.update',
+          actorId: req.user.id,
+          target: { type: 'user', id: Number(userId) },
+          ...changed,
+          companyIds: [Number(companyId)],
+          ip: req.ip
+        });
+      }
+    })();
 
     // Return updated employee
     const updatedEmployee = db.prepare(`
       SELECT id, first_name, last_name, email, phone, username, company_id,
-             is_company_admin, can_donate, need_support, available_pto_hours, created_at
+             is_company_admin, can_donate, need_support, available_pto_hours, accrual_plan_id, hire_date, created_at
       FROM users WHERE id = ?
     `).get(userId);
 
@@ -263,32 +623,61 @@ app.put('/api/companies/:companyId/employees/:userId', (req, res) => {
 });
 
 // Remove employee from company (for admin)
-app.delete('/api/companies/:companyId/employees/:userId', (req, res) => {
+app.delete('/api/companies/:companyId/employees/:userId', requireCompanyAdmin('companyId'), validate({
+  query: { removeFromCompany: rules.boolean({ default: false }) }
+}), (req, res) => {
   try {
     const { companyId, userId } = req.params;
     const { removeFromCompany } = req.query;
 
     // Verify user belongs to this company
-    const user = db.prepare('SELECT company_id, is_company_admin FROM users WHERE id = ?').get(userId);
-    if (!user || user.company_id != companyId) {
+    const user = db.prepare(`
+      SELECT company_id, is_company_admin, first_name, last_name, available_pto_hours, deleted_at
+      FROM users WHERE id = ?
+    `).get(userId);
+    if (!user || user.company_id != companyId || user.deleted_at) {
       return res.status(403).json({ error: 'User does not belong to this company' });
     }
 
     // Prevent removing the last admin
     if (user.is_company_admin) {
-      const adminCount = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND is_company_admin = 1').get(companyId);
+      const adminCount = db.prepare('SELECT COUNT(*) as count FROM users WHERE company_id = ? AND is_company_admin = 1 AND deleted_at IS NULL').get(companyId);
       if (adminCount.count <= 1) {
         return res.status(400).json({ error: 'Cannot remove the only company admin' });
       }
     }
 
-    if (removeFromCompany === 'true') {
+    const removed = {
+      userId: Number(userId),
+      companyId: Number(companyId),
+      actorId: req.user.id,
+      name: `${user.first_name} ${user.last_name}`,
+      deleted: !removeFromCompany
+    };
+
+    const auditEntry = {
+      actorId: req.user.id,
+      target: { type: 'user', id: Number(userId) },
+      companyIds: [Number(companyId)],
+      ip: req.ip
+    };
+
+    if (removeFromCompany) {
       // Just remove from company (set company_id to null)
-      db.prepare('UPDATE users SET company_id = NULL, is_company_admin = 0 WHERE id = ?').run(userId);
+      db.transaction(() => {
+        audit.record({
+          ...auditEntry,
+          action: 'employee.remove',
+          before: { company_id: user.company_id, is_company_admin: user.is_company_admin },
+          after: { company_id: null, is_company_admin: 0 }
+        });
+        db.prepare('UPDATE users SET company_id = NULL, is_company_admin = 0 WHERE id = ?').run(userId);
+        events.publish('employee.removed', removed);
+      })();
       res.json({ message: 'Employee removed from company' });
     } else {
-      // Delete the user entirely
-      db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+      // Anonymize the account at once; its donations and requests stay in the totals
+      deleteAccount(Number(userId), { action: 'employee.delete', actorId: req.user.id, ip: req.ip });
       res.json({ message: 'Employee deleted' });
     }
   } catch (error) {
@@ -297,8 +686,23 @@ app.delete('/api/companies/:companyId/employees/:userId', (req, res) => {
   }
 });
 
-// Add employee to company (for admin - invite existing user or create new)
-app.post('/api/companies/:companyId/employees', async (req, res) => {
+const NEW_EMPLOYEE_LABELS = { firstName: 'First name', lastName: 'Last name', phone: 'Phone', username: 'Username', password: 'Password' };
+
+// Create an account for a new employee with the username and password the admin chooses.
+// People who already have an account are invited instead (see COMPANY INVITATIONS).
+app.post('/api/companies/:companyId/employees', requireCompanyAdmin('companyId'), requireActiveCompany('companyId'), validate({
+  body: {
+    email: FIELDS.email(),
+    firstName: FIELDS.name({ optional: true }),
+    lastName: FIELDS.name({ optional: true }),
+    phone: FIELDS.phone({ optional: true }),
+    username: FIELDS.username({ optional: true }),
+    password: FIELDS.newPassword({ optional: true }),
+    canDonate: rules.boolean({ default: false }),
+    needSupport: rules.boolean({ default: false }),
+    ptoHours: FIELDS.balance({ default: 0, label: 'PTO hours' })
+  }
+}), async (req, res) => {
   try {
     const { companyId } = req.params;
     const { email, firstName, lastName, phone, username, password, canDonate, needSupport, ptoHours } = req.body;
@@ -309,542 +713,4223 @@ app.post('/api/companies/:companyId/employees', async (req, res) => {
       return res.status(404).json({ error: 'Company not found' });
     }
 
-    // Check if user with this email already exists
-    const existingUser = db.prepare('SELECT id, company_id FROM users WHERE email = ?').get(email);
+    // People who already have an account join by accepting an invitation
+    if (db.prepare('SELECT 1 FROM users WHERE lower(email) = lower(?)').get(email)) {
+      return rejectField(res, 'email', 'ACCOUNT_EXISTS', 'An account already uses this email; send an invitation instead');
+    }
 
-    if (existingUser) {
-      if (existingUser.company_id) {
-        return res.status(400).json({ error: 'User is already assigned to a company' });
-      }
-      // Add existing user to company
-      db.prepare('UPDATE users SET company_id = ? WHERE id = ?').run(companyId, existingUser.id);
-      res.json({ message: 'User added to company', userId: existingUser.id });
-    } else {
-      // Create new user
-      if (!firstName || !lastName || !phone || !username || !password) {
-        return res.status(400).json({ error: 'All fields required for new employee' });
-      }
+    const missing = Object.entries({ firstName, lastName, phone, username, password })
+      .filter(([, value]) => value === undefined)
+      .map(([field]) => field);
+    if (missing.length > 0) {
+      return sendValidationError(res, Object.fromEntries(missing.map(field => [field, {
+        code: 'REQUIRED',
+        message: `${NEW_EMPLOYEE_LABELS[field]} is required for a new employee`
+      }])));
+    }
 
-      // Check if username is taken
-      const existingUsername = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
-      if (existingUsername) {
-        return res.status(400).json({ error: 'Username already exists' });
-      }
+    // Check if username is taken
+    const existingUsername = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+    if (existingUsername) {
+      return rejectField(res, 'username', 'TAKEN', 'Username already exists');
+    }
 
-      const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await bcrypt.hash(password, 10);
 
+    const newUserId = db.transaction(() => {
       const result = db.prepare(`
-        INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, can_donate, need_support, available_pto_hours)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(firstName, lastName, email, phone, username, hashedPassword, companyId, canDonate ? 1 : 0, needSupport ? 1 : 0, ptoHours || 0);
+        INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, can_donate, need_support)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(firstName, lastName, email, phone, username, hashedPassword, companyId, canDonate ? 1 : 0, needSupport ? 1 : 0);
 
-      res.status(201).json({ message: 'Employee created', userId: result.lastInsertRowid });
-    }
+      if (ptoHours) {
+        ledger.post({ userId: result.lastInsertRowid, type: 'opening_balance', hours: ptoHours, actorId: req.user.id });
+      }
+      audit.record({
+        action: 'employee.create',
+        actorId: req.user.id,
+        target: { type: 'user', id: result.lastInsertRowid },
+        after: {
+          email, username, can_donate: canDonate ? 1 : 0, need_support: needSupport ? 1 : 0,
+          available_pto_hours: ptoHours
+        },
+        ip: req.ip
+      });
+      events.publish('employee.added', { userId: result.lastInsertRowid, companyId: Number(companyId), actorId: req.user.id });
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json({ message: 'Employee created', userId: newUserId });
   } catch (error) {
     console.error('Add employee error:', error);
     res.status(500).json({ error: 'Failed to add employee' });
   }
 });
 
-// ============== PASSWORD MANAGEMENT ==============
+// ============== EMPLOYEE IMPORT & EXPORT ==============
 
-// Change password (authenticated user)
-app.put('/api/users/:id/password', async (req, res) => {
+// Imported employees get a link to choose their own password, valid this long
+const ACCOUNT_SETUP_TTL_DAYS = 7;
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Each roster row is held to the same rules as the account forms
+const IMPORT_FIELDS = {
+  first_name: FIELDS.name(),
+  last_name: FIELDS.name(),
+  email: FIELDS.email(),
+  phone: FIELDS.phone(),
+  username: FIELDS.username(),
+  pto_balance: FIELDS.balance({ default: 0, label: 'PTO balance' })
+};
+
+// Preview (?dryRun=true) or import a roster CSV sent as the request body.
+// Nothing is written unless every row is valid; the import is one transaction.
+app.post('/api/companies/:companyId/employees/import', requireCompanyAdmin('companyId'), requireActiveCompany('companyId'), csvBody, validate({
+  query: { dryRun: rules.boolean({ default: false }) }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { currentPassword, newPassword } = req.body;
+    const { companyId } = req.params;
+    const { dryRun } = req.query;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current and new password required' });
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'New password must be at least 8 characters' });
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Upload a CSV file with a text/csv content type' });
     }
 
-    // Get user
-    const user = db.prepare('SELECT password FROM users WHERE id = ?').get(id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const preview = employeeImport.buildPreview(req.body, {
+      emailExists: email => !!db.prepare('SELECT 1 FROM users WHERE lower(email) = ?').get(email),
+      usernameExists: username => !!db.prepare('SELECT 1 FROM users WHERE lower(username) = ?').get(username),
+      fields: IMPORT_FIELDS
+    });
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
     }
 
-    // Verify current password
-    const validPassword = await bcrypt.compare(currentPassword, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Current password is incorrect' });
+    if (dryRun) {
+      return res.json({ dryRun: true, ...preview });
+    }
+    if (preview.summary.invalid > 0) {
+      return res.status(400).json({ error: 'Fix the rows with errors before importing', ...preview });
     }
 
-    // Hash and update new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, id);
+    // Nobody can sign in with this; each employee sets a password from their email
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
 
-    res.json({ message: 'Password updated successfully' });
+    const insertUser = db.prepare(`
+      INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, can_donate)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const created = db.transaction(() => preview.rows.map(row => {
+      const result = insertUser.run(row.first_name, row.last_name, row.email, row.phone, row.username,
+        unusablePassword, companyId, row.can_donate ? 1 : 0);
+      const userId = result.lastInsertRowid;
+
+      if (row.pto_balance > 0) {
+        ledger.post({ userId, type: 'opening_balance', hours: row.pto_balance, actorId: req.user.id, note: 'Imported from CSV' });
+      }
+
+      audit.record({
+        action: 'employee.create',
+        actorId: req.user.id,
+        target: { type: 'user', id: userId },
+        after: {
+          email: row.email, username: row.username, can_donate: row.can_donate ? 1 : 0,
+          available_pto_hours: row.pto_balance, source: 'csv_import'
+        },
+        ip: req.ip
+      });
+      events.publish('employee.added', { userId, companyId: company.id, actorId: req.user.id });
+      return { ...row, token: issuePasswordResetToken(userId, `+${ACCOUNT_SETUP_TTL_DAYS} days`) };
+    }))();
+
+    created.forEach(employee => {
+      mailer.send({
+        to: employee.email,
+        subject: `You've been added to ${company.name} on PTO Buddy`,
+        text: `Hi ${employee.first_name},\n\n` +
+          `${req.user.first_name} ${req.user.last_name} added you to ${company.name} on PTO Buddy. ` +
+          `Your username is ${employee.username}. ` +
+          `Use the link below within ${ACCOUNT_SETUP_TTL_DAYS} days to choose your password:\n\n` +
+          `${APP_URL}/login.html?resetToken=${employee.token}`
+      }).catch(error => console.error('Import invitation email error:', error));
+    });
+
+    res.status(201).json({ message: `Imported ${created.length} employees`, created: created.length, summary: preview.summary });
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ error: 'Failed to change password' });
+    console.error('Import employees error:', error);
+    res.status(500).json({ error: 'Failed to import employees' });
   }
 });
 
-// Reset password (for forgot password - by username or email)
-app.post('/api/password-reset', async (req, res) => {
+// Export the company roster with balances and donation totals as CSV.
+// The columns match the import format so the file can be edited and re-imported elsewhere.
+app.get('/api/companies/:companyId/employees/export', requireCompanyAdmin('companyId'), (req, res) => {
   try {
-    const { identifier, newPassword } = req.body;
+    const { companyId } = req.params;
 
-    if (!identifier || !newPassword) {
-      return res.status(400).json({ error: 'Username/email and new password required' });
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    }
+    const employees = db.prepare(`
+      SELECT
+        u.first_name, u.last_name, u.email, u.phone, u.username,
+        u.available_pto_hours, u.can_donate, u.need_support, u.is_company_admin, u.created_at,
+        (SELECT COALESCE(SUM(d.hours), 0) FROM donations d
+          WHERE d.donor_id = u.id AND d.status = 'completed') as hours_donated,
+        (SELECT COALESCE(SUM(d.hours), 0) FROM donations d
+          JOIN support_requests sr ON d.request_id = sr.id
+          WHERE sr.user_id = u.id AND d.status = 'completed') as hours_received
+      FROM users u
+      WHERE u.company_id = ? AND u.deleted_at IS NULL
+      ORDER BY u.last_name, u.first_name
+    `).all(companyId);
+
+    const header = ['first_name', 'last_name', 'email', 'phone', 'username', 'pto_balance', 'can_donate',
+      'need_support', 'is_company_admin', 'hours_donated', 'hours_received', 'joined'];
+    const rows = employees.map(emp => [
+      emp.first_name, emp.last_name, emp.email, emp.phone, emp.username, emp.available_pto_hours,
+      emp.can_donate ? 'yes' : 'no', emp.need_support ? 'yes' : 'no', emp.is_company_admin ? 'yes' : 'no',
+      emp.hours_donated, emp.hours_received, emp.created_at
+    ]);
+
+    const filename = `employees-${company.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${new Date().toISOString().split('T')[0]}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv.stringify(header, rows));
+  } catch (error) {
+    console.error('Export employees error:', error);
+    res.status(500).json({ error: 'Failed to export employees' });
+  }
+});
 
-    // Find user by username or email
-    const user = db.prepare('SELECT id FROM users WHERE username = ? OR email = ?').get(identifier, identifier);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+// ============== COMPANY INVITATIONS ==============
 
-    // Hash and update password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, user.id);
+// Addresses per invitation request
+const MAX_INVITATIONS = 100;
 
-    res.json({ message: 'Password reset successfully' });
+// A company's invitations, newest first (?status=pending|expired|accepted|revoked)
+app.get('/api/companies/:companyId/invitations', requireCompanyAdmin('companyId'), validate({
+  query: { status: rules.oneOf(INVITATION_STATUSES, { optional: true }) }
+}), (req, res) => {
+  try {
+    res.json({ invitations: invitations.list(Number(req.params.companyId), req.query) });
   } catch (error) {
-    console.error('Password reset error:', error);
-    res.status(500).json({ error: 'Failed to reset password' });
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations' });
   }
 });
 
-// ============== GLOBAL STATS ==============
-
-app.get('/api/stats/global', (req, res) => {
+// Invite one or more email addresses. Addresses that already belong to a company
+// are skipped, and an address with a pending invitation gets a fresh link.
+// canDonate and ptoHours apply to accounts created from these invitations.
+app.post('/api/companies/:companyId/invitations', requireCompanyAdmin('companyId'), requireActiveCompany('companyId'), validate({
+  body: {
+    emails: rules.list(FIELDS.email(), { min: 1, max: MAX_INVITATIONS, label: 'Email addresses' }),
+    canDonate: rules.boolean({ default: false }),
+    ptoHours: FIELDS.balance({ default: 0, label: 'PTO hours' })
+  }
+}), (req, res) => {
   try {
-    const totalHours = db.prepare('SELECT COALESCE(SUM(hours), 0) as total FROM donations').get();
+    const companyId = Number(req.params.companyId);
+    const { canDonate, ptoHours } = req.body;
 
-    const totalPeopleHelped = db.prepare(`
-      SELECT COUNT(DISTINCT sr.user_id) as count
-      FROM donations d
-      JOIN support_requests sr ON d.request_id = sr.id
-    `).get();
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
 
-    const totalCompanies = db.prepare('SELECT COUNT(*) as count FROM companies').get();
+    const emails = [...new Set(req.body.emails.map(email => email.toLowerCase()))];
+    const getAccount = db.prepare('SELECT company_id FROM users WHERE lower(email) = ?');
+
+    const results = db.transaction(() => emails.map(email => {
+      const account = getAccount.get(email);
+      if (account && account.company_id === companyId) {
+        return { email, status: 'skipped', reason: 'Already an employee of this company' };
+      }
+      if (account && account.company_id) {
+        return { email, status: 'skipped', reason: 'Already belongs to another company' };
+      }
 
-    const totalDonors = db.prepare('SELECT COUNT(DISTINCT donor_id) as count FROM donations').get();
+      const { id, token, reissued } = invitations.invite({ companyId, email, canDonate, ptoHours, invitedBy: req.user.id });
+      audit.record({
+        action: reissued ? 'invitation.resend' : 'invitation.create',
+        actorId: req.user.id,
+        target: { type: 'invitation', id, name: email, companyId },
+        after: { email, can_donate: canDonate ? 1 : 0, pto_hours: ptoHours },
+        ip: req.ip
+      });
+      return { email, status: reissued ? 'resent' : 'invited', invitationId: id, token };
+    }))();
+
+    const inviterName = `${req.user.first_name} ${req.user.last_name}`;
+    results.filter(result => result.token).forEach(result => {
+      invitations.send({ email: result.email, companyName: company.name, inviterName, token: result.token });
+    });
 
-    res.json({
-      totalHours: totalHours.total,
-      totalPeopleHelped: totalPeopleHelped.count,
-      totalCompanies: totalCompanies.count,
-      totalDonors: totalDonors.count
+    const sent = results.filter(result => result.token).length;
+    res.status(201).json({
+      message: `Sent ${sent} ${sent === 1 ? 'invitation' : 'invitations'}`,
+      sent,
+      skipped: results.length - sent,
+      results: results.map(({ token, ...result }) => result)
     });
   } catch (error) {
-    console.error('Get global stats error:', error);
-    res.status(500).json({ error: 'Failed to get global stats' });
+    console.error('Create invitations error:', error);
+    res.status(500).json({ error: 'Failed to send invitations' });
   }
 });
 
-// ============== AUTH ROUTES ==============
-
-// Register a new user
-app.post('/api/register', async (req, res) => {
+// Send a pending or expired invitation again with a new link; the old link stops working
+app.post('/api/companies/:companyId/invitations/:invitationId/resend', requireCompanyAdmin('companyId'), requireActiveCompany('companyId'), (req, res) => {
   try {
-    const {
-      firstName, lastName, email, phone,
-      username, password, canDonate, needSupport, ptoHours,
-      companyId, companyName, isCompanyAdmin, registrationType
-    } = req.body;
-
-    // Validate required fields
-    if (!firstName || !lastName || !email || !phone || !username || !password) {
-      return res.status(400).json({ error: 'All fields are required' });
+    const companyId = Number(req.params.companyId);
+    const invitation = invitations.get(companyId, req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
     }
-
-    // Check if user already exists
-    const existingUser = db.prepare('SELECT id FROM users WHERE email = ? OR username = ?').get(email, username);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User with this email or username already exists' });
+    if (invitation.status !== 'pending' && invitation.status !== 'expired') {
+      return res.status(400).json({ error: `This invitation was already ${invitation.status}`, code: 'INVITATION_CLOSED' });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const token = db.transaction(() => {
+      audit.record({
+        action: 'invitation.resend',
+        actorId: req.user.id,
+        target: { type: 'invitation', id: invitation.id, name: invitation.email, companyId },
+        ip: req.ip
+      });
+      return invitations.reissue(invitation.id);
+    })();
+
+    invitations.send({
+      email: invitation.email,
+      companyName: invitation.company_name,
+      inviterName: `${req.user.first_name} ${req.user.last_name}`,
+      token
+    });
 
-    let finalCompanyId = companyId;
+    res.json({ message: 'Invitation resent', invitation: invitations.get(companyId, invitation.id) });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
 
-    // If registering as company admin, create the company first
-    if (registrationType === 'company' && companyName) {
-      // Check if company exists
-      let company = db.prepare('SELECT id FROM companies WHERE name = ?').get(companyName);
-      if (company) {
-        return res.status(400).json({ error: 'Company already exists. Please join as an employee or contact your admin.' });
-      }
+// Revoke a pending invitation so its link no longer works
+app.delete('/api/companies/:companyId/invitations/:invitationId', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const invitation = invitations.get(companyId, req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
 
-      // Create new company
-      const companyResult = db.prepare('INSERT INTO companies (name) VALUES (?)').run(companyName);
-      finalCompanyId = companyResult.lastInsertRowid;
+    const revoked = db.transaction(() => {
+      if (!invitations.revoke(invitation.id)) return false;
+      audit.record({
+        action: 'invitation.revoke',
+        actorId: req.user.id,
+        target: { type: 'invitation', id: invitation.id, name: invitation.email, companyId },
+        ip: req.ip
+      });
+      return true;
+    })();
+
+    if (!revoked) {
+      return res.status(400).json({ error: `This invitation was already ${invitation.status}`, code: 'INVITATION_CLOSED' });
     }
+    res.json({ message: 'Invitation revoked', invitation: invitations.get(companyId, invitation.id) });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
 
-    // Insert user
-    const stmt = db.prepare(`
-      INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, is_company_admin, can_donate, need_support, available_pto_hours)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+const INVALID_INVITATION = { error: 'This invitation link is invalid, has expired or has already been used', code: 'INVITATION_INVALID' };
 
-    const result = stmt.run(
-      firstName, lastName, email, phone, username, hashedPassword,
-      finalCompanyId || null,
-      (registrationType === 'company' || isCompanyAdmin) ? 1 : 0,
-      canDonate ? 1 : 0,
-      needSupport ? 1 : 0,
-      ptoHours || 0
-    );
+function accountForEmail(email) {
+  return db.prepare('SELECT id, company_id FROM users WHERE lower(email) = ?').get(email.toLowerCase());
+}
 
-    // Get company name if exists
-    let companyInfo = null;
-    if (finalCompanyId) {
-      companyInfo = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(finalCompanyId);
+// What an emailed invitation link is for, shown on accept-invite.html before accepting
+app.get('/api/invitations/:token', (req, res) => {
+  try {
+    const invitation = invitations.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json(INVALID_INVITATION);
     }
 
-    // Return user data for auto-login
-    const newUser = {
-      id: result.lastInsertRowid,
-      first_name: firstName,
-      last_name: lastName,
-      email: email,
-      phone: phone,
-      username: username,
-      company_id: finalCompanyId || null,
-      company_name: companyInfo ? companyInfo.name : null,
-      is_company_admin: (registrationType === 'company' || isCompanyAdmin) ? 1 : 0,
-      can_donate: canDonate ? 1 : 0,
-      need_support: needSupport ? 1 : 0,
-      available_pto_hours: ptoHours || 0
-    };
-
-    res.status(201).json({
-      message: 'Registration successful',
-      user: newUser
+    res.json({
+      invitation: {
+        email: invitation.email,
+        company_name: invitation.company_name,
+        invited_by_name: invitation.invited_by_name,
+        expires_at: invitation.expires_at
+      },
+      accountExists: !!accountForEmail(invitation.email)
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to get invitation' });
   }
 });
 
-// Login
-app.post('/api/login', async (req, res) => {
+// Accept an invitation. A signed-in user joins with their current account (sign
+// in first to link an existing one); otherwise a new account is created for the
+// invited address with the username and password given here. Signs the user in.
+app.post('/api/invitations/:token/accept', validate({
+  body: {
+    firstName: FIELDS.name({ optional: true }),
+    lastName: FIELDS.name({ optional: true }),
+    phone: FIELDS.phone({ optional: true }),
+    username: FIELDS.username({ optional: true }),
+    password: FIELDS.newPassword({ optional: true }),
+    needSupport: rules.boolean({ default: false })
+  }
+}), async (req, res) => {
   try {
-    const { username, password } = req.body;
-
-    const user = db.prepare(`
-      SELECT u.*, c.name as company_name
-      FROM users u
-      LEFT JOIN companies c ON u.company_id = c.id
-      WHERE u.username = ?
-    `).get(username);
+    const invitation = invitations.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json(INVALID_INVITATION);
+    }
+    const companyProblem = inactiveCompanyError(invitation.company_id);
+    if (companyProblem) {
+      return res.status(403).json(companyProblem);
+    }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    let hashedPassword = null;
+    if (req.user) {
+      // The link only works for the account it was sent to
+      if (req.user.email.toLowerCase() !== invitation.email) {
+        return res.status(403).json({
+          error: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`,
+          code: 'INVITATION_EMAIL_MISMATCH'
+        });
+      }
+      if (req.user.company_id === invitation.company_id) {
+        return res.status(400).json({ error: `You are already a member of ${invitation.company_name}`, code: 'ALREADY_MEMBER' });
+      }
+      if (req.user.company_id) {
+        return res.status(400).json({
+          error: 'Your account already belongs to another company. Ask an admin there to remove you first.',
+          code: 'ALREADY_IN_COMPANY'
+        });
+      }
+    } else {
+      const { firstName, lastName, phone, username, password } = req.body;
+      const missing = Object.entries({ firstName, lastName, phone, username, password })
+        .filter(([, value]) => value === undefined)
+        .map(([field]) => field);
+      if (missing.length > 0) {
+        return sendValidationError(res, Object.fromEntries(missing.map(field => [field, {
+          code: 'REQUIRED',
+          message: `${NEW_EMPLOYEE_LABELS[field]} is required`
+        }])));
+      }
+      if (accountForEmail(invitation.email)) {
+        return res.status(400).json({
+          error: 'An account already uses this email. Sign in to accept the invitation with it.',
+          code: 'ACCOUNT_EXISTS'
+        });
+      }
+      if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+        return rejectField(res, 'username', 'TAKEN', 'This username is already taken');
+      }
+      hashedPassword = await bcrypt.hash(password, 10);
     }
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const userId = db.transaction(() => {
+      let id;
+      if (req.user) {
+        id = req.user.id;
+        db.prepare('UPDATE users SET company_id = ?, can_donate = ? WHERE id = ?')
+          .run(invitation.company_id, invitation.can_donate ? 1 : 0, id);
+        if (invitation.pto_hours) {
+          ledger.post({ userId: id, type: 'opening_balance', hours: invitation.pto_hours, actorId: invitation.invited_by, note: 'Set by invitation' });
+        }
+        audit.record({
+          action: 'employee.add',
+          actorId: id,
+          target: { type: 'user', id },
+          before: { company_id: null },
+          after: {
+            company_id: invitation.company_id, can_donate: invitation.can_donate,
+            available_pto_hours: ledger.balance(id), invitation_id: invitation.id
+          },
+          ip: req.ip
+        });
+      } else {
+        const { firstName, lastName, phone, username, needSupport } = req.body;
+        id = db.prepare(`
+          INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, can_donate, need_support)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(firstName, lastName, invitation.email, phone, username, hashedPassword, invitation.company_id,
+          invitation.can_donate ? 1 : 0, needSupport ? 1 : 0).lastInsertRowid;
+
+        if (invitation.pto_hours) {
+          ledger.post({ userId: id, type: 'opening_balance', hours: invitation.pto_hours, actorId: invitation.invited_by, note: 'Set by invitation' });
+        }
+        audit.record({
+          action: 'employee.create',
+          actorId: id,
+          target: { type: 'user', id },
+          after: {
+            email: invitation.email, username, can_donate: invitation.can_donate, need_support: needSupport ? 1 : 0,
+            available_pto_hours: invitation.pto_hours, source: 'invitation', invitation_id: invitation.id
+          },
+          ip: req.ip
+        });
+      }
+
+      membership.cancelOpenRequests(id);
+
+      // Losing a race with a revoke or another accept undoes the account changes above
+      if (!invitations.claim(invitation.id, id)) {
+        const error = new Error('Invitation is no longer pending');
+        error.code = INVALID_INVITATION.code;
+        throw error;
+      }
+      events.publish('employee.added', { userId: id, companyId: invitation.company_id, actorId: id });
+      return id;
+    })();
+
+    if (!req.user) {
+      createSession(res, userId);
+    }
+    res.json({ message: `You joined ${invitation.company_name}`, userId, companyId: invitation.company_id });
+  } catch (error) {
+    if (error.code === INVALID_INVITATION.code) {
+      return res.status(404).json(INVALID_INVITATION);
     }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
 
-    // Return user info (excluding password)
-    const { password: _, ...userWithoutPassword } = user;
-    res.json({
-      message: 'Login successful',
-      user: userWithoutPassword
-    });
+// ============== COMPANY DOMAINS & JOIN REQUESTS ==============
+
+const DOMAIN_CODE_ERRORS = {
+  NO_CODE: 'Request a new code for this domain first',
+  CODE_EXPIRED: 'This code has expired; request a new one',
+  TOO_MANY_ATTEMPTS: 'Too many wrong codes; request a new one',
+  INVALID_CODE: 'This code is not correct'
+};
+
+// A company's email domains and whether each is verified
+app.get('/api/companies/:companyId/domains', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    res.json({ domains: membership.listDomains(Number(req.params.companyId)) });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Get domains error:', error);
+    res.status(500).json({ error: 'Failed to get domains' });
   }
 });
 
-// Get user profile
-app.get('/api/users/:id', (req, res) => {
+// Add a domain, or restart its verification, by emailing a code to an address on it
+app.post('/api/companies/:companyId/domains', requireCompanyAdmin('companyId'), validate({
+  body: {
+    domain: FIELDS.domain(),
+    email: FIELDS.email({ label: 'Verification email' })
+  }
+}), (req, res) => {
   try {
-    const user = db.prepare(`
-      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username,
-             u.company_id, u.is_company_admin, u.can_donate, u.need_support,
-             u.available_pto_hours, u.created_at, c.name as company_name
-      FROM users u
-      LEFT JOIN companies c ON u.company_id = c.id
-      WHERE u.id = ?
-    `).get(req.params.id);
+    const companyId = Number(req.params.companyId);
+    const domain = req.body.domain.toLowerCase();
+    const email = req.body.email.toLowerCase();
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    if (FREE_EMAIL_DOMAINS.includes(domain)) {
+      return rejectField(res, 'domain', 'PUBLIC_DOMAIN', 'Public email domains can\'t be claimed by a company');
+    }
+    if (emailDomain(email) !== domain) {
+      return rejectField(res, 'email', 'WRONG_DOMAIN', `Verification email must be an address on ${domain}`);
+    }
+    const owner = membership.domainOwner(domain);
+    if (owner && owner.company_id === companyId) {
+      return rejectField(res, 'domain', 'ALREADY_VERIFIED', `${domain} is already verified`);
+    }
+    if (owner) {
+      return rejectField(res, 'domain', 'TAKEN', `${domain} is already verified by another company`);
     }
 
-    res.json(user);
+    const { id, code } = db.transaction(() => {
+      const started = membership.startVerification({ companyId, domain, email, actorId: req.user.id });
+      audit.record({
+        action: 'company.domain_add',
+        actorId: req.user.id,
+        target: { type: 'company', id: companyId },
+        after: { domain, verification_email: email },
+        ip: req.ip
+      });
+      return started;
+    })();
+
+    membership.sendDomainCode({ email, domain, companyName: company.name, code });
+    res.status(201).json({ message: `Verification code sent to ${email}`, domain: membership.getDomain(companyId, id) });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user' });
+    console.error('Add domain error:', error);
+    res.status(500).json({ error: 'Failed to add domain' });
   }
 });
 
-// Update user profile
-app.put('/api/users/:id', (req, res) => {
+// Verify a domain with the code emailed to an address on it
+app.post('/api/companies/:companyId/domains/:domainId/verify', requireCompanyAdmin('companyId'), validate({
+  body: {
+    code: rules.string({ pattern: /^\d{6}$/, patternMessage: name => `${name} must be 6 digits` })
+  }
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const domain = membership.getDomain(companyId, req.params.domainId);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    if (domain.status === 'verified') {
+      return rejectField(res, 'code', 'ALREADY_VERIFIED', `${domain.domain} is already verified`);
+    }
+    if (membership.domainOwner(domain.domain)) {
+      return rejectField(res, 'code', 'TAKEN', `${domain.domain} is already verified by another company`);
+    }
+
+    const failure = db.transaction(() => {
+      const reason = membership.verifyDomain(domain.id, req.body.code, req.user.id);
+      if (!reason) {
+        audit.record({
+          action: 'company.domain_verify',
+          actorId: req.user.id,
+          target: { type: 'company', id: companyId },
+          after: { domain: domain.domain },
+          ip: req.ip
+        });
+      }
+      return reason;
+    })();
+
+    if (failure) {
+      return rejectField(res, 'code', failure, DOMAIN_CODE_ERRORS[failure]);
+    }
+    res.json({ message: `${domain.domain} verified`, domain: membership.getDomain(companyId, domain.id) });
+  } catch (error) {
+    console.error('Verify domain error:', error);
+    res.status(500).json({ error: 'Failed to verify domain' });
+  }
+});
+
+// Remove a domain; people on it go back to asking to join
+app.delete('/api/companies/:companyId/domains/:domainId', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const domain = membership.getDomain(companyId, req.params.domainId);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    db.transaction(() => {
+      membership.removeDomain(domain.id);
+      audit.record({
+        action: 'company.domain_remove',
+        actorId: req.user.id,
+        target: { type: 'company', id: companyId },
+        before: { domain: domain.domain, status: domain.status },
+        ip: req.ip
+      });
+    })();
+
+    res.json({ message: `${domain.domain} removed` });
+  } catch (error) {
+    console.error('Remove domain error:', error);
+    res.status(500).json({ error: 'Failed to remove domain' });
+  }
+});
+
+// A company's join requests, newest first (?status, default pending)
+app.get('/api/companies/:companyId/join-requests', requireCompanyAdmin('companyId'), validate({
+  query: { status: rules.oneOf(JOIN_REQUEST_STATUSES, { default: 'pending' }) }
+}), (req, res) => {
+  try {
+    res.json({ joinRequests: membership.listJoinRequests(Number(req.params.companyId), req.query) });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ error: 'Failed to get join requests' });
+  }
+});
+
+app.post('/api/companies/:companyId/join-requests/:requestId/approve', requireCompanyAdmin('companyId'), requireActiveCompany('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const request = membership.getJoinRequest(companyId, req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: `This request is ${request.status.replace('_', ' ')}`, code: 'REQUEST_CLOSED' });
+    }
+    const user = db.prepare('SELECT company_id FROM users WHERE id = ?').get(request.user_id);
+    if (user.company_id) {
+      return res.status(400).json({ error: 'This person already belongs to a company', code: 'USER_IN_COMPANY' });
+    }
+
+    const approved = db.transaction(() => {
+      if (!membership.decide(request.id, 'approved', req.user.id)) return false;
+      db.prepare('UPDATE users SET company_id = ?, is_company_admin = 0 WHERE id = ?').run(companyId, request.user_id);
+      audit.record({
+        action: 'employee.join_approve',
+        actorId: req.user.id,
+        target: { type: 'user', id: request.user_id },
+        before: { company_id: null },
+        after: { company_id: companyId, join_request_id: request.id },
+        ip: req.ip
+      });
+      events.publish('employee.added', { userId: request.user_id, companyId, actorId: req.user.id, joinRequestId: request.id });
+      return true;
+    })();
+
+    if (!approved) {
+      return res.status(400).json({ error: 'This request was already decided', code: 'REQUEST_CLOSED' });
+    }
+    res.json({ message: `${request.first_name} ${request.last_name} joined the company` });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({ error: 'Failed to approve join request' });
+  }
+});
+
+app.post('/api/companies/:companyId/join-requests/:requestId/reject', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const request = membership.getJoinRequest(companyId, req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+
+    const rejected = db.transaction(() => {
+      if (request.status !== 'pending' || !membership.decide(request.id, 'rejected', req.user.id)) return false;
+      audit.record({
+        action: 'employee.join_reject',
+        actorId: req.user.id,
+        target: { type: 'user', id: request.user_id },
+        companyIds: [companyId],
+        after: { join_request_id: request.id },
+        ip: req.ip
+      });
+      events.publish('join_request.rejected', { requestId: request.id, userId: request.user_id, companyId });
+      return true;
+    })();
+
+    if (!rejected) {
+      return res.status(400).json({ error: 'This request was already decided', code: 'REQUEST_CLOSED' });
+    }
+    res.json({ message: 'Join request rejected' });
+  } catch (error) {
+    console.error('Reject join request error:', error);
+    res.status(500).json({ error: 'Failed to reject join request' });
+  }
+});
+
+// A user's open join request, if any
+app.get('/api/users/:userId/join-request', requireSelf('userId'), (req, res) => {
+  try {
+    res.json({ joinRequest: membership.openRequestFor(req.params.userId) });
+  } catch (error) {
+    console.error('Get join request error:', error);
+    res.status(500).json({ error: 'Failed to get join request' });
+  }
+});
+
+// Ask to join a company: with a confirmed address on one of its verified
+// domains, or else with an admin's approval
+app.post('/api/users/:userId/join-request', requireSelf('userId'), validate({
+  body: { companyId: rules.id({ label: 'Company' }) }
+}), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(req.body.companyId);
+    if (!company) {
+      return rejectField(res, 'companyId', 'NOT_FOUND', 'Company not found');
+    }
+    if (inactiveCompanyError(company.id)) {
+      return rejectField(res, 'companyId', 'COMPANY_UNAVAILABLE', 'This company is not accepting new members');
+    }
+
+    const user = db.prepare('SELECT email, first_name, company_id FROM users WHERE id = ?').get(userId);
+    if (user.company_id === company.id) {
+      return res.status(400).json({ error: 'You already belong to this company', code: 'ALREADY_IN_COMPANY' });
+    }
+    const openRequest = membership.openRequestFor(userId);
+    if (openRequest && openRequest.company_id === company.id) {
+      return res.json({ joinRequest: openRequest });
+    }
+
+    const domainCompany = membership.companyForEmail(user.email);
+    const confirmByEmail = Boolean(domainCompany) && domainCompany.company_id === company.id;
+    const token = db.transaction(() => {
+      if (confirmByEmail) {
+        return membership.requestEmailConfirmation({ userId, companyId: company.id }).token;
+      }
+      const requestId = membership.requestToJoin({ userId, companyId: company.id });
+      audit.record({
+        action: 'employee.join_request',
+        actorId: userId,
+        target: { type: 'company', id: company.id },
+        ip: req.ip
+      });
+      events.publish('join_request.created', { requestId, userId, companyId: company.id });
+      return null;
+    })();
+
+    if (token) {
+      membership.sendJoinConfirmation({ email: user.email, firstName: user.first_name, companyName: company.name, token });
+    }
+    res.status(201).json({ joinRequest: membership.openRequestFor(userId) });
+  } catch (error) {
+    console.error('Create join request error:', error);
+    res.status(500).json({ error: 'Failed to send join request' });
+  }
+});
+
+// Withdraw a user's open join request
+app.delete('/api/users/:userId/join-request', requireSelf('userId'), (req, res) => {
+  try {
+    if (!membership.openRequestFor(req.params.userId)) {
+      return res.status(404).json({ error: 'No open join request' });
+    }
+    membership.cancelOpenRequests(req.params.userId);
+    res.json({ message: 'Join request withdrawn' });
+  } catch (error) {
+    console.error('Cancel join request error:', error);
+    res.status(500).json({ error: 'Failed to withdraw join request' });
+  }
+});
+
+const INVALID_JOIN_LINK = { error: 'This link is invalid, has expired or has already been used', code: 'JOIN_LINK_INVALID' };
+
+// Follow the emailed link that confirms an address on a verified domain, joining that company
+app.post('/api/join-requests/confirm', validate({
+  body: { token: rules.string({ max: 200 }) }
+}), (req, res) => {
+  try {
+    const request = membership.findByToken(req.body.token);
+    if (!request) {
+      return res.status(404).json(INVALID_JOIN_LINK);
+    }
+    const companyProblem = inactiveCompanyError(request.company_id);
+    if (companyProblem) {
+      return res.status(403).json(companyProblem);
+    }
+    const user = db.prepare('SELECT email, company_id FROM users WHERE id = ?').get(request.user_id);
+    if (user.company_id) {
+      membership.decide(request.id, 'cancelled');
+      return res.status(400).json({ error: 'Your account already belongs to a company', code: 'ALREADY_IN_COMPANY' });
+    }
+    // The domain may have been removed, or the email changed, since the link was sent
+    const domainCompany = membership.companyForEmail(user.email);
+    if (!domainCompany || domainCompany.company_id !== request.company_id) {
+      return res.status(404).json(INVALID_JOIN_LINK);
+    }
+
+    const joined = db.transaction(() => {
+      if (!membership.decide(request.id, 'approved')) return false;
+      db.prepare('UPDATE users SET company_id = ? WHERE id = ?').run(request.company_id, request.user_id);
+      audit.record({
+        action: 'employee.add',
+        actorId: request.user_id,
+        target: { type: 'user', id: request.user_id },
+        before: { company_id: null },
+        after: { company_id: request.company_id, source: 'verified_domain' },
+        ip: req.ip
+      });
+      events.publish('employee.added', { userId: request.user_id, companyId: request.company_id, actorId: request.user_id });
+      return true;
+    })();
+
+    if (!joined) {
+      return res.status(404).json(INVALID_JOIN_LINK);
+    }
+    res.json({ message: `You joined ${request.company_name}`, companyId: request.company_id });
+  } catch (error) {
+    console.error('Confirm join request error:', error);
+    res.status(500).json({ error: 'Failed to confirm email' });
+  }
+});
+
+// ============== DONATION POLICIES ==============
+
+// Load a company's donation policy. Companies that never saved one get the
+// defaults, with cross-company giving/receiving taken from allow_cross_company.
+function getCompanyPolicy(companyId) {
+  if (companyId == null) return null;
+
+  const row = db.prepare('SELECT * FROM company_policies WHERE company_id = ?').get(companyId);
+  if (!row) {
+    const company = db.prepare('SELECT allow_cross_company FROM companies WHERE id = ?').get(companyId);
+    if (!company) return null;
+    return {
+      ...donationPolicy.DEFAULT_POLICY,
+      allow_cross_company_giving: !!company.allow_cross_company,
+      allow_cross_company_receiving: !!company.allow_cross_company
+    };
+  }
+
+  return {
+    allow_cross_company_giving: !!row.allow_cross_company_giving,
+    allow_cross_company_receiving: !!row.allow_cross_company_receiving,
+    max_donation_hours_per_year: row.max_donation_hours_per_year,
+    min_donor_balance_hours: row.min_donor_balance_hours,
+    max_hours_per_request: row.max_hours_per_request,
+    max_hours_received_per_request: row.max_hours_received_per_request,
+    eligible_categories: row.eligible_categories ? row.eligible_categories.split(',') : donationPolicy.REQUEST_CATEGORIES
+  };
+}
+
+// Get a company's donation policy (for admin)
+app.get('/api/companies/:id/policy', requireCompanyAdmin('id'), (req, res) => {
+  try {
+    const policy = getCompanyPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    res.json({ ...policy, categories: donationPolicy.REQUEST_CATEGORIES });
+  } catch (error) {
+    console.error('Get policy error:', error);
+    res.status(500).json({ error: 'Failed to get donation policy' });
+  }
+});
+
+// Update a company's donation policy (for admin)
+// Limits are whole hours; null (or empty) removes the limit
+const POLICY_LIMIT = rules.integer({ min: 0, max: MAX_HOURS, optional: true, nullable: true });
+
+app.put('/api/companies/:id/policy', requireCompanyAdmin('id'), validate({
+  body: {
+    allow_cross_company_giving: rules.boolean({ optional: true }),
+    allow_cross_company_receiving: rules.boolean({ optional: true }),
+    max_donation_hours_per_year: POLICY_LIMIT,
+    min_donor_balance_hours: POLICY_LIMIT,
+    max_hours_per_request: POLICY_LIMIT,
+    max_hours_received_per_request: POLICY_LIMIT,
+    eligible_categories: FIELDS.categories({ min: 1, optional: true })
+  }
+}), (req, res) => {
+  try {
+    const companyId = req.params.id;
+    const current = getCompanyPolicy(companyId);
+    if (!current) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Fields left out keep their current values
+    const policy = { ...current, ...req.body };
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO company_policies (
+          company_id, allow_cross_company_giving, allow_cross_company_receiving,
+          max_donation_hours_per_year, min_donor_balance_hours, max_hours_per_request,
+          max_hours_received_per_request, eligible_categories, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(company_id) DO UPDATE SET
+          allow_cross_company_giving = excluded.allow_cross_company_giving,
+          allow_cross_company_receiving = excluded.allow_cross_company_receiving,
+          max_donation_hours_per_year = excluded.max_donation_hours_per_year,
+          min_donor_balance_hours = excluded.min_donor_balance_hours,
+          max_hours_per_request = excluded.max_hours_per_request,
+          max_hours_received_per_request = excluded.max_hours_received_per_request,
+          eligible_categories = excluded.eligible_categories,
+          updated_at = CURRENT_TIMESTAMP
+      `).run(
+        companyId,
+        policy.allow_cross_company_giving ? 1 : 0,
+        policy.allow_cross_company_receiving ? 1 : 0,
+        policy.max_donation_hours_per_year,
+        policy.min_donor_balance_hours,
+        policy.max_hours_per_request,
+        policy.max_hours_received_per_request,
+        policy.eligible_categories.join(',')
+      );
+
+      // Keep the legacy flag meaning "fully open to other companies"
+      db.prepare('UPDATE companies SET allow_cross_company = ? WHERE id = ?')
+        .run(policy.allow_cross_company_giving && policy.allow_cross_company_receiving ? 1 : 0, companyId);
+
+      const changed = auditLog.diff(
+        { ...current, eligible_categories: current.eligible_categories.join(',') },
+        { ...policy, eligible_categories: policy.eligible_categories.join(',') }
+      );
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'company.policy_update',
+          actorId: req.user.id,
+          target: { type: 'company', id: Number(companyId), companyId: Number(companyId) },
+          ...changed,
+          ip: req.ip
+        });
+      }
+    })();
+
+    res.json({ message: 'Donation policy updated', policy: getCompanyPolicy(companyId) });
+  } catch (error) {
+    console.error('Update policy error:', error);
+    res.status(500).json({ error: 'Failed to update donation policy' });
+  }
+});
+
+// ============== EMPLOYER MATCHING ==============
+
+const POOL_ACTIONS = {
+  fund: { sign: 1, audit: 'company.pool_fund', message: 'Hours added to the matching pool' },
+  withdraw: { sign: -1, audit: 'company.pool_withdraw', message: 'Hours taken out of the matching pool' }
+};
+
+// Get a company's matching program, pool and recent pool entries (for admin)
+app.get('/api/companies/:companyId/matching', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    res.json({ ...matching.summary(companyId), entries: matching.poolEntries(companyId) });
+  } catch (error) {
+    console.error('Get matching program error:', error);
+    res.status(500).json({ error: 'Failed to get matching program' });
+  }
+});
+
+// Update a company's matching program (for admin). Fields left out keep their
+// current values; a null budget or cap removes it.
+app.put('/api/companies/:companyId/matching', requireCompanyAdmin('companyId'), validate({
+  body: {
+    enabled: rules.boolean({ optional: true }),
+    match_percent: rules.integer({ min: 1, max: 1000, optional: true, label: 'Match percentage' }),
+    annual_budget_hours: POLICY_LIMIT,
+    max_hours_per_request: POLICY_LIMIT
+  }
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    if (!db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const current = matching.getProgram(companyId);
+    const program = { ...current, ...req.body };
+
+    db.transaction(() => {
+      matching.saveProgram(companyId, program, req.user.id);
+
+      const changed = auditLog.diff(current, program);
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'company.matching_update',
+          actorId: req.user.id,
+          target: { type: 'company', id: companyId, companyId },
+          ...changed,
+          ip: req.ip
+        });
+      }
+    })();
+
+    res.json({ message: 'Matching program updated', program: matching.getProgram(companyId) });
+  } catch (error) {
+    console.error('Update matching program error:', error);
+    res.status(500).json({ error: 'Failed to update matching program' });
+  }
+});
+
+// Add hours to the company's matching pool, or take unused hours out (for admin)
+app.post('/api/companies/:companyId/matching/pool', requireCompanyAdmin('companyId'), validate({
+  body: {
+    action: rules.oneOf(Object.keys(POOL_ACTIONS)),
+    hours: FIELDS.hours(),
+    note: rules.string({ max: 200, optional: true, nullable: true })
+  }
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const { action, hours, note } = req.body;
+    if (!db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const { sign, audit: auditAction, message } = POOL_ACTIONS[action];
+    const poolBalance = db.transaction(() => {
+      const balance = matching.poolBalance(companyId);
+      if (balance + sign * hours < 0) return null;
+
+      matching.post({ companyId, type: action, hours: sign * hours, actorId: req.user.id, note: note || null });
+      audit.record({
+        action: auditAction,
+        actorId: req.user.id,
+        target: { type: 'company', id: companyId, companyId },
+        before: { pool_balance: balance },
+        after: { pool_balance: balance + sign * hours, hours, note: note || null },
+        ip: req.ip
+      });
+      return balance + sign * hours;
+    })();
+
+    if (poolBalance === null) {
+      return rejectField(res, 'hours', 'INSUFFICIENT_POOL', `The pool only holds ${matching.poolBalance(companyId)} hours`);
+    }
+    res.status(201).json({ message, poolBalance });
+  } catch (error) {
+    console.error('Update matching pool error:', error);
+    res.status(500).json({ error: 'Failed to update matching pool' });
+  }
+});
+
+// ============== PTO ACCRUALS & CARRYOVER ==============
+
+// Fields of an accrual plan; every field is required when creating one
+function accrualPlanFields(optional) {
+  return {
+    name: rules.string({ min: 1, max: 100, optional }),
+    pay_period: rules.oneOf(PAY_PERIODS, { optional, label: 'Pay period' }),
+    first_pay_date: FIELDS.date({ optional, label: 'First pay date' }),
+    bands: rules.list(rules.object({
+      min_months: rules.integer({ min: 0, max: 600, label: 'Months of tenure' }),
+      hours: rules.integer({ min: 0, max: 200, label: 'Hours per pay period' })
+    }), { min: 1, max: MAX_BANDS, optional, label: 'Tenure bands' })
+  };
+}
+
+// The fields of a plan kept in the audit log, bands as "months:hours" pairs
+function accrualPlanAuditFields(plan) {
+  return {
+    name: plan.name,
+    pay_period: plan.pay_period,
+    first_pay_date: plan.first_pay_date,
+    bands: plan.bands.map(band => `${band.min_months}:${band.hours}`).join(', ')
+  };
+}
+
+// A plan's schedule can't start in the past, or its first run would post
+// accruals for pay dates that have already gone by, and no two of its bands
+// may start at the same tenure
+function rejectInvalidPlan(res, { first_pay_date: firstPayDate, bands }) {
+  if (firstPayDate !== undefined && firstPayDate < new Date().toISOString().split('T')[0]) {
+    rejectField(res, 'first_pay_date', 'TOO_EARLY', 'First pay date cannot be in the past');
+    return true;
+  }
+  if (bands !== undefined && new Set(bands.map(band => band.min_months)).size !== bands.length) {
+    rejectField(res, 'bands', 'DUPLICATE_BAND', 'Each tenure band must start at a different number of months');
+    return true;
+  }
+  return false;
+}
+
+// Get a company's accrual plans and carryover rules (for admin)
+app.get('/api/companies/:companyId/accrual-plans', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    res.json({ plans: accruals.listPlans(companyId), carryover: accruals.getCarryoverRules(companyId) });
+  } catch (error) {
+    console.error('Get accrual plans error:', error);
+    res.status(500).json({ error: 'Failed to get accrual plans' });
+  }
+});
+
+// Create an accrual plan (for admin)
+app.post('/api/companies/:companyId/accrual-plans', requireCompanyAdmin('companyId'), validate({
+  body: accrualPlanFields(false)
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    if (!db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    if (rejectInvalidPlan(res, req.body)) return;
+
+    const bands = [...req.body.bands].sort((a, b) => a.min_months - b.min_months);
+    const plan = db.transaction(() => {
+      const planId = accruals.savePlan({ ...req.body, bands, companyId, actorId: req.user.id });
+      const created = accruals.getPlan(companyId, planId);
+      audit.record({
+        action: 'company.accrual_plan_create',
+        actorId: req.user.id,
+        target: { type: 'company', id: companyId, companyId },
+        after: { plan_id: planId, ...accrualPlanAuditFields(created) },
+        ip: req.ip
+      });
+      return created;
+    })();
+
+    res.status(201).json({ message: 'Accrual plan created', plan });
+  } catch (error) {
+    console.error('Create accrual plan error:', error);
+    res.status(500).json({ error: 'Failed to create accrual plan' });
+  }
+});
+
+// Update an accrual plan (for admin). Fields left out keep their current
+// values; bands, when given, replace all of the plan's bands.
+app.put('/api/companies/:companyId/accrual-plans/:planId', requireCompanyAdmin('companyId'), validate({
+  body: accrualPlanFields(true)
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const current = accruals.getPlan(companyId, req.params.planId);
+    if (!current) {
+      return res.status(404).json({ error: 'Accrual plan not found' });
+    }
+
+    const changes = { ...req.body };
+    if (changes.first_pay_date === current.first_pay_date) delete changes.first_pay_date;
+    if (rejectInvalidPlan(res, changes)) return;
+
+    const next = { ...current, ...changes };
+    const bands = [...next.bands].sort((a, b) => a.min_months - b.min_months);
+    const plan = db.transaction(() => {
+      accruals.savePlan({ ...next, bands, companyId, id: current.id, actorId: req.user.id });
+      const updated = accruals.getPlan(companyId, current.id);
+
+      const changed = auditLog.diff(accrualPlanAuditFields(current), accrualPlanAuditFields(updated));
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'company.accrual_plan_update',
+          actorId: req.user.id,
+          target: { type: 'company', id: companyId, companyId },
+          before: { plan_id: current.id, ...changed.before },
+          after: { plan_id: current.id, ...changed.after },
+          ip: req.ip
+        });
+      }
+      return updated;
+    })();
+
+    res.json({ message: 'Accrual plan updated', plan });
+  } catch (error) {
+    console.error('Update accrual plan error:', error);
+    res.status(500).json({ error: 'Failed to update accrual plan' });
+  }
+});
+
+// What each employee on a plan will accrue on its next pay date (for admin)
+app.get('/api/companies/:companyId/accrual-plans/:planId/preview', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const plan = accruals.getPlan(Number(req.params.companyId), req.params.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Accrual plan not found' });
+    }
+    res.json({ plan, ...accruals.preview(plan) });
+  } catch (error) {
+    console.error('Preview accrual run error:', error);
+    res.status(500).json({ error: 'Failed to preview accrual run' });
+  }
+});
+
+// Get a company's carryover rules and what each employee would lose under
+// them if the year ended with today's balances (for admin)
+app.get('/api/companies/:companyId/carryover', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    const year = new Date().getUTCFullYear();
+    const employees = accruals.carryoverPreview(companyId, year);
+    res.json({
+      rules: accruals.getCarryoverRules(companyId),
+      year,
+      employees,
+      forfeited: employees.reduce((sum, row) => sum + row.forfeited, 0),
+      expired: employees.reduce((sum, row) => sum + row.expired, 0)
+    });
+  } catch (error) {
+    console.error('Get carryover rules error:', error);
+    res.status(500).json({ error: 'Failed to get carryover rules' });
+  }
+});
+
+// Update a company's carryover rules (for admin). Fields left out keep their
+// current values; a null cap lets every hour carry over.
+app.put('/api/companies/:companyId/carryover', requireCompanyAdmin('companyId'), validate({
+  body: {
+    enabled: rules.boolean({ optional: true }),
+    carryover_cap_hours: POLICY_LIMIT,
+    donated_hours_rule: rules.oneOf(DONATED_HOURS_RULES, { optional: true, label: 'Donated hours rule' })
+  }
+}), (req, res) => {
+  try {
+    const companyId = Number(req.params.companyId);
+    if (!db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const current = accruals.getCarryoverRules(companyId);
+    const carryover = { ...current, ...req.body };
+
+    db.transaction(() => {
+      accruals.saveCarryoverRules(companyId, carryover, req.user.id);
+
+      const changed = auditLog.diff(current, carryover);
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'company.carryover_update',
+          actorId: req.user.id,
+          target: { type: 'company', id: companyId, companyId },
+          ...changed,
+          ip: req.ip
+        });
+      }
+    })();
+
+    res.json({ message: 'Carryover rules updated', rules: accruals.getCarryoverRules(companyId) });
+  } catch (error) {
+    console.error('Update carryover rules error:', error);
+    res.status(500).json({ error: 'Failed to update carryover rules' });
+  }
+});
+
+// ============== PASSWORD MANAGEMENT ==============
+
+// Change password (authenticated user)
+app.put('/api/users/:id/password', requireSelf('id'), validate({
+  body: { currentPassword: FIELDS.password(), newPassword: FIELDS.newPassword() }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { currentPassword, newPassword } = req.body;
+
+    // Get user
+    const user = db.prepare('SELECT password FROM users WHERE id = ?').get(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Verify current password
+    const validPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    // Hash and update new password
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    db.transaction(() => {
+      db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, id);
+
+      // Sign out every other session for this user
+      db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND id != ? AND revoked_at IS NULL
+      `).run(id, req.sessionId);
+
+      audit.record({ action: 'password.change', actorId: req.user.id, target: { type: 'user', id: Number(id) }, ip: req.ip });
+    })();
+
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+// Create a one-time password token for a user and return it (only its hash is stored).
+// Only the most recent token for a user stays usable. Must be called inside a transaction.
+function issuePasswordResetToken(userId, ttl = `+${RESET_TOKEN_TTL_MINUTES} minutes`) {
+  const token = crypto.randomBytes(32).toString('hex');
+  db.prepare(`
+    UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND used_at IS NULL
+  `).run(userId);
+  db.prepare(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(userId, hashToken(token), ttl);
+  return token;
+}
+
+// Request a password reset (for forgot password - by username or email)
+// Responds identically whether or not the account exists
+app.post('/api/password-reset/request', validate({
+  body: { identifier: rules.string({ max: 254, label: 'Username or email' }) }
+}), (req, res) => {
+  try {
+    const { identifier } = req.body;
+
+    const user = db.prepare('SELECT id, first_name, email FROM users WHERE (username = ? OR email = ?) AND deleted_at IS NULL').get(identifier, identifier);
+
+    if (user) {
+      const token = db.transaction(() => {
+        audit.record({ action: 'password.reset_request', target: { type: 'user', id: user.id }, ip: req.ip });
+        return issuePasswordResetToken(user.id);
+      })();
+
+      // Delivery happens in the background so response timing doesn't reveal the account
+      mailer.send({
+        to: user.email,
+        subject: 'Reset your PTO Buddy password',
+        text: `Hi ${user.first_name},\n\n` +
+          `Someone asked to reset the password for your PTO Buddy account. ` +
+          `Use the link below within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:\n\n` +
+          `${APP_URL}/login.html?resetToken=${token}\n\n` +
+          `If you didn't ask for this, you can ignore this email.`
+      }).catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({ message: 'If an account matches, a password reset link has been sent to its email address' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Confirm a password reset with the emailed one-time token
+app.post('/api/password-reset/confirm', validate({
+  body: { token: rules.string({ max: 200, label: 'Reset token' }), newPassword: FIELDS.newPassword() }
+}), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const resetToken = db.prepare(`
+      SELECT id, user_id FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `).get(hashToken(token));
+
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    // Consume the token and swap the password together; a concurrent confirm loses the race
+    const consumed = db.transaction(() => {
+      const claim = db.prepare(`
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `).run(resetToken.id);
+      if (claim.changes === 0) return false;
+
+      db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, resetToken.user_id);
+      db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL').run(resetToken.user_id);
+      audit.record({ action: 'password.reset', actorId: resetToken.user_id, target: { type: 'user', id: resetToken.user_id }, ip: req.ip });
+      return true;
+    })();
+
+    if (!consumed) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Messages stored by the local outbox mail driver (for running without a mail server).
+// Bodies carry live reset and invitation links, so this only exists in development.
+app.get('/api/outbox', requirePlatformAdmin, (req, res) => {
+  if (mailer.driver !== 'outbox' || process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const messages = db.prepare('SELECT * FROM mail_outbox ORDER BY id DESC LIMIT 100').all();
+    res.json(messages);
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({ error: 'Failed to get outbox' });
+  }
+});
+
+// ============== ACCOUNT DATA & DELETION ==============
+
+// Close what a user still has open and anonymize them (see lib/accountDeletion).
+// Requests that received nothing are cancelled and the others closed, refunding
+// any surplus to donors; pledges are cancelled. Runs in its own transaction and
+// removes the user's document files once it commits.
+function deleteAccount(userId, { action = 'account.delete', actorId = null, ip = null } = {}) {
+  const { documents } = db.transaction(() => {
+    const user = db.prepare('SELECT id, first_name, last_name, company_id FROM users WHERE id = ?').get(userId);
+
+    const openRequests = db.prepare(`
+      SELECT * FROM support_requests WHERE user_id = ? AND status IN ('draft', 'active', 'paused')
+    `).all(userId);
+    openRequests.forEach(request => transitionRequest(request, request.hours_received === 0 ? 'cancel' : 'close', { actorId, ip, clampRefund: true }));
+
+    const openPledges = db.prepare(`SELECT id FROM donation_pledges WHERE user_id = ? AND status IN ('active', 'paused')`).all(userId);
+    openPledges.forEach(pledge => pledges.cancelPledge(pledge.id));
+
+    const result = accountDeletion.anonymizeUser(userId, { actorId });
+    audit.record({
+      action,
+      actorId,
+      target: { type: 'user', id: userId },
+      after: {
+        requests_closed: openRequests.length,
+        pledges_cancelled: openPledges.length,
+        hours_forfeited: result.hoursForfeited,
+        documents_removed: result.documents.length
+      },
+      companyIds: user.company_id != null ? [user.company_id] : [],
+      ip
+    });
+    if (user.company_id != null) {
+      events.publish('employee.removed', {
+        userId, companyId: user.company_id, actorId, name: `${user.first_name} ${user.last_name}`, deleted: true
+      });
+    }
+    return result;
+  })();
+
+  documents.forEach(document => requestDocuments.deleteFile(document));
+}
+
+// Carry out deletions whose cooling-off period is over
+function runDueDeletions() {
+  accountDeletion.dueDeletions().forEach(deletion => {
+    try {
+      deleteAccount(deletion.user_id);
+    } catch (error) {
+      // Left pending so the next run tries again
+      console.error(`Account deletion ${deletion.id} error:`, error);
+    }
+  });
+}
+
+// Download everything held about the user as JSON
+app.get('/api/users/:userId/export', requireSelf('userId'), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const user = db.prepare('SELECT id FROM users WHERE id = ? AND deleted_at IS NULL').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Disposition', `attachment; filename="pto-buddy-data-${userId}-${date}.json"`);
+    res.json(accountDeletion.exportData(req.user, userId));
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// The user's pending deletion, if they asked for one
+app.get('/api/users/:userId/deletion', requireSelf('userId'), (req, res) => {
+  try {
+    res.json({
+      deletion: accountDeletion.getPending(Number(req.params.userId)),
+      coolingOffDays: DELETION_COOLING_OFF_DAYS
+    });
+  } catch (error) {
+    console.error('Get account deletion error:', error);
+    res.status(500).json({ error: 'Failed to get account deletion' });
+  }
+});
+
+// Ask for the user's own account to be deleted once the cooling-off period is
+// over. The password confirms it is really them.
+app.post('/api/users/:userId/deletion', requireSelf('userId'), validate({
+  body: {
+    password: FIELDS.password(),
+    reason: rules.string({ max: 500, optional: true, nullable: true })
+  }
+}), async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (userId !== req.user.id) {
+      return res.status(403).json({ error: 'Only you can ask for your account to be deleted' });
+    }
+
+    const user = db.prepare('SELECT id, password, company_id, is_company_admin FROM users WHERE id = ?').get(userId);
+    const validPassword = await bcrypt.compare(req.body.password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (accountDeletion.getPending(userId)) {
+      return res.status(409).json({ error: 'Your account is already due to be deleted', code: 'DELETION_PENDING' });
+    }
+
+    // A company with employees needs another admin before its last one leaves
+    if (user.is_company_admin) {
+      const others = db.prepare(`
+        SELECT COUNT(*) as employees, COALESCE(SUM(is_company_admin), 0) as admins
+        FROM users WHERE company_id = ? AND id != ? AND deleted_at IS NULL
+      `).get(user.company_id, userId);
+      if (others.employees > 0 && others.admins === 0) {
+        return res.status(400).json({
+          error: 'Make another employee a company admin before deleting your account',
+          code: 'LAST_ADMIN'
+        });
+      }
+    }
+
+    db.transaction(() => {
+      accountDeletion.scheduleDeletion({ user, requestedBy: userId, reason: req.body.reason || null });
+      const deletion = accountDeletion.getPending(userId);
+      audit.record({
+        action: 'account.deletion_request',
+        actorId: userId,
+        target: { type: 'user', id: userId },
+        after: { scheduled_for: deletion.scheduled_for },
+        ip: req.ip
+      });
+      events.publish('account.deletion_requested', { userId, companyId: user.company_id, scheduledFor: deletion.scheduled_for, actorId: userId });
+    })();
+
+    const deletion = accountDeletion.getPending(userId);
+    res.status(201).json({
+      message: `Your account will be deleted on ${deletion.scheduled_for.split(' ')[0]}. You can cancel until then.`,
+      deletion
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+// Cancel a pending deletion
+app.delete('/api/users/:userId/deletion', requireSelf('userId'), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const deletion = accountDeletion.getPending(userId);
+    if (!deletion) {
+      return res.status(404).json({ error: 'No account deletion is pending' });
+    }
+
+    db.transaction(() => {
+      accountDeletion.cancelDeletion(deletion);
+      audit.record({
+        action: 'account.deletion_cancel',
+        actorId: req.user.id,
+        target: { type: 'user', id: userId },
+        before: { scheduled_for: deletion.scheduled_for },
+        ip: req.ip
+      });
+    })();
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+// Employees whose accounts are due to be deleted (for admin)
+app.get('/api/companies/:companyId/deletions', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    res.json({ deletions: accountDeletion.companyDeletions(Number(req.params.companyId)) });
+  } catch (error) {
+    console.error('Get account deletions error:', error);
+    res.status(500).json({ error: 'Failed to get account deletions' });
+  }
+});
+
+// ============== PLATFORM ADMINISTRATION ==============
+
+const COMPANY_SORTS = {
+  name: [
+    { expr: 'c.name', dir: 'ASC', value: row => row.name },
+    { expr: 'c.id', dir: 'ASC', value: row => row.id }
+  ],
+  newest: [
+    { expr: 'c.created_at', dir: 'DESC', value: row => row.created_at },
+    { expr: 'c.id', dir: 'DESC', value: row => row.id }
+  ]
+};
+
+const COMPANY_STATUS_VERBS = { approve: 'approved', suspend: 'suspended', reactivate: 'reactivated' };
+
+// Counts across all companies, users, requests and donations
+app.get('/api/platform/metrics', requirePlatformAdmin, (req, res) => {
+  try {
+    res.json(platform.metrics());
+  } catch (error) {
+    console.error('Get platform metrics error:', error);
+    res.status(500).json({ error: 'Failed to get platform metrics' });
+  }
+});
+
+// Every company with its status and size.
+// Filters: status, q (searches name and domain). sort: name (default) | newest; limit, cursor.
+app.get('/api/platform/companies', requirePlatformAdmin, validate({
+  query: {
+    status: rules.oneOf(COMPANY_STATUSES, { optional: true }),
+    q: rules.string({ max: 200, optional: true }),
+    sort: rules.oneOf(Object.keys(COMPANY_SORTS), { default: 'name' }),
+    ...PAGING_QUERY
+  }
+}), (req, res) => {
+  try {
+    const { status, q, sort: sortName } = req.query;
+    const sort = COMPANY_SORTS[sortName];
+
+    const paging = readPaging(req, res, sortName, sort);
+    if (!paging) return;
+
+    const filters = [];
+    if (status) filters.push({ sql: 'c.status = ?', params: [status] });
+    const search = listQuery.searchSql(q, ['c.name', `COALESCE(c.domain, '')`]);
+    if (search) filters.push(search);
+
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: `
+        c.id, c.name, c.domain, c.status, c.status_reason, c.status_changed_at, c.created_at,
+        c.merged_into_id, merged.name as merged_into_name,
+        (SELECT COUNT(*) FROM users u WHERE u.company_id = c.id AND u.deleted_at IS NULL) as employee_count,
+        (SELECT COUNT(*) FROM users u WHERE u.company_id = c.id AND u.is_company_admin = 1 AND u.deleted_at IS NULL) as admin_count,
+        (SELECT group_concat(u.first_name || ' ' || u.last_name || ' <' || u.email || '>', ', ')
+           FROM users u WHERE u.company_id = c.id AND u.is_company_admin = 1 AND u.deleted_at IS NULL) as admins
+      `,
+      from: 'FROM companies c LEFT JOIN companies merged ON c.merged_into_id = merged.id',
+      filters,
+      sortName,
+      sort,
+      ...paging
+    });
+
+    res.json({ companies: items, total, nextCursor });
+  } catch (error) {
+    console.error('Get platform companies error:', error);
+    res.status(500).json({ error: 'Failed to get companies' });
+  }
+});
+
+// Approve a pending company, suspend a pending or active one, or reactivate a suspended one
+function changeCompanyStatus(change) {
+  return (req, res) => {
+    try {
+      const companyId = Number(req.params.companyId);
+      const company = db.prepare('SELECT id, name, status FROM companies WHERE id = ?').get(companyId);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+      const reason = req.body.reason || null;
+
+      const changed = db.transaction(() => {
+        const result = platform.changeStatus(companyId, change, { actorId: req.user.id, reason });
+        if (!result) return null;
+        audit.record({
+          action: `company.${change}`,
+          actorId: req.user.id,
+          target: { type: 'company', id: companyId },
+          before: { status: result.from },
+          after: { status: result.to, reason },
+          ip: req.ip
+        });
+        events.publish('company.status_changed', { companyId, from: result.from, to: result.to, reason, actorId: req.user.id });
+        return result;
+      })();
+
+      if (!changed) {
+        return res.status(400).json({
+          error: `Only ${STATUS_CHANGES[change].from.join(' or ')} companies can be ${COMPANY_STATUS_VERBS[change]}`,
+          code: 'INVALID_STATUS_CHANGE'
+        });
+      }
+      res.json({ message: `${company.name} ${COMPANY_STATUS_VERBS[change]}`, status: changed.to });
+    } catch (error) {
+      console.error(`Company ${change} error:`, error);
+      res.status(500).json({ error: 'Failed to change company status' });
+    }
+  };
+}
+
+const COMPANY_STATUS_BODY = validate({ body: { reason: rules.string({ max: 500, optional: true, nullable: true }) } });
+
+app.post('/api/platform/companies/:companyId/approve', requirePlatformAdmin, COMPANY_STATUS_BODY, changeCompanyStatus('approve'));
+app.post('/api/platform/companies/:companyId/suspend', requirePlatformAdmin, COMPANY_STATUS_BODY, changeCompanyStatus('suspend'));
+app.post('/api/platform/companies/:companyId/reactivate', requirePlatformAdmin, COMPANY_STATUS_BODY, changeCompanyStatus('reactivate'));
+
+// Merge a duplicate company into another. Its members become regular employees
+// of the other company, bringing their requests, donations and balances.
+app.post('/api/platform/companies/:companyId/merge', requirePlatformAdmin, validate({
+  body: { intoCompanyId: rules.id({ label: 'Company to merge into' }) }
+}), (req, res) => {
+  try {
+    const sourceId = Number(req.params.companyId);
+    const { intoCompanyId: targetId } = req.body;
+
+    const source = db.prepare('SELECT id, name, status FROM companies WHERE id = ?').get(sourceId);
+    if (!source) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    if (source.status === 'merged') {
+      return res.status(400).json({ error: `${source.name} was already merged`, code: 'COMPANY_MERGED' });
+    }
+    const target = db.prepare('SELECT id, name, status FROM companies WHERE id = ?').get(targetId);
+    if (!target) {
+      return rejectField(res, 'intoCompanyId', 'NOT_FOUND', 'Company not found');
+    }
+    if (target.id === source.id) {
+      return rejectField(res, 'intoCompanyId', 'SAME_COMPANY', 'Choose a different company to merge into');
+    }
+    if (target.status === 'merged') {
+      return rejectField(res, 'intoCompanyId', 'COMPANY_MERGED', `${target.name} was itself merged into another company`);
+    }
+
+    const moved = db.transaction(() => {
+      const movedUserIds = db.prepare('SELECT id FROM users WHERE company_id = ?').all(sourceId).map(row => row.id);
+      const counts = platform.merge(sourceId, targetId, req.user.id);
+      counts.poolHours = matching.movePool(sourceId, targetId, req.user.id);
+      audit.record({
+        action: 'company.merge',
+        actorId: req.user.id,
+        target: { type: 'company', id: sourceId },
+        companyIds: [targetId],
+        before: { status: source.status },
+        after: { merged_into_id: targetId, merged_into: target.name, ...counts },
+        ip: req.ip
+      });
+      events.publish('company.merged', { sourceId, targetId, userIds: movedUserIds, actorId: req.user.id });
+      return counts;
+    })();
+
+    res.json({ message: `${source.name} merged into ${target.name}`, moved });
+  } catch (error) {
+    console.error('Merge companies error:', error);
+    res.status(500).json({ error: 'Failed to merge companies' });
+  }
+});
+
+const UNASSIGNED_USER_SORT = [
+  { expr: 'u.created_at', dir: 'DESC', value: row => row.created_at },
+  { expr: 'u.id', dir: 'DESC', value: row => row.id }
+];
+
+// Users who belong to no company, newest first, with any open join request.
+// q searches name, email and username; limit, cursor.
+app.get('/api/platform/users/unassigned', requirePlatformAdmin, validate({
+  query: { q: rules.string({ max: 200, optional: true }), ...PAGING_QUERY }
+}), (req, res) => {
+  try {
+    const paging = readPaging(req, res, 'newest', UNASSIGNED_USER_SORT);
+    if (!paging) return;
+
+    const filters = [{ sql: 'u.company_id IS NULL AND u.is_platform_admin = 0 AND u.deleted_at IS NULL', params: [] }];
+    const search = listQuery.searchSql(req.query.q, ["u.first_name || ' ' || u.last_name", 'u.email', 'u.username']);
+    if (search) filters.push(search);
+
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: `
+        u.id, u.first_name, u.last_name, u.email, u.username, u.available_pto_hours, u.created_at,
+        j.status as join_request_status, jc.name as join_request_company
+      `,
+      from: `
+        FROM users u
+        LEFT JOIN join_requests j ON j.user_id = u.id AND j.status IN ('pending', 'confirm_email')
+        LEFT JOIN companies jc ON j.company_id = jc.id
+      `,
+      filters,
+      sortName: 'newest',
+      sort: UNASSIGNED_USER_SORT,
+      ...paging
+    });
+
+    res.json({ users: items, total, nextCursor });
+  } catch (error) {
+    console.error('Get unassigned users error:', error);
+    res.status(500).json({ error: 'Failed to get unassigned users' });
+  }
+});
+
+// Put a user who belongs to no company into one, optionally as its admin
+app.post('/api/platform/users/:userId/assign', requirePlatformAdmin, validate({
+  body: {
+    companyId: rules.id({ label: 'Company' }),
+    isCompanyAdmin: rules.boolean({ default: false })
+  }
+}), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const { companyId, isCompanyAdmin } = req.body;
+
+    const user = db.prepare('SELECT id, first_name, last_name, company_id, deleted_at FROM users WHERE id = ?').get(userId);
+    if (!user || user.deleted_at) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.company_id) {
+      return res.status(400).json({ error: 'This user already belongs to a company', code: 'USER_IN_COMPANY' });
+    }
+    const company = db.prepare('SELECT id, name, status FROM companies WHERE id = ?').get(companyId);
+    if (!company) {
+      return rejectField(res, 'companyId', 'NOT_FOUND', 'Company not found');
+    }
+    if (company.status === 'merged') {
+      return rejectField(res, 'companyId', 'COMPANY_MERGED', `${company.name} was merged into another company`);
+    }
+
+    db.transaction(() => {
+      membership.cancelOpenRequests(userId);
+      db.prepare('UPDATE users SET company_id = ?, is_company_admin = ? WHERE id = ?').run(companyId, isCompanyAdmin ? 1 : 0, userId);
+      audit.record({
+        action: 'employee.assign',
+        actorId: req.user.id,
+        target: { type: 'user', id: userId },
+        before: { company_id: null },
+        after: { company_id: companyId, is_company_admin: isCompanyAdmin ? 1 : 0 },
+        ip: req.ip
+      });
+      events.publish('employee.added', { userId, companyId, actorId: req.user.id });
+    })();
+
+    res.json({ message: `${user.first_name} ${user.last_name} assigned to ${company.name}` });
+  } catch (error) {
+    console.error('Assign user error:', error);
+    res.status(500).json({ error: 'Failed to assign user' });
+  }
+});
+
+// ============== GLOBAL STATS ==============
+
+app.get('/api/stats/global', (req, res) => {
+  try {
+    const totalHours = db.prepare(`SELECT COALESCE(SUM(hours), 0) as total FROM donations WHERE status = 'completed'`).get();
+
+    const totalPeopleHelped = db.prepare(`
+      SELECT COUNT(*) as count FROM (
+        SELECT sr.user_id
+        FROM donations d
+        JOIN support_requests sr ON d.request_id = sr.id
+        WHERE d.status = 'completed'
+        GROUP BY sr.user_id
+        HAVING SUM(d.hours) > 0
+      )
+    `).get();
+
+    const totalCompanies = db.prepare(`SELECT COUNT(*) as count FROM companies WHERE status = 'active'`).get();
+
+    const totalDonors = db.prepare(`
+      SELECT COUNT(*) as count FROM (
+        SELECT donor_id FROM donations WHERE status = 'completed'
+        GROUP BY donor_id HAVING SUM(hours) > 0
+      )
+    `).get();
+
+    res.json({
+      totalHours: totalHours.total,
+      totalPeopleHelped: totalPeopleHelped.count,
+      totalCompanies: totalCompanies.count,
+      totalDonors: totalDonors.count
+    });
+  } catch (error) {
+    console.error('Get global stats error:', error);
+    res.status(500).json({ error: 'Failed to get global stats' });
+  }
+});
+
+// ============== AUTH ROUTES ==============
+
+// Register a new user
+app.post('/api/register', validate({
+  body: {
+    firstName: FIELDS.name(),
+    lastName: FIELDS.name(),
+    email: FIELDS.email(),
+    phone: FIELDS.phone(),
+    username: FIELDS.username(),
+    password: FIELDS.newPassword(),
+    canDonate: rules.boolean({ default: false }),
+    needSupport: rules.boolean({ default: false }),
+    companyId: rules.id({ optional: true, nullable: true, label: 'Company' }),
+    companyName: FIELDS.name({ optional: true, nullable: true, label: 'Company name' }),
+    registrationType: rules.oneOf(['employee', 'company'], { default: 'employee', label: 'Registration type' })
+  }
+}), async (req, res) => {
+  try {
+    const {
+      firstName, lastName, email, phone,
+      username, password, canDonate, needSupport,
+      companyId, companyName, registrationType
+    } = req.body;
+
+    // Check if user already exists
+    if (emailTaken(email)) {
+      return rejectField(res, 'email', 'TAKEN', 'An account with this email already exists');
+    }
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+      return rejectField(res, 'username', 'TAKEN', 'This username is already taken');
+    }
+    if (companyId && !db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+      return rejectField(res, 'companyId', 'NOT_FOUND', 'Company not found');
+    }
+    if (companyId && inactiveCompanyError(companyId)) {
+      return rejectField(res, 'companyId', 'COMPANY_UNAVAILABLE', 'This company is not accepting new members');
+    }
+    if (registrationType === 'company' && !companyName) {
+      return rejectField(res, 'companyName', 'REQUIRED', 'Company name is required to register a company');
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    let finalCompanyId = null;
+
+    // Employees get into a company by confirming an address on one of its verified
+    // domains, or else by an admin approving their request to join the one they picked
+    let joining = null;
+    if (registrationType !== 'company') {
+      const domainCompany = membership.companyForEmail(email);
+      if (domainCompany) {
+        joining = { status: 'confirm_email', companyId: domainCompany.company_id, companyName: domainCompany.company_name };
+      } else if (companyId) {
+        joining = {
+          status: 'pending',
+          companyId,
+          companyName: db.prepare('SELECT name FROM companies WHERE id = ?').get(companyId).name
+        };
+      }
+    }
+
+    // Registering as company admin creates the company, together with the user below
+    const createdCompany = registrationType === 'company' && Boolean(companyName);
+    if (createdCompany && db.prepare('SELECT id FROM companies WHERE name = ?').get(companyName)) {
+      return res.status(400).json({ error: 'Company already exists. Please join as an employee or contact your admin.' });
+    }
+
+    // Insert user. They start with no PTO: their company's admins set the balance.
+    const stmt = db.prepare(`
+      INSERT INTO users (first_name, last_name, email, phone, username, password, company_id, is_company_admin, can_donate, need_support)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = db.transaction(() => {
+      // A new company takes members once a platform admin approves it
+      if (createdCompany) {
+        finalCompanyId = db.prepare(`INSERT INTO companies (name, status) VALUES (?, 'pending')`).run(companyName).lastInsertRowid;
+      }
+
+      const inserted = stmt.run(
+        firstName, lastName, email, phone, username, hashedPassword,
+        finalCompanyId || null,
+        createdCompany ? 1 : 0,
+        canDonate ? 1 : 0,
+        needSupport ? 1 : 0
+      );
+
+      if (joining && joining.status === 'confirm_email') {
+        joining.token = membership.requestEmailConfirmation({ userId: inserted.lastInsertRowid, companyId: joining.companyId }).token;
+      } else if (joining) {
+        const requestId = membership.requestToJoin({ userId: inserted.lastInsertRowid, companyId: joining.companyId });
+        audit.record({
+          action: 'employee.join_request',
+          actorId: inserted.lastInsertRowid,
+          target: { type: 'company', id: joining.companyId },
+          ip: req.ip
+        });
+        events.publish('join_request.created', { requestId, userId: inserted.lastInsertRowid, companyId: joining.companyId });
+      }
+      return inserted;
+    })();
+
+    if (joining && joining.token) {
+      membership.sendJoinConfirmation({ email, firstName, companyName: joining.companyName, token: joining.token });
+    }
+
+    // Get company name if exists
+    let companyInfo = null;
+    if (finalCompanyId) {
+      companyInfo = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(finalCompanyId);
+    }
+
+    // Return user data for auto-login
+    const newUser = {
+      id: result.lastInsertRowid,
+      first_name: firstName,
+      last_name: lastName,
+      email: email,
+      phone: phone,
+      username: username,
+      company_id: finalCompanyId || null,
+      company_name: companyInfo ? companyInfo.name : null,
+      company_status: createdCompany ? 'pending' : null,
+      is_company_admin: createdCompany ? 1 : 0,
+      is_platform_admin: 0,
+      can_donate: canDonate ? 1 : 0,
+      need_support: needSupport ? 1 : 0,
+      available_pto_hours: 0
+    };
+
+    const token = createSession(res, newUser.id);
+
+    res.status(201).json({
+      message: 'Registration successful',
+      user: newUser,
+      token,
+      joinRequest: joining && { status: joining.status, company_id: joining.companyId, company_name: joining.companyName }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// Login
+app.post('/api/login', validate({
+  body: { username: rules.string({ max: 254 }), password: FIELDS.password() }
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = db.prepare(`
+      SELECT u.*, c.name as company_name, c.status as company_status
+      FROM users u
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE u.username = ?
+    `).get(username);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Return user info (excluding password)
+    const { password: _, ...userWithoutPassword } = user;
+    const token = createSession(res, user.id);
+
+    res.json({
+      message: 'Login successful',
+      user: userWithoutPassword,
+      token
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Logout (revoke the current session)
+app.post('/api/logout', (req, res) => {
+  try {
+    if (req.sessionId) {
+      db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.sessionId);
+    }
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Get the user behind the current session
+app.get('/api/me', requireAuth, (req, res) => {
+  try {
+    const user = db.prepare(`
+      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username,
+             u.company_id, u.is_company_admin, u.is_platform_admin, u.can_donate, u.need_support,
+             u.available_pto_hours, u.created_at, c.name as company_name, c.status as company_status
+      FROM users u
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE u.id = ?
+    `).get(req.user.id);
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Failed to get current user' });
+  }
+});
+
+// Revoke every session for a user (sign out everywhere)
+app.delete('/api/users/:id/sessions', requireSelf('id'), (req, res) => {
+  try {
+    const result = db.prepare(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `).run(req.params.id);
+
+    if (String(req.params.id) === String(req.user.id)) {
+      res.clearCookie(SESSION_COOKIE);
+    }
+    res.json({ message: 'Sessions revoked', revoked: result.changes });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Get user profile
+app.get('/api/users/:id', requireSelf('id'), (req, res) => {
+  try {
+    const user = db.prepare(`
+      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username,
+             u.company_id, u.is_company_admin, u.can_donate, u.need_support,
+             u.available_pto_hours, u.created_at, c.name as company_name
+      FROM users u
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE u.id = ?
+    `).get(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+// Update user profile. Balances change only through the ledger (admin
+// adjustments, accruals, donations), and companies only through membership.
+app.put('/api/users/:id', requireSelf('id'), validate({
+  body: {
+    first_name: FIELDS.name({ optional: true }),
+    last_name: FIELDS.name({ optional: true }),
+    email: FIELDS.email({ optional: true }),
+    phone: FIELDS.phone({ optional: true }),
+    can_donate: rules.boolean({ optional: true }),
+    need_support: rules.boolean({ optional: true })
+  }
+}), (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { first_name, last_name, email, phone, can_donate, need_support } = req.body;
+
+    if (email !== undefined && emailTaken(email, userId)) {
+      return rejectField(res, 'email', 'TAKEN', 'Another account already uses this email');
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (first_name !== undefined) { updates.push('first_name = ?'); values.push(first_name); }
+    if (last_name !== undefined) { updates.push('last_name = ?'); values.push(last_name); }
+    if (email !== undefined) { updates.push('email = ?'); values.push(email); }
+    if (phone !== undefined) { updates.push('phone = ?'); values.push(phone); }
+    if (can_donate !== undefined) { updates.push('can_donate = ?'); values.push(can_donate ? 1 : 0); }
+    if (need_support !== undefined) { updates.push('need_support = ?'); values.push(need_support ? 1 : 0); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const PROFILE_FIELDS = 'first_name, last_name, email, phone, company_id, can_donate, need_support';
+    db.transaction(() => {
+      const before = db.prepare(`SELECT ${PROFILE_FIELDS} FROM users WHERE id = ?`).get(userId);
+      values.push(userId);
+      db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+
+      const changed = auditLog.diff(before, db.prepare(`SELECT ${PROFILE_FIELDS} FROM users WHERE id = ?`).get(userId));
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'profile.update',
+          actorId: req.user.id,
+          target: { type: 'user', id: Number(userId) },
+          ...changed,
+          companyIds: [before.company_id],
+          ip: req.ip
+        });
+      }
+    })();
+
+    // Return updated user
+    const user = db.prepare(`
+      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username,
+             u.company_id, u.is_company_admin, u.can_donate, u.need_support,
+             u.available_pto_hours, u.created_at, c.name as company_name
+      FROM users u
+      LEFT JOIN companies c ON u.company_id = c.id
+      WHERE u.id = ?
+    `).get(userId);
+
+    res.json({ message: 'Profile updated', user });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// ============== SUPPORT REQUEST ROUTES ==============
+
+const REQUEST_URGENCIES = ['high', 'medium', 'low'];
+const REQUEST_DATES_ORDERED = checks.ordered('body', 'startDate', 'endDate', { message: 'End date cannot be before the start date' });
+
+// Create a support request
+app.post('/api/requests', requireAuth, requireActiveCompany(), validate({
+  body: {
+    hoursNeeded: FIELDS.hours(),
+    urgency: rules.oneOf(REQUEST_URGENCIES),
+    category: FIELDS.category(),
+    reason: FIELDS.reason({ label: 'Situation' }),
+    startDate: FIELDS.date(),
+    endDate: FIELDS.date({ optional: true, nullable: true }),
+    draft: rules.boolean({ default: false }),
+    visibility: rules.oneOf(privacy.REQUEST_VISIBILITIES, { default: 'public' }),
+    hideReason: rules.boolean({ default: false })
+  },
+  checks: [REQUEST_DATES_ORDERED]
+}), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { hoursNeeded, urgency, category, reason, startDate, endDate, draft, visibility, hideReason } = req.body;
+
+    const violation = donationPolicy.evaluateRequest({
+      policy: getCompanyPolicy(req.user.company_id),
+      hoursNeeded,
+      category
+    });
+    if (violation) {
+      return res.status(403).json({ error: violation.reason, code: violation.code });
+    }
+
+    const stmt = db.prepare(`
+      INSERT INTO support_requests (user_id, hours_needed, urgency, category, reason, start_date, end_date, status, visibility, hide_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const status = draft ? 'draft' : 'active';
+    const result = stmt.run(userId, hoursNeeded, urgency, category, reason, startDate, endDate || null, status, visibility, hideReason ? 1 : 0);
+    events.publish('request.created', { requestId: result.lastInsertRowid, actorId: userId });
+
+    res.status(201).json({
+      message: draft ? 'Support request saved as draft' : 'Support request created',
+      requestId: result.lastInsertRowid,
+      status
+    });
+  } catch (error) {
+    console.error('Create request error:', error);
+    res.status(500).json({ error: 'Failed to create request' });
+  }
+});
+
+const URGENCY_RANK_SQL = `CASE sr.urgency WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`;
+const RECEIVED_SQL = `(SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id AND status = 'completed')`;
+const REMAINING_SQL = `(sr.hours_needed - ${RECEIVED_SQL} - sr.hours_matched)`;
+// Whether a company admin has verified any of the request's supporting documents
+const DOCUMENTS_VERIFIED_SQL = `EXISTS (SELECT 1 FROM request_documents WHERE request_id = sr.id AND verified_at IS NOT NULL)`;
+
+const REQUEST_SORTS = {
+  urgency: [
+    { expr: URGENCY_RANK_SQL, dir: 'ASC', value: row => REQUEST_URGENCIES.indexOf(row.urgency) + 1 || 3 },
+    { expr: 'sr.created_at', dir: 'DESC', value: row => row.created_at },
+    { expr: 'sr.id', dir: 'DESC', value: row => row.id }
+  ],
+  newest: [
+    { expr: 'sr.created_at', dir: 'DESC', value: row => row.created_at },
+    { expr: 'sr.id', dir: 'DESC', value: row => row.id }
+  ],
+  oldest: [
+    { expr: 'sr.created_at', dir: 'ASC', value: row => row.created_at },
+    { expr: 'sr.id', dir: 'ASC', value: row => row.id }
+  ],
+  remaining: [
+    { expr: REMAINING_SQL, dir: 'DESC', value: row => row.hours_needed - row.hours_received - row.hours_matched },
+    { expr: 'sr.id', dir: 'ASC', value: row => row.id }
+  ],
+  start_date: [
+    { expr: 'sr.start_date', dir: 'ASC', value: row => row.start_date },
+    { expr: 'sr.id', dir: 'ASC', value: row => row.id }
+  ]
+};
+
+// Get active support requests the user may see.
+// Filters: category, urgency (comma-separated), company, scope (same | cross),
+// minRemaining, maxRemaining, startFrom, startTo, q (searches the reason).
+// sort: urgency (default) | newest | oldest | remaining | start_date; limit, cursor.
+app.get('/api/requests', requireAuth, validate({
+  query: {
+    category: FIELDS.categories({ default: [] }),
+    urgency: rules.list(rules.oneOf(REQUEST_URGENCIES), { default: [] }),
+    company: rules.id({ optional: true }),
+    scope: rules.oneOf(['same', 'cross'], { optional: true }),
+    minRemaining: rules.integer({ min: 0, optional: true }),
+    maxRemaining: rules.integer({ min: 0, optional: true }),
+    startFrom: FIELDS.date({ optional: true }),
+    startTo: FIELDS.date({ optional: true }),
+    q: rules.string({ max: 200, optional: true }),
+    sort: rules.oneOf(Object.keys(REQUEST_SORTS), { default: 'urgency' }),
+    ...PAGING_QUERY
+  },
+  checks: [checks.ordered('query', 'minRemaining', 'maxRemaining'), checks.ordered('query', 'startFrom', 'startTo')]
+}), (req, res) => {
+  try {
+    const {
+      category: categories, urgency: urgencies, company, scope,
+      minRemaining, maxRemaining, startFrom, startTo, q, sort: sortName
+    } = req.query;
+    const sort = REQUEST_SORTS[sortName];
+
+    const paging = readPaging(req, res, sortName, sort);
+    if (!paging) return;
+
+    const requester = { userId: 'sr.user_id', companyId: 'u.company_id', visibility: 'sr.visibility' };
+    const filters = [
+      { sql: `sr.status = 'active'`, params: [] },
+      privacy.viewRequestSql(req.user, requester)
+    ];
+    if (categories.length > 0) {
+      filters.push({ sql: `sr.category IN (${categories.map(() => '?').join(', ')})`, params: categories });
+    }
+    if (urgencies.length > 0) {
+      filters.push({ sql: `sr.urgency IN (${urgencies.map(() => '?').join(', ')})`, params: urgencies });
+    }
+    // Filtering by company or scope would give away the company of hidden
+    // requesters, so those filters only match requesters the viewer may name
+    const named = privacy.namedRequesterSql(req.user, requester);
+    if (company !== undefined) {
+      filters.push({ sql: `(${named.sql} AND u.company_id = ?)`, params: [...named.params, company] });
+    }
+    if (scope === 'same') {
+      filters.push({ sql: `(${named.sql} AND u.company_id = ?)`, params: [...named.params, req.user.company_id] });
+    }
+    if (scope === 'cross') {
+      filters.push({ sql: `(${named.sql} AND (u.company_id IS NULL OR u.company_id != ?))`, params: [...named.params, req.user.company_id] });
+    }
+    if (minRemaining !== undefined) filters.push({ sql: `${REMAINING_SQL} >= ?`, params: [minRemaining] });
+    if (maxRemaining !== undefined) filters.push({ sql: `${REMAINING_SQL} <= ?`, params: [maxRemaining] });
+    if (startFrom) filters.push({ sql: 'sr.start_date >= ?', params: [startFrom] });
+    if (startTo) filters.push({ sql: 'sr.start_date <= ?', params: [startTo] });
+
+    // Private reasons are only searchable by those who may read them
+    const search = listQuery.searchSql(q, ['sr.reason']);
+    if (search) {
+      const reasonShown = privacy.visibleReasonSql(req.user, { ...requester, hideReason: 'sr.hide_reason' });
+      filters.push({ sql: `(${reasonShown.sql} AND ${search.sql})`, params: [...reasonShown.params, ...search.params] });
+    }
+
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: `
+        sr.*, u.first_name, u.last_name, u.company_id, c.name as company_name, ${RECEIVED_SQL} as hours_received,
+        ${DOCUMENTS_VERIFIED_SQL} as documents_verified
+      `,
+      from: `
+        FROM support_requests sr
+        JOIN users u ON sr.user_id = u.id
+        LEFT JOIN companies c ON u.company_id = c.id
+      `,
+      filters,
+      sortName,
+      sort,
+      ...paging
+    });
+
+    res.json({
+      requests: items.map(request => privacy.presentRequest(req.user, request)),
+      total,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get requests error:', error);
+    res.status(500).json({ error: 'Failed to get requests' });
+  }
+});
+
+// Get a single request
+app.get('/api/requests/:id', requireAuth, (req, res) => {
+  try {
+    const request = db.prepare(`
+      SELECT
+        sr.*,
+        u.first_name,
+        u.last_name,
+        u.company_id,
+        (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id AND status = 'completed') as hours_received,
+        ${DOCUMENTS_VERIFIED_SQL} as documents_verified
+      FROM support_requests sr
+      JOIN users u ON sr.user_id = u.id
+      WHERE sr.id = ?
+    `).get(req.params.id);
+
+    // Drafts are private to the requester; company-only requests to their company
+    if (!request || (request.status === 'draft' && request.user_id !== req.user.id) ||
+        !privacy.canViewRequest(req.user, request)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    res.json(privacy.presentRequest(req.user, request));
+  } catch (error) {
+    console.error('Get request error:', error);
+    res.status(500).json({ error: 'Failed to get request' });
+  }
+});
+
+// Get requests by user
+app.get('/api/users/:userId/requests', requireSelf('userId'), (req, res) => {
+  try {
+    const requests = db.prepare(`
+      SELECT
+        sr.*,
+        (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id AND status = 'completed') as hours_received
+      FROM support_requests sr
+      WHERE sr.user_id = ?
+      ORDER BY sr.created_at DESC
+    `).all(req.params.userId);
+
+    // Tell the client which lifecycle actions each request currently offers
+    const userActions = status => requestLifecycle.allowedActions(status)
+      .filter(action => !requestLifecycle.SYSTEM_ACTIONS.includes(action));
+
+    // Platform admins may list anyone's requests, but documents stay with the requester
+    const ownRequests = req.user.id === Number(req.params.userId);
+
+    res.json(requests.map(request => ({
+      ...request,
+      allowed_actions: userActions(request.status),
+      editable: requestLifecycle.isEditable(request.status),
+      documents: ownRequests ? requestDocuments.listDocuments(request.id).map(presentDocument) : []
+    })));
+  } catch (error) {
+    console.error('Get user requests error:', error);
+    res.status(500).json({ error: 'Failed to get requests' });
+  }
+});
+
+// ============== SUPPORT REQUEST LIFECYCLE ==============
+
+// Requesters manage their own requests; company admins manage their employees' requests
+function canManageRequest(user, request) {
+  return user.is_platform_admin ||
+    user.id === request.user_id ||
+    (user.is_company_admin && user.company_id != null && user.company_id === request.requester_company_id);
+}
+
+function getRequestForUpdate(requestId) {
+  return db.prepare(`
+    SELECT sr.*, u.company_id as requester_company_id
+    FROM support_requests sr
+    JOIN users u ON sr.user_id = u.id
+    WHERE sr.id = ?
+  `).get(requestId);
+}
+
+// Move a request through the lifecycle, applying the state machine's rule for
+// hours already donated. Closing refunds whatever the requester didn't use
+// (hoursUsed, defaulting to everything up to hours_needed).
+// Must be called inside a transaction.
+// Refunds come out of the requester's balance, which must cover them. When it
+// can't, this throws REFUND_EXCEEDS_BALANCE, or with clampRefund (for the
+// server's own transitions) refunds only what the balance covers.
+function transitionRequest(request, action, { hoursUsed, actorId = null, ip = null, clampRefund = false } = {}) {
+  const { to, donatedHours } = requestLifecycle.transition(request.status, action);
+
+  let refund = 0;
+  let refundReason = null;
+  if (donatedHours === 'return') {
+    refund = request.hours_received;
+    refundReason = 'request_cancelled';
+  }
+  if (donatedHours === 'refund_surplus') {
+    const kept = hoursUsed !== undefined ? hoursUsed : Math.min(request.hours_received, request.hours_needed);
+    refund = Math.max(request.hours_received - kept, 0);
+    refundReason = 'surplus_refund';
+  }
+
+  if (refund > 0) {
+    const affordable = affordableRefund(request, refund);
+    if (affordable < refund && !clampRefund) {
+      const error = new Error(
+        `Only ${affordable} of the ${refund} hours to refund are still in the requester's balance. ` +
+        'Close the request with the hours that were used instead.'
+      );
+      error.code = 'REFUND_EXCEEDS_BALANCE';
+      throw error;
+    }
+    if (affordable > 0) {
+      refundDonations(request, affordable, refundReason, actorId, ip);
+    }
+  }
+
+  if (to === 'fulfilled') {
+    db.prepare('UPDATE support_requests SET status = ?, fulfilled_at = CURRENT_TIMESTAMP WHERE id = ?').run(to, request.id);
+  } else {
+    db.prepare('UPDATE support_requests SET status = ? WHERE id = ?').run(to, request.id);
+  }
+  events.publish('request.status_changed', { requestId: request.id, from: request.status, to, action, actorId });
+  return to;
+}
+
+// Expire active or paused requests whose end date has passed
+function expireOverdueRequests() {
+  const overdue = db.prepare(`
+    SELECT * FROM support_requests
+    WHERE status IN ('active', 'paused') AND end_date IS NOT NULL AND end_date < date('now')
+  `).all();
+
+  db.transaction(() => {
+    overdue.forEach(request => transitionRequest(request, 'expire'));
+  })();
+
+  return overdue.length;
+}
+
+// Edit a request (hours, reason, urgency, category, dates, privacy)
+app.put('/api/requests/:id', requireAuth, validate({
+  body: {
+    hoursNeeded: FIELDS.hours({ optional: true }),
+    urgency: rules.oneOf(REQUEST_URGENCIES, { optional: true }),
+    category: FIELDS.category({ optional: true }),
+    reason: FIELDS.reason({ optional: true, label: 'Situation' }),
+    startDate: FIELDS.date({ optional: true }),
+    endDate: FIELDS.date({ optional: true, nullable: true }),
+    visibility: rules.oneOf(privacy.REQUEST_VISIBILITIES, { optional: true }),
+    hideReason: rules.boolean({ optional: true })
+  }
+}), (req, res) => {
+  try {
+    const request = getRequestForUpdate(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!canManageRequest(req.user, request)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!requestLifecycle.isEditable(request.status)) {
+      return res.status(409).json({ error: `A ${request.status} request can no longer be edited` });
+    }
+
+    const { hoursNeeded, urgency, category, reason, startDate, endDate, visibility, hideReason } = req.body;
+
+    const covered = request.hours_received + request.hours_matched;
+    if (hoursNeeded !== undefined && hoursNeeded < covered) {
+      return rejectField(res, 'hoursNeeded', 'TOO_SMALL', `Hours needed cannot be less than the ${covered} hours already received`);
+    }
+
+    const newStart = startDate !== undefined ? startDate : request.start_date;
+    const newEnd = endDate !== undefined ? endDate : request.end_date;
+    if (newEnd && newEnd < newStart) {
+      return rejectField(res, 'endDate', 'OUT_OF_ORDER', 'End date cannot be before the start date');
+    }
+
+    const violation = donationPolicy.evaluateRequest({
+      policy: getCompanyPolicy(request.requester_company_id),
+      hoursNeeded: hoursNeeded !== undefined ? hoursNeeded : request.hours_needed,
+      category: category !== undefined ? category : request.category
+    });
+    if (violation) {
+      return res.status(403).json({ error: violation.reason, code: violation.code });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (hoursNeeded !== undefined) { updates.push('hours_needed = ?'); values.push(hoursNeeded); }
+    if (urgency !== undefined) { updates.push('urgency = ?'); values.push(urgency); }
+    if (category !== undefined) { updates.push('category = ?'); values.push(category); }
+    if (reason !== undefined) { updates.push('reason = ?'); values.push(reason); }
+    if (startDate !== undefined) { updates.push('start_date = ?'); values.push(startDate); }
+    if (endDate !== undefined) { updates.push('end_date = ?'); values.push(endDate); }
+    if (visibility !== undefined) { updates.push('visibility = ?'); values.push(visibility); }
+    if (hideReason !== undefined) { updates.push('hide_reason = ?'); values.push(hideReason ? 1 : 0); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    db.transaction(() => {
+      values.push(request.id);
+      db.prepare(`UPDATE support_requests SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+
+      // Lowering the need to what has already been received completes the request
+      const updated = getRequestForUpdate(request.id);
+      if (updated.status === 'active' && updated.hours_received + updated.hours_matched >= updated.hours_needed) {
+        transitionRequest(updated, 'fulfill');
+      }
+    })();
+
+    res.json({ message: 'Request updated', request: getRequestForUpdate(request.id) });
+  } catch (error) {
+    console.error('Update request error:', error);
+    res.status(500).json({ error: 'Failed to update request' });
+  }
+});
+
+// Actions requesters and admins may ask for; the rest are the server's own
+const REQUEST_ACTIONS = [...new Set(Object.values(requestLifecycle.TRANSITIONS).flatMap(Object.keys))]
+  .filter(action => !requestLifecycle.SYSTEM_ACTIONS.includes(action));
+
+// Change a request's status (publish, pause, resume, close, cancel)
+app.post('/api/requests/:id/transition', requireAuth, validate({
+  body: {
+    action: rules.oneOf(REQUEST_ACTIONS),
+    hoursUsed: rules.integer({ min: 0, optional: true })
+  }
+}), (req, res) => {
+  try {
+    const { action, hoursUsed } = req.body;
+
+    const request = getRequestForUpdate(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!canManageRequest(req.user, request)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Closing may hand back hours the requester ended up not needing
+    if (hoursUsed !== undefined) {
+      if (action !== 'close') {
+        return rejectField(res, 'hoursUsed', 'NOT_ALLOWED', 'Hours used can only be given when closing a request');
+      }
+      if (hoursUsed > request.hours_received) {
+        return rejectField(res, 'hoursUsed', 'TOO_LARGE', `Hours used must be a whole number between 0 and ${request.hours_received}`);
+      }
+    }
+
+    const status = db.transaction(() => {
+      const to = transitionRequest(request, action, { hoursUsed, actorId: req.user.id, ip: req.ip });
+      audit.record({
+        action: 'request.transition',
+        actorId: req.user.id,
+        target: { type: 'user', id: request.user_id },
+        before: { request_id: request.id, status: request.status, hours_received: request.hours_received },
+        after: { request_id: request.id, status: to, action, hours_used: hoursUsed === undefined ? null : hoursUsed },
+        targetAnonymous: request.visibility === 'anonymous',
+        ip: req.ip
+      });
+      return to;
+    })();
+
+    res.json({ message: `Request ${status}`, status });
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'REFUND_EXCEEDS_BALANCE') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Request transition error:', error);
+    res.status(500).json({ error: 'Failed to update request status' });
+  }
+});
+
+// Extend a request's end date (reopens an expired request)
+app.post('/api/requests/:id/extend', requireAuth, validate({
+  body: { endDate: FIELDS.date({ label: 'New end date' }) }
+}), (req, res) => {
+  try {
+    const { endDate } = req.body;
+
+    const request = getRequestForUpdate(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!canManageRequest(req.user, request)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (request.status !== 'expired' && !requestLifecycle.isEditable(request.status)) {
+      return res.status(409).json({ error: `A ${request.status} request cannot be extended` });
+    }
+    if (request.end_date && endDate <= request.end_date) {
+      return rejectField(res, 'endDate', 'TOO_EARLY', 'New end date must be later than the current one');
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    if (endDate < today) {
+      return rejectField(res, 'endDate', 'TOO_EARLY', 'New end date cannot be in the past');
+    }
+
+    const status = db.transaction(() => {
+      db.prepare('UPDATE support_requests SET end_date = ? WHERE id = ?').run(endDate, request.id);
+      return request.status === 'expired' ? transitionRequest(request, 'reopen') : request.status;
+    })();
+
+    res.json({ message: 'Request extended', endDate, status });
+  } catch (error) {
+    console.error('Extend request error:', error);
+    res.status(500).json({ error: 'Failed to extend request' });
+  }
+});
+
+// ============== SUPPORT REQUEST DOCUMENTS ==============
+
+const DOCUMENT_TYPE_LABELS = Object.values(DOCUMENT_TYPES).map(type => type.label).join(', ');
+const rawDocument = express.raw({ type: Object.keys(DOCUMENT_TYPES), limit: MAX_DOCUMENT_BYTES });
+
+// Read an uploaded file as the request body, answering oversized ones in our
+// usual error shape
+function documentBody(req, res, next) {
+  rawDocument(req, res, error => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: `Documents may be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`,
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+    next(error);
+  });
+}
+
+// The request with its requester's company, when the user may see its documents
+function getRequestForDocuments(user, requestId) {
+  const request = db.prepare(`
+    SELECT sr.id, sr.user_id, sr.status, sr.visibility, u.company_id
+    FROM support_requests sr
+    JOIN users u ON sr.user_id = u.id
+    WHERE sr.id = ?
+  `).get(requestId);
+  return request && privacy.canViewDocuments(user, request) ? request : null;
+}
+
+// A document as sent to clients; where it is stored stays on the server
+function presentDocument({ storage_name, ...document }) {
+  return document;
+}
+
+// Admins of the requester's company verify documents, never their own
+function canVerifyDocuments(user, request) {
+  return Boolean(user.is_company_admin) && user.id !== request.user_id && user.company_id === request.company_id;
+}
+
+// List a request's documents (requester and their company's admins only)
+app.get('/api/requests/:requestId/documents', requireAuth, (req, res) => {
+  try {
+    const request = getRequestForDocuments(req.user, req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    res.json({
+      documents: requestDocuments.listDocuments(request.id).map(presentDocument),
+      canVerify: canVerifyDocuments(req.user, request)
+    });
+  } catch (error) {
+    console.error('Get request documents error:', error);
+    res.status(500).json({ error: 'Failed to get documents' });
+  }
+});
+
+// Attach a document to the user's own request. The file is the request body,
+// sent with its content type; ?name= is its file name.
+app.post('/api/requests/:requestId/documents', requireAuth, documentBody, validate({
+  query: { name: rules.string({ min: 1, max: 200, label: 'File name' }) }
+}), (req, res) => {
+  try {
+    const request = getRequestForDocuments(req.user, req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (request.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the requester can attach documents' });
+    }
+    if (requestDocuments.countDocuments(request.id) >= MAX_DOCUMENTS_PER_REQUEST) {
+      return res.status(400).json({
+        error: `A request can have at most ${MAX_DOCUMENTS_PER_REQUEST} documents`,
+        code: 'TOO_MANY_DOCUMENTS'
+      });
+    }
+
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!Buffer.isBuffer(req.body) || !DOCUMENT_TYPES[contentType]) {
+      return res.status(415).json({ error: `Documents must be one of: ${DOCUMENT_TYPE_LABELS}`, code: 'UNSUPPORTED_TYPE' });
+    }
+    if (req.body.length === 0) {
+      return res.status(400).json({ error: 'The file is empty', code: 'EMPTY_FILE' });
+    }
+    if (sniffType(req.body) !== contentType) {
+      return res.status(415).json({
+        error: `This file is not a valid ${DOCUMENT_TYPES[contentType].label}`,
+        code: 'CONTENT_MISMATCH'
+      });
+    }
+
+    const documentId = requestDocuments.saveDocument({
+      requestId: request.id,
+      uploadedBy: req.user.id,
+      fileName: req.query.name,
+      contentType,
+      data: req.body
+    });
+
+    res.status(201).json({
+      message: 'Document attached',
+      document: presentDocument(requestDocuments.getDocument(request.id, documentId))
+    });
+  } catch (error) {
+    console.error('Upload request document error:', error);
+    res.status(500).json({ error: 'Failed to attach document' });
+  }
+});
+
+// Download a document
+app.get('/api/requests/:requestId/documents/:documentId', requireAuth, (req, res) => {
+  try {
+    const request = getRequestForDocuments(req.user, req.params.requestId);
+    const document = request && requestDocuments.getDocument(request.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Sent as a download in its stored type, which browsers must not second-guess
+    res.attachment(document.file_name);
+    res.set({
+      'Content-Type': document.content_type,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, no-store'
+    });
+    res.sendFile(requestDocuments.filePath(document), error => {
+      if (error && !res.headersSent) {
+        console.error('Send request document error:', error);
+        res.status(404).json({ error: 'Document not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get request document error:', error);
+    res.status(500).json({ error: 'Failed to get document' });
+  }
+});
+
+// Mark a document verified, or take that back (admins of the requester's company)
+app.put('/api/requests/:requestId/documents/:documentId/verification', requireAuth, validate({
+  body: { verified: rules.boolean() }
+}), (req, res) => {
+  try {
+    const request = getRequestForDocuments(req.user, req.params.requestId);
+    const document = request && requestDocuments.getDocument(request.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!canVerifyDocuments(req.user, request)) {
+      return res.status(403).json({ error: 'Only an admin of the requester\'s company can verify their documents' });
+    }
+
+    const { verified } = req.body;
+    if (verified !== (document.verified_at !== null)) {
+      db.transaction(() => {
+        requestDocuments.setVerified(document, verified ? req.user.id : null);
+        audit.record({
+          action: verified ? 'request.document_verify' : 'request.document_unverify',
+          actorId: req.user.id,
+          target: { type: 'user', id: request.user_id },
+          before: { request_id: request.id, document_id: document.id, verified: !verified },
+          after: { request_id: request.id, document_id: document.id, file_name: document.file_name, verified },
+          targetAnonymous: request.visibility === 'anonymous',
+          ip: req.ip
+        });
+      })();
+    }
+
+    res.json({
+      message: verified ? 'Document verified' : 'Document no longer verified',
+      document: presentDocument(requestDocuments.getDocument(request.id, document.id))
+    });
+  } catch (error) {
+    console.error('Verify request document error:', error);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+// Remove a document (the requester, or an admin of their company)
+app.delete('/api/requests/:requestId/documents/:documentId', requireAuth, (req, res) => {
+  try {
+    const request = getRequestForDocuments(req.user, req.params.requestId);
+    const document = request && requestDocuments.getDocument(request.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    db.transaction(() => {
+      requestDocuments.removeDocument(document);
+      audit.record({
+        action: 'request.document_delete',
+        actorId: req.user.id,
+        target: { type: 'user', id: request.user_id },
+        before: { request_id: request.id, document_id: document.id, file_name: document.file_name, verified: document.verified_at !== null },
+        targetAnonymous: request.visibility === 'anonymous',
+        ip: req.ip
+      });
+    })();
+    requestDocuments.deleteFile(document);
+
+    res.json({ message: 'Document removed' });
+  } catch (error) {
+    console.error('Delete request document error:', error);
+    res.status(500).json({ error: 'Failed to remove document' });
+  }
+});
+
+// Documents on the company's employees' requests (for admin). verified: true | false; all by default.
+app.get('/api/companies/:companyId/documents', requireCompanyAdmin('companyId'), validate({
+  query: { verified: rules.boolean({ optional: true }) }
+}), (req, res) => {
+  try {
+    // Platform admins don't see documents unless they are admins of the company
+    if (String(req.user.company_id) !== String(req.params.companyId) || !req.user.is_company_admin) {
+      return res.status(403).json({ error: 'Only the company\'s admins can see its employees\' documents' });
+    }
+
+    const { verified = null } = req.query;
+    const documents = requestDocuments.companyDocuments(Number(req.params.companyId), { verified });
+    res.json({ documents: documents.map(document => ({ ...document, can_verify: document.requester_id !== req.user.id })) });
+  } catch (error) {
+    console.error('Get company documents error:', error);
+    res.status(500).json({ error: 'Failed to get documents' });
+  }
+});
+
+// ============== REQUEST MESSAGES ==============
+
+// Whether the message's author is anonymous: a donor who gave anonymously, or the requester of an anonymous request
+function messageAuthorAnonymous(request, message) {
+  return message.author_id === request.user_id ? request.visibility === 'anonymous' : Boolean(message.donation_anonymous);
+}
+
+// A request's conversation as the user may see it. donationId: only the notes
+// and the messages about that donation.
+app.get('/api/requests/:requestId/messages', requireAuth, validate({
+  query: { donationId: rules.id({ optional: true, label: 'Donation' }) }
+}), (req, res) => {
+  try {
+    const request = messages.getRequest(req.params.requestId);
+    const thread = request && messages.thread(req.user, request, { donationId: req.query.donationId || null });
+    if (!thread) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    res.json(thread);
+  } catch (error) {
+    console.error('Get request messages error:', error);
+    res.status(500).json({ error: 'Failed to get messages' });
+  }
+});
+
+// Post to a request's conversation. The requester sends a thank-you note to
+// every donor, or replies about one donation with donationId; a donor replies
+// about their own donation.
+app.post('/api/requests/:requestId/messages', requireAuth, validate({
+  body: {
+    body: rules.string({ min: 1, max: MAX_MESSAGE_LENGTH, label: 'Message' }),
+    donationId: rules.id({ optional: true, nullable: true, label: 'Donation' })
+  }
+}), (req, res) => {
+  try {
+    const request = messages.getRequest(req.params.requestId);
+    const role = request && messages.roleIn(req.user, request);
+    if (!role || (!role.isRecipient && !role.isModerator && role.donationIds.length === 0)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const { body, donationId = null } = req.body;
+    if (role.isRecipient) {
+      const donation = donationId && db.prepare(`
+        SELECT id FROM donations WHERE id = ? AND request_id = ? AND kind = 'donation'
+      `).get(donationId, request.id);
+      if (donationId && !donation) {
+        return rejectField(res, 'donationId', 'DONATION_NOT_FOUND', 'That donation was not made to this request');
+      }
+      if (!donationId && !db.prepare("SELECT 1 FROM donations WHERE request_id = ? AND kind = 'donation'").get(request.id)) {
+        return res.status(400).json({ error: 'Nobody has donated to this request yet', code: 'NO_DONATIONS' });
+      }
+    } else if (!donationId || !role.donationIds.includes(donationId)) {
+      return res.status(403).json({
+        error: role.donationIds.length > 0 ? 'Donors can only reply about their own donations' : 'Only the requester and their donors can post here',
+        code: 'NOT_A_PARTICIPANT'
+      });
+    }
+
+    const messageId = db.transaction(() => messages.postMessage({
+      request,
+      donationId,
+      authorId: req.user.id,
+      kind: donationId ? 'reply' : 'note',
+      body
+    }))();
+
+    res.status(201).json({
+      message: donationId ? 'Reply sent' : 'Thank-you note sent',
+      post: messages.presentMessage(req.user, request, messages.getMessage(messageId))
+    });
+  } catch (error) {
+    console.error('Post request message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Report a message as inappropriate (anyone who can see it, except its author)
+app.post('/api/messages/:messageId/reports', requireAuth, validate({
+  body: { reason: rules.string({ max: 500, optional: true, nullable: true }) }
+}), (req, res) => {
+  try {
+    const message = messages.getMessage(req.params.messageId);
+    const request = message && messages.getRequest(message.request_id);
+    if (!request || !messages.canSee(req.user, request, messages.roleIn(req.user, request), message)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.author_id === req.user.id) {
+      return res.status(400).json({ error: 'You can\'t report your own message', code: 'OWN_MESSAGE' });
+    }
+    if (message.hidden_at !== null) {
+      return res.status(409).json({ error: 'This message is already hidden', code: 'ALREADY_HIDDEN' });
+    }
+
+    const reported = db.transaction(() => messages.reportMessage(message, req.user.id, req.body.reason || null))();
+    if (!reported) {
+      return res.status(409).json({ error: 'You already reported this message', code: 'ALREADY_REPORTED' });
+    }
+    res.status(201).json({ message: 'Message reported. An admin will review it.' });
+  } catch (error) {
+    console.error('Report message error:', error);
+    res.status(500).json({ error: 'Failed to report message' });
+  }
+});
+
+// Hide a message or show it again (moderators). Either way its open reports
+// are closed: as hidden, or as dismissed.
+app.put('/api/messages/:messageId/moderation', requireAuth, validate({
+  body: {
+    hidden: rules.boolean(),
+    reason: rules.string({ max: 500, optional: true, nullable: true })
+  }
+}), (req, res) => {
+  try {
+    const message = messages.getMessage(req.params.messageId);
+    const request = message && messages.getRequest(message.request_id);
+    if (!request) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!messages.canModerate(req.user, request, message)) {
+      return res.status(403).json({ error: 'Only admins of the requester\'s or the author\'s company can moderate this message' });
+    }
+
+    const { hidden, reason = null } = req.body;
+    const wasHidden = message.hidden_at !== null;
+    const action = hidden ? (wasHidden ? null : 'message.hide') : (wasHidden ? 'message.unhide' : 'message.dismiss_reports');
+
+    db.transaction(() => {
+      const closed = messages.moderateMessage(message, { hidden, actorId: req.user.id, reason });
+      if (!action || (action === 'message.dismiss_reports' && closed === 0)) return;
+      audit.record({
+        action,
+        actorId: req.user.id,
+        target: { type: 'user', id: message.author_id },
+        before: { message_id: message.id, request_id: request.id, hidden: wasHidden },
+        after: { message_id: message.id, request_id: request.id, hidden, reason: hidden ? reason : null, reports_closed: closed },
+        targetAnonymous: messageAuthorAnonymous(request, message),
+        companyIds: [request.company_id].filter(id => id != null),
+        ip: req.ip
+      });
+    })();
+
+    res.json({
+      message: hidden ? 'Message hidden' : wasHidden ? 'Message shown again' : 'Reports dismissed',
+      post: messages.presentMessage(req.user, request, messages.getMessage(message.id))
+    });
+  } catch (error) {
+    console.error('Moderate message error:', error);
+    res.status(500).json({ error: 'Failed to update message' });
+  }
+});
+
+// Reported messages on the company's employees' requests or by its employees (for admin).
+// status: open (default) | resolved
+app.get('/api/companies/:companyId/message-reports', requireCompanyAdmin('companyId'), validate({
+  query: { status: rules.oneOf(['open', 'resolved'], { default: 'open' }) }
+}), (req, res) => {
+  try {
+    res.json({ messages: messages.companyReports(req.user, Number(req.params.companyId), { status: req.query.status }) });
+  } catch (error) {
+    console.error('Get message reports error:', error);
+    res.status(500).json({ error: 'Failed to get reported messages' });
+  }
+});
+
+// ============== DONATION ROUTES ==============
+
+// Check and record a donation from a donor (the session user, or a user row
+// with the same fields). Each donation runs in its own transaction. Returns
+// { donationId, matchedHours }, or { problem } with the HTTP status, error and
+// code to answer with (and the field it concerns, for field errors).
+function makeDonation(donor, { requestId, hours, message = null, anonymous = false, pledgeId = null, ip = null }) {
+  const donorId = donor.id;
+  const problem = (status, error, code, extra = {}) => ({ problem: { status, error, code, ...extra } });
+
+  // The donor's company must be active, as for requireActiveCompany
+  const companyProblem = donor.is_platform_admin ? null : inactiveCompanyError(donor.company_id);
+  if (companyProblem) {
+    return problem(403, companyProblem.error, companyProblem.code);
+  }
+
+  // Check if donor has enough PTO
+  const balance = db.prepare('SELECT company_id, available_pto_hours FROM users WHERE id = ?').get(donorId);
+  if (!balance || balance.available_pto_hours < hours) {
+    return problem(400, 'Insufficient PTO hours available', 'INSUFFICIENT_BALANCE', { field: 'hours' });
+  }
+
+  // Check if request exists and is active
+  const request = db.prepare(`
+    SELECT sr.*, u.company_id as requester_company_id
+    FROM support_requests sr
+    JOIN users u ON sr.user_id = u.id
+    WHERE sr.id = ? AND sr.status = ?
+  `).get(requestId, 'active');
+  if (!request || !privacy.canViewRequest(donor, { ...request, company_id: request.requester_company_id })) {
+    return problem(404, 'Support request not found or closed', 'REQUEST_NOT_FOUND');
+  }
+  const recipientCompanyProblem = inactiveCompanyError(request.requester_company_id);
+  if (recipientCompanyProblem) {
+    return problem(403, recipientCompanyProblem.error, recipientCompanyProblem.code);
+  }
+
+  // Never take more than the request still needs
+  const remaining = request.hours_needed - request.hours_received - request.hours_matched;
+  if (hours > remaining) {
+    return problem(400, `This request only needs ${remaining} more hour${remaining !== 1 ? 's' : ''}`, 'EXCEEDS_REMAINING_NEED', { remaining });
+  }
+
+  // Enforce the donor's and the recipient's company policies
+  const donatedThisYear = db.prepare(`
+    SELECT COALESCE(SUM(hours), 0) as total FROM donations
+    WHERE donor_id = ? AND status = 'completed' AND strftime('%Y', created_at) = strftime('%Y', 'now')
+  `).get(donorId);
+
+  const violation = donationPolicy.evaluateDonation({
+    donor: balance,
+    donorPolicy: getCompanyPolicy(balance.company_id),
+    recipient: { company_id: request.requester_company_id },
+    recipientPolicy: getCompanyPolicy(request.requester_company_id),
+    request,
+    hours,
+    donatedThisYear: donatedThisYear.total
+  });
+  if (violation) {
+    return problem(403, violation.reason, violation.code);
+  }
+
+  // Create donation
+  const insertDonation = db.prepare(`
+    INSERT INTO donations (donor_id, request_id, hours, message, is_anonymous, pledge_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  // Update request's received hours
+  const updateRequestHours = db.prepare(`
+    UPDATE support_requests SET hours_received = hours_received + ? WHERE id = ?
+  `);
+
+  // Run as transaction
+  const transaction = db.transaction(() => {
+    const donation = insertDonation.run(donorId, requestId, hours, message || null, anonymous ? 1 : 0, pledgeId);
+    const refs = { donationId: donation.lastInsertRowid, requestId: request.id };
+
+    // The donor's message starts the donation's thread with the requester
+    if (message) {
+      messages.postMessage({ request, donationId: refs.donationId, authorId: donorId, kind: 'donation', body: message });
+    }
+
+    // Move the hours from the donor's balance to the requester's
+    ledger.post({ ...refs, userId: donorId, type: 'donation_out', hours: -hours });
+    ledger.post({ ...refs, userId: request.user_id, type: 'donation_in', hours });
+    updateRequestHours.run(hours, requestId);
+
+    // The donor's company adds its match from its pool
+    const donorCompany = db.prepare('SELECT name FROM companies WHERE id = ?').get(balance.company_id);
+    const matchedHours = donorCompany ? matching.matchDonation({
+      donationId: refs.donationId,
+      companyId: balance.company_id,
+      request: db.prepare('SELECT * FROM support_requests WHERE id = ?').get(requestId),
+      hours,
+      companyName: donorCompany.name
+    }) : 0;
+
+    audit.record({
+      action: 'donation.create',
+      actorId: donorId,
+      target: { type: 'user', id: request.user_id },
+      after: {
+        donation_id: refs.donationId, request_id: request.id, hours, matched_hours: matchedHours,
+        anonymous: !!anonymous, pledge_id: pledgeId
+      },
+      actorAnonymous: !!anonymous,
+      targetAnonymous: request.visibility === 'anonymous',
+      ip
+    });
+    events.publish('donation.created', {
+      donationId: refs.donationId,
+      donorId,
+      requestId: request.id,
+      hours,
+      matchedHours,
+      anonymous: !!anonymous,
+      pledgeId,
+      actorId: donorId
+    });
+
+    // Check if request is fully funded
+    const updatedRequest = db.prepare('SELECT * FROM support_requests WHERE id = ?').get(requestId);
+    if (updatedRequest.hours_received + updatedRequest.hours_matched >= updatedRequest.hours_needed) {
+      transitionRequest(updatedRequest, 'fulfill');
+    }
+    return { donationId: refs.donationId, matchedHours };
+  });
+
+  return transaction();
+}
+
+// Make a donation
+app.post('/api/donations', requireAuth, validate({
+  body: {
+    requestId: rules.id({ label: 'Request' }),
+    hours: FIELDS.hours(),
+    message: rules.string({ max: 500, optional: true, nullable: true }),
+    anonymous: rules.boolean({ default: false })
+  }
+}), (req, res) => {
+  try {
+    const { requestId, hours, message, anonymous } = req.body;
+
+    const result = makeDonation(req.user, { requestId, hours, message, anonymous, ip: req.ip });
+    if (result.problem) {
+      const { status, field, ...body } = result.problem;
+      return field ? rejectField(res, field, body.code, body.error) : res.status(status).json(body);
+    }
+
+    res.status(201).json({ message: 'Donation successful', matchedHours: result.matchedHours });
+  } catch (error) {
+    console.error('Donation error:', error);
+    res.status(500).json({ error: 'Donation failed' });
+  }
+});
+
+const DONATION_SORTS = {
+  newest: [
+    { expr: 'd.created_at', dir: 'DESC', value: row => row.created_at },
+    { expr: 'd.id', dir: 'DESC', value: row => row.id }
+  ],
+  oldest: [
+    { expr: 'd.created_at', dir: 'ASC', value: row => row.created_at },
+    { expr: 'd.id', dir: 'ASC', value: row => row.id }
+  ],
+  hours: [
+    { expr: 'ABS(d.hours)', dir: 'DESC', value: row => Math.abs(row.hours) },
+    { expr: 'd.id', dir: 'DESC', value: row => row.id }
+  ]
+};
+
+// Get a user's donation history, with reversals and refunds as negative rows.
+// Filters: kind (donation | reversal), category, from, to (dates),
+// q (searches the message and, where shown, the recipient's name).
+// sort: newest (default) | oldest | hours; limit, cursor.
+app.get('/api/users/:userId/donations', requireSelf('userId'), validate({
+  query: {
+    kind: rules.oneOf(['donation', 'reversal'], { optional: true }),
+    category: FIELDS.categories({ default: [] }),
+    from: FIELDS.date({ optional: true }),
+    to: FIELDS.date({ optional: true }),
+    q: rules.string({ max: 200, optional: true }),
+    sort: rules.oneOf(Object.keys(DONATION_SORTS), { default: 'newest' }),
+    ...PAGING_QUERY
+  },
+  checks: [checks.ordered('query', 'from', 'to')]
+}), (req, res) => {
+  try {
+    const { kind, category: categories, from, to, q, sort: sortName } = req.query;
+    const sort = DONATION_SORTS[sortName];
+
+    const paging = readPaging(req, res, sortName, sort);
+    if (!paging) return;
+
+    const filters = [{ sql: 'd.donor_id = ?', params: [req.params.userId] }];
+    if (kind) filters.push({ sql: 'd.kind = ?', params: [kind] });
+    if (categories.length > 0) {
+      filters.push({ sql: `sr.category IN (${categories.map(() => '?').join(', ')})`, params: categories });
+    }
+    if (from) filters.push({ sql: 'date(d.created_at) >= ?', params: [from] });
+    if (to) filters.push({ sql: 'date(d.created_at) <= ?', params: [to] });
+
+    // Anonymous recipients can't be found by name
+    const messageSearch = listQuery.searchSql(q, ['d.message']);
+    if (messageSearch) {
+      const named = privacy.namedRequesterSql(req.user, { userId: 'u.id', companyId: 'u.company_id', visibility: 'sr.visibility' });
+      const nameSearch = listQuery.searchSql(q, ['d.message', "u.first_name || ' ' || u.last_name"]);
+      filters.push({
+        sql: `(${messageSearch.sql} OR (${named.sql} AND ${nameSearch.sql}))`,
+        params: [...messageSearch.params, ...named.params, ...nameSearch.params]
+      });
+    }
+
+    const { items, total, nextCursor } = listQuery.fetchPage(db, {
+      select: `
+        d.*,
+        sr.reason,
+        sr.category,
+        sr.status as request_status,
+        sr.visibility,
+        sr.hide_reason,
+        u.id as recipient_id,
+        u.first_name as recipient_first_name,
+        u.last_name as recipient_last_name,
+        u.company_id as recipient_company_id,
+        c.name as recipient_company_name,
+        CASE WHEN d.kind = 'donation'
+          THEN d.hours + COALESCE((SELECT SUM(r.hours) FROM donations r WHERE r.reverses_donation_id = d.id), 0)
+        END as remaining_hours,
+        CASE WHEN d.kind = 'donation'
+          THEN (SELECT COALESCE(-SUM(p.hours), 0) FROM company_pool_ledger p
+                WHERE p.donation_id = d.id AND p.entry_type IN ('match', 'match_return'))
+        END as matched_hours,
+        datetime(d.created_at, '+' || ? || ' hours') > datetime('now') as within_window
+      `,
+      selectParams: [DONATION_REVERSAL_WINDOW_HOURS],
+      from: `
+        FROM donations d
+        JOIN support_requests sr ON d.request_id = sr.id
+        JOIN users u ON sr.user_id = u.id
+        LEFT JOIN companies c ON u.company_id = c.id
+      `,
+      filters,
+      sortName,
+      sort,
+      ...paging
+    });
+
+    // Donations the donor can still take back
+    items.forEach(donation => {
+      donation.reversible = donation.kind === 'donation' && donation.remaining_hours > 0 &&
+        Boolean(donation.within_window) && ['active', 'paused'].includes(donation.request_status);
+      delete donation.within_window;
+    });
+
+    res.json({
+      donations: items.map(donation => privacy.presentGivenDonation(req.user, donation)),
+      total,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get donations error:', error);
+    res.status(500).json({ error: 'Failed to get donations' });
+  }
+});
+
+// Get donation stats for a user
+app.get('/api/users/:userId/stats', requireSelf('userId'), (req, res) => {
+  try {
+    const userId = req.params.userId;
+
+    const totalDonated = db.prepare(`
+      SELECT COALESCE(SUM(hours), 0) as total FROM donations WHERE donor_id = ? AND status = 'completed'
+    `).get(userId);
+
+    // Recipients whose donations were all returned don't count
+    const peopleHelped = db.prepare(`
+      SELECT COUNT(*) as count FROM (
+        SELECT sr.user_id
+        FROM donations d
+        JOIN support_requests sr ON d.request_id = sr.id
+        WHERE d.donor_id = ? AND d.status = 'completed'
+        GROUP BY sr.user_id
+        HAVING SUM(d.hours) > 0
+      )
+    `).get(userId);
+
+    // Hours employers added on top of this user's donations
+    const totalMatched = db.prepare(`
+      SELECT COALESCE(-SUM(p.hours), 0) as total
+      FROM company_pool_ledger p
+      JOIN donations d ON p.donation_id = d.id
+      WHERE d.donor_id = ? AND p.entry_type IN ('match', 'match_return')
+    `).get(userId);
+
+    const user = db.prepare('SELECT available_pto_hours FROM users WHERE id = ?').get(userId);
+
+    res.json({
+      totalDonated: totalDonated.total,
+      totalMatched: totalMatched.total,
+      peopleHelped: peopleHelped.count,
+      availablePTO: user ? user.available_pto_hours : 0
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Failed to get stats' });
+  }
+});
+
+// ============== DONATION REVERSALS ==============
+
+// How long after giving a donation can still be reversed
+const DONATION_REVERSAL_WINDOW_HOURS = parseInt(process.env.DONATION_REVERSAL_WINDOW_HOURS) || 24;
+
+const REVERSAL_NOTES = {
+  donor_reversal: 'Donation reversed by donor',
+  admin_reversal: 'Donation reversed by an admin',
+  request_cancelled: 'Request cancelled',
+  surplus_refund: 'Unused hours refunded'
+};
+
+// Original donations to a request with the hours not yet reversed or refunded
+function getRefundableDonations(requestId) {
+  return db.prepare(`
+    SELECT d.id, d.donor_id, d.request_id, d.hours, d.is_anonymous,
+           d.hours + COALESCE((SELECT SUM(r.hours) FROM donations r WHERE r.reverses_donation_id = d.id), 0) as remaining_hours
+    FROM donations d
+    WHERE d.request_id = ? AND d.kind = 'donation' AND d.status = 'completed'
+    ORDER BY d.id
+  `).all(requestId).filter(donation => donation.remaining_hours > 0);
+}
+
+// Hours of a donation not yet reversed or refunded
+function donationRemaining(donationId) {
+  return db.prepare('SELECT COALESCE(SUM(hours), 0) as hours FROM donations WHERE id = ? OR reverses_donation_id = ?')
+    .get(donationId, donationId).hours;
+}
+
+// Give part or all of a donation back to its donor. Must be called inside a transaction.
+function reverseDonation({ donation, requesterId, hours, reason, actorId = null, ip = null }) {
+  const reversal = db.prepare(`
+    INSERT INTO donations (donor_id, request_id, hours, kind, reverses_donation_id, reversal_reason, actor_id, is_anonymous)
+    VALUES (?, ?, ?, 'reversal', ?, ?, ?, ?)
+  `).run(donation.donor_id, donation.request_id, -hours, donation.id, reason, actorId, donation.is_anonymous ? 1 : 0);
+
+  const refs = { donationId: reversal.lastInsertRowid, requestId: donation.request_id, actorId, note: REVERSAL_NOTES[reason] };
+  ledger.post({ ...refs, userId: requesterId, type: 'reversal', hours: -hours });
+  ledger.post({ ...refs, userId: donation.donor_id, type: 'reversal', hours });
+
+  db.prepare('UPDATE support_requests SET hours_received = hours_received - ? WHERE id = ?').run(hours, donation.request_id);
+
+  // The donor's company takes back the same share of its match
+  const matchReturned = matching.returnMatch({
+    donation,
+    remainingHours: donationRemaining(donation.id),
+    requesterId,
+    actorId
+  });
+
+  const requester = db.prepare('SELECT company_id FROM users WHERE id = ?').get(requesterId);
+  audit.record({
+    action: 'donation.reverse',
+    actorId,
+    target: { type: 'user', id: donation.donor_id },
+    after: {
+      donation_id: donation.id, reversal_id: reversal.lastInsertRowid, request_id: donation.request_id, hours,
+      match_returned: matchReturned, reason
+    },
+    actorAnonymous: !!donation.is_anonymous && actorId === donation.donor_id,
+    targetAnonymous: !!donation.is_anonymous,
+    companyIds: [requester && requester.company_id],
+    ip
+  });
+  events.publish('donation.reversed', {
+    reversalId: reversal.lastInsertRowid,
+    donationId: donation.id,
+    donorId: donation.donor_id,
+    requestId: donation.request_id,
+    hours,
+    matchReturned,
+    reason,
+    actorId
+  });
+}
+
+// Split whole hours across donations in proportion to what each has left.
+// Leftover hours from rounding go to the largest remainders, earliest donation first.
+function allocateProRata(donations, hours) {
+  const total = donations.reduce((sum, donation) => sum + donation.remaining_hours, 0);
+  const shares = donations.map((donation, index) => {
+    const exact = hours * donation.remaining_hours / total;
+    return { donation, index, hours: Math.floor(exact), fraction: exact - Math.floor(exact) };
+  });
+
+  let leftover = hours - shares.reduce((sum, share) => sum + share.hours, 0);
+  [...shares]
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.hours++;
+        leftover--;
+      }
+    });
+
+  return shares.filter(share => share.hours > 0);
+}
+
+// Refund hours from a request to its donors pro rata. Must be called inside a transaction.
+function refundDonations(request, hours, reason, actorId = null, ip = null) {
+  const donations = getRefundableDonations(request.id);
+  allocateProRata(donations, hours).forEach(share => reverseDonation({
+    donation: share.donation,
+    requesterId: request.user_id,
+    hours: share.hours,
+    reason,
+    actorId,
+    ip
+  }));
+}
+
+// Hours a refund takes from the requester: the refund itself plus the share of
+// employer matches that goes back with it
+function refundCost(request, hours) {
+  return allocateProRata(getRefundableDonations(request.id), hours).reduce((sum, share) => {
+    const match = matching.matchToReturn(share.donation, share.donation.remaining_hours - share.hours);
+    return sum + share.hours + (match ? match.hours : 0);
+  }, 0);
+}
+
+// The largest refund, up to hours, that the requester's balance covers
+function affordableRefund(request, hours) {
+  const balance = ledger.balance(request.user_id);
+  let refund = hours;
+  while (refund > 0 && refundCost(request, refund) > balance) refund--;
+  return refund;
+}
+
+// Reverse a donation (donor, or an admin of either party's company)
+app.post('/api/donations/:id/reverse', requireAuth, (req, res) => {
   try {
-    const userId = req.params.id;
-    const { first_name, last_name, email, phone, company_id, can_donate, need_support, available_pto_hours } = req.body;
+    const donation = db.prepare(`
+      SELECT d.*, sr.user_id as requester_id, sr.status as request_status,
+             donor.company_id as donor_company_id, requester.company_id as requester_company_id,
+             requester.available_pto_hours as requester_balance,
+             datetime(d.created_at, '+' || ? || ' hours') > datetime('now') as within_window
+      FROM donations d
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users donor ON d.donor_id = donor.id
+      JOIN users requester ON sr.user_id = requester.id
+      WHERE d.id = ? AND d.kind = 'donation'
+    `).get(DONATION_REVERSAL_WINDOW_HOURS, req.params.id);
 
-    const updates = [];
-    const values = [];
+    if (!donation) {
+      return res.status(404).json({ error: 'Donation not found' });
+    }
 
-    if (first_name !== undefined) { updates.push('first_name = ?'); values.push(first_name); }
-    if (last_name !== undefined) { updates.push('last_name = ?'); values.push(last_name); }
-    if (email !== undefined) { updates.push('email = ?'); values.push(email); }
-    if (phone !== undefined) { updates.push('phone = ?'); values.push(phone); }
-    if (company_id !== undefined) { updates.push('company_id = ?'); values.push(company_id); }
-    if (can_donate !== undefined) { updates.push('can_donate = ?'); values.push(can_donate ? 1 : 0); }
-    if (need_support !== undefined) { updates.push('need_support = ?'); values.push(need_support ? 1 : 0); }
-    if (available_pto_hours !== undefined) { updates.push('available_pto_hours = ?'); values.push(available_pto_hours); }
+    const user = req.user;
+    const isDonor = donation.donor_id === user.id;
+    const isAdmin = user.is_platform_admin || (user.is_company_admin &&
+      (user.company_id === donation.donor_company_id || user.company_id === donation.requester_company_id));
+    if (!isDonor && !isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+    const refundable = getRefundableDonations(donation.request_id).find(d => d.id === donation.id);
+    if (!refundable) {
+      return res.status(409).json({ error: 'This donation has already been returned' });
+    }
+    if (!['active', 'paused'].includes(donation.request_status)) {
+      return res.status(409).json({ error: `Donations to a ${donation.request_status} request cannot be reversed` });
+    }
+    if (!donation.within_window) {
+      return res.status(409).json({ error: `Donations can only be reversed within ${DONATION_REVERSAL_WINDOW_HOURS} hours` });
+    }
+    const matchShare = matching.matchToReturn(donation, 0);
+    if (donation.requester_balance < refundable.remaining_hours + (matchShare ? matchShare.hours : 0)) {
+      return res.status(409).json({ error: 'The recipient has already used these hours' });
     }
 
-    values.push(userId);
-    db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+    db.transaction(() => reverseDonation({
+      donation,
+      requesterId: donation.requester_id,
+      hours: refundable.remaining_hours,
+      reason: isDonor ? 'donor_reversal' : 'admin_reversal',
+      actorId: user.id,
+      ip: req.ip
+    }))();
 
-    // Return updated user
-    const user = db.prepare(`
-      SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.username,
-             u.company_id, u.is_company_admin, u.can_donate, u.need_support,
-             u.available_pto_hours, u.created_at, c.name as company_name
-      FROM users u
+    res.json({ message: 'Donation reversed', hours: refundable.remaining_hours });
+  } catch (error) {
+    console.error('Reverse donation error:', error);
+    res.status(500).json({ error: 'Failed to reverse donation' });
+  }
+});
+
+// Donations and reversals on requests made by a user (recipient side)
+app.get('/api/users/:userId/donations/received', requireSelf('userId'), (req, res) => {
+  try {
+    const donations = db.prepare(`
+      SELECT
+        d.*,
+        sr.reason,
+        sr.category,
+        sr.status as request_status,
+        u.first_name as donor_first_name,
+        u.last_name as donor_last_name,
+        u.company_id as donor_company_id,
+        c.name as donor_company_name,
+        (SELECT m.hidden_at IS NOT NULL FROM request_messages m WHERE m.donation_id = d.id AND m.kind = 'donation') as message_hidden
+      FROM donations d
+      JOIN support_requests sr ON d.request_id = sr.id
+      JOIN users u ON d.donor_id = u.id
       LEFT JOIN companies c ON u.company_id = c.id
-      WHERE u.id = ?
-    `).get(userId);
+      WHERE sr.user_id = ?
+      ORDER BY d.created_at DESC, d.id DESC
+    `).all(req.params.userId);
 
-    res.json({ message: 'Profile updated', user });
+    // Messages a moderator hid are kept out of the list as they are out of the thread
+    donations.forEach(donation => {
+      donation.message_hidden = Boolean(donation.message_hidden);
+      if (donation.message_hidden) donation.message = null;
+    });
+
+    res.json(donations.map(donation => privacy.presentReceivedDonation(req.user, donation)));
   } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ error: 'Failed to update user' });
+    console.error('Get received donations error:', error);
+    res.status(500).json({ error: 'Failed to get received donations' });
   }
 });
 
-// ============== SUPPORT REQUEST ROUTES ==============
+// ============== DONATION PLEDGES ==============
+
+const pledges = createDonationPledges(db, { donate: makeDonation, events });
+
+// Fields a pledge's owner may change after making it
+const PLEDGE_CHANGES = {
+  hours: 'hours',
+  categories: 'categories',
+  companyId: 'company_id',
+  message: 'message',
+  anonymous: 'is_anonymous',
+  endDate: 'end_date',
+  status: 'status'
+};
+
+// The fields of a pledge kept in the audit log
+function pledgeAuditFields(pledge) {
+  return {
+    hours: pledge.hours,
+    period: pledge.period,
+    categories: pledge.categories.join(','),
+    company_id: pledge.company_id,
+    is_anonymous: pledge.is_anonymous,
+    end_date: pledge.end_date,
+    status: pledge.status
+  };
+}
+
+// The company a pledge is limited to must exist
+function rejectUnknownPledgeCompany(res, companyId) {
+  if (companyId != null && !db.prepare('SELECT 1 FROM companies WHERE id = ?').get(companyId)) {
+    rejectField(res, 'companyId', 'NOT_FOUND', 'Company not found');
+    return true;
+  }
+  return false;
+}
 
-// Create a support request
-app.post('/api/requests', (req, res) => {
+// Get a user's pledges with their latest runs
+app.get('/api/users/:userId/pledges', requireSelf('userId'), (req, res) => {
   try {
-    const { userId, hoursNeeded, urgency, category, reason, startDate, endDate } = req.body;
+    res.json({ pledges: pledges.listPledges(req.params.userId) });
+  } catch (error) {
+    console.error('Get pledges error:', error);
+    res.status(500).json({ error: 'Failed to get pledges' });
+  }
+});
 
-    if (!userId || !hoursNeeded || !urgency || !category || !reason || !startDate) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+// Pledge hours every week, month or quarter
+app.post('/api/users/:userId/pledges', requireSelf('userId'), requireActiveCompany(), validate({
+  body: {
+    hours: FIELDS.hours(),
+    period: rules.oneOf(PLEDGE_PERIODS),
+    categories: FIELDS.categories({ default: [] }),
+    companyId: rules.id({ optional: true, nullable: true, label: 'Company' }),
+    message: rules.string({ max: 500, optional: true, nullable: true }),
+    anonymous: rules.boolean({ default: false }),
+    startDate: FIELDS.date({ optional: true }),
+    endDate: FIELDS.date({ optional: true, nullable: true })
+  },
+  checks: [checks.ordered('body', 'startDate', 'endDate')]
+}), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const { hours, period, categories, companyId = null, message, anonymous, endDate = null } = req.body;
+    const today = new Date().toISOString().split('T')[0];
+    const startDate = req.body.startDate || today;
 
-    const stmt = db.prepare(`
-      INSERT INTO support_requests (user_id, hours_needed, urgency, category, reason, start_date, end_date)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+    if (startDate < today) {
+      return rejectField(res, 'startDate', 'TOO_EARLY', 'Start date cannot be in the past');
+    }
+    if (rejectUnknownPledgeCompany(res, companyId)) return;
+
+    const pledgeId = db.transaction(() => {
+      const id = pledges.createPledge({
+        userId, hours, period, categories, companyId, message: message || null, anonymous, startDate, endDate
+      });
+      audit.record({
+        action: 'pledge.create',
+        actorId: req.user.id,
+        target: { type: 'user', id: userId },
+        after: { pledge_id: id, ...pledgeAuditFields(pledges.getPledge(userId, id)) },
+        ip: req.ip
+      });
+      return id;
+    })();
+
+    res.status(201).json({ message: 'Pledge created', pledge: pledges.getPledge(userId, pledgeId) });
+  } catch (error) {
+    console.error('Create pledge error:', error);
+    res.status(500).json({ error: 'Failed to create pledge' });
+  }
+});
 
-    const result = stmt.run(userId, hoursNeeded, urgency, category, reason, startDate, endDate || null);
+// Change, pause or resume a pledge. Fields left out keep their current values.
+app.put('/api/users/:userId/pledges/:pledgeId', requireSelf('userId'), validate({
+  body: {
+    hours: FIELDS.hours({ optional: true }),
+    categories: FIELDS.categories({ optional: true }),
+    companyId: rules.id({ optional: true, nullable: true, label: 'Company' }),
+    message: rules.string({ max: 500, optional: true, nullable: true }),
+    anonymous: rules.boolean({ optional: true }),
+    endDate: FIELDS.date({ optional: true, nullable: true }),
+    status: rules.oneOf(['active', 'paused'], { optional: true })
+  }
+}), (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const pledge = pledges.getPledge(userId, req.params.pledgeId);
+    if (!pledge) {
+      return res.status(404).json({ error: 'Pledge not found' });
+    }
+    if (!['active', 'paused'].includes(pledge.status)) {
+      return res.status(409).json({ error: `A ${pledge.status} pledge can no longer be changed` });
+    }
 
-    res.status(201).json({
-      message: 'Support request created',
-      requestId: result.lastInsertRowid
+    const changes = {};
+    Object.entries(PLEDGE_CHANGES).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) changes[column] = req.body[field];
     });
+
+    const today = new Date().toISOString().split('T')[0];
+    const endDate = changes.end_date !== undefined ? changes.end_date : pledge.end_date;
+    if (endDate && endDate < pledge.start_date) {
+      return rejectField(res, 'endDate', 'OUT_OF_ORDER', 'End date cannot be before the start date');
+    }
+    if (changes.end_date && changes.end_date < today) {
+      return rejectField(res, 'endDate', 'TOO_EARLY', 'End date cannot be in the past');
+    }
+    if (rejectUnknownPledgeCompany(res, changes.company_id)) return;
+
+    db.transaction(() => {
+      pledges.updatePledge(pledge, changes, today);
+
+      const changed = auditLog.diff(pledgeAuditFields(pledge), pledgeAuditFields(pledges.getPledge(userId, pledge.id)));
+      if (Object.keys(changed.after).length > 0) {
+        audit.record({
+          action: 'pledge.update',
+          actorId: req.user.id,
+          target: { type: 'user', id: userId },
+          before: { pledge_id: pledge.id, ...changed.before },
+          after: { pledge_id: pledge.id, ...changed.after },
+          ip: req.ip
+        });
+      }
+    })();
+
+    res.json({ message: 'Pledge updated', pledge: pledges.getPledge(userId, pledge.id) });
   } catch (error) {
-    console.error('Create request error:', error);
-    res.status(500).json({ error: 'Failed to create request' });
+    console.error('Update pledge error:', error);
+    res.status(500).json({ error: 'Failed to update pledge' });
   }
 });
 
-// Get all active support requests
-app.get('/api/requests', (req, res) => {
+// Cancel a pledge. Hours it already gave stay donated.
+app.delete('/api/users/:userId/pledges/:pledgeId', requireSelf('userId'), (req, res) => {
   try {
-    const requests = db.prepare(`
-      SELECT
-        sr.*,
-        u.first_name,
-        u.last_name,
-        u.company_id,
-        c.name as company_name,
-        (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id) as hours_received
-      FROM support_requests sr
-      JOIN users u ON sr.user_id = u.id
-      LEFT JOIN companies c ON u.company_id = c.id
-      WHERE sr.status = 'active'
-      ORDER BY
-        CASE sr.urgency
-          WHEN 'high' THEN 1
-          WHEN 'medium' THEN 2
-          ELSE 3
-        END,
-        sr.created_at DESC
-    `).all();
-
-    res.json(requests);
+    const userId = Number(req.params.userId);
+    const pledge = pledges.getPledge(userId, req.params.pledgeId);
+    if (!pledge) {
+      return res.status(404).json({ error: 'Pledge not found' });
+    }
+    if (!['active', 'paused'].includes(pledge.status)) {
+      return res.status(409).json({ error: `This pledge is already ${pledge.status}` });
+    }
+
+    db.transaction(() => {
+      pledges.cancelPledge(pledge.id);
+      audit.record({
+        action: 'pledge.cancel',
+        actorId: req.user.id,
+        target: { type: 'user', id: userId },
+        before: { pledge_id: pledge.id, status: pledge.status },
+        after: { pledge_id: pledge.id, status: 'cancelled' },
+        ip: req.ip
+      });
+    })();
+
+    res.json({ message: 'Pledge cancelled' });
   } catch (error) {
-    console.error('Get requests error:', error);
-    res.status(500).json({ error: 'Failed to get requests' });
+    console.error('Cancel pledge error:', error);
+    res.status(500).json({ error: 'Failed to cancel pledge' });
   }
 });
 
-// Get a single request
-app.get('/api/requests/:id', (req, res) => {
+// ============== PTO LEDGER ==============
+
+// Get a user's PTO statement (every balance change, newest first)
+app.get('/api/users/:userId/ledger', requireSelf('userId'), (req, res) => {
   try {
-    const request = db.prepare(`
-      SELECT
-        sr.*,
-        u.first_name,
-        u.last_name,
-        (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id) as hours_received
-      FROM support_requests sr
-      JOIN users u ON sr.user_id = u.id
-      WHERE sr.id = ?
-    `).get(req.params.id);
+    const entries = ledger.statement(req.params.userId).map(entry => privacy.presentLedgerEntry(req.user, entry));
+    res.json({ balance: ledger.balance(req.params.userId), entries });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ error: 'Failed to get PTO statement' });
+  }
+});
 
-    if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
-    }
+// Detect drift between cached balances and the ledger (platform-wide)
+app.get('/api/ledger/reconcile', requirePlatformAdmin, (req, res) => {
+  try {
+    res.json(ledger.reconcile());
+  } catch (error) {
+    console.error('Reconcile ledger error:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
 
-    res.json(request);
+// Detect drift between cached balances and the ledger (for admin)
+app.get('/api/companies/:id/ledger/reconcile', requireCompanyAdmin('id'), (req, res) => {
+  try {
+    res.json(ledger.reconcile(req.params.id));
   } catch (error) {
-    console.error('Get request error:', error);
-    res.status(500).json({ error: 'Failed to get request' });
+    console.error('Reconcile company ledger error:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
   }
 });
 
-// Get requests by user
-app.get('/api/users/:userId/requests', (req, res) => {
+// ============== PAYROLL EXPORT ==============
+
+// ?format and ?view on payroll downloads
+const PAYROLL_FORMAT_QUERY = {
+  format: rules.oneOf(['json', 'csv'], { default: 'json' }),
+  view: rules.oneOf(['entries', 'summary'], { default: 'entries' })
+};
+
+// Respond with a payroll report as JSON (default) or CSV (?format=csv, ?view=summary)
+function sendPayrollReport(req, res, report, name) {
+  if (req.query.format !== 'csv') {
+    return res.json(report);
+  }
+  const { view } = req.query;
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}-${view}.csv"`);
+  res.send(payrollReport.toCsv(report, view));
+}
+
+function payrollFileName(company, start, end) {
+  return `payroll-${company.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${start}-to-${end}`;
+}
+
+// Preview PTO transfers for a date range that hasn't been locked yet
+app.get('/api/companies/:companyId/payroll/report', requireCompanyAdmin('companyId'), validate({
+  query: { start: FIELDS.date(), end: FIELDS.date(), ...PAYROLL_FORMAT_QUERY },
+  checks: [checks.ordered('query', 'start', 'end')]
+}), (req, res) => {
   try {
-    const requests = db.prepare(`
-      SELECT
-        sr.*,
-        (SELECT COALESCE(SUM(hours), 0) FROM donations WHERE request_id = sr.id) as hours_received
-      FROM support_requests sr
-      WHERE sr.user_id = ?
-      ORDER BY sr.created_at DESC
-    `).all(req.params.userId);
+    const { start, end } = req.query;
 
-    res.json(requests);
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const report = payroll.buildReport({
+      company,
+      period: { id: null, start_date: start, end_date: end, locked: false },
+      rows: payroll.unlockedEntries(company.id, start, end),
+      viewer: req.user
+    });
+
+    sendPayrollReport(req, res, report, payrollFileName(company, start, end));
   } catch (error) {
-    console.error('Get user requests error:', error);
-    res.status(500).json({ error: 'Failed to get requests' });
+    console.error('Payroll report error:', error);
+    res.status(500).json({ error: 'Failed to build payroll report' });
   }
 });
 
-// ============== DONATION ROUTES ==============
+// List a company's locked payroll periods
+app.get('/api/companies/:companyId/payroll/periods', requireCompanyAdmin('companyId'), (req, res) => {
+  try {
+    const periods = db.prepare(`
+      SELECT p.*, u.first_name || ' ' || u.last_name as locked_by_name,
+             (SELECT COUNT(*) FROM payroll_period_entries pe WHERE pe.period_id = p.id) as entry_count
+      FROM payroll_periods p
+      LEFT JOIN users u ON p.locked_by = u.id
+      WHERE p.company_id = ?
+      ORDER BY p.start_date DESC
+    `).all(req.params.companyId);
+
+    res.json(periods);
+  } catch (error) {
+    console.error('Get payroll periods error:', error);
+    res.status(500).json({ error: 'Failed to get payroll periods' });
+  }
+});
 
-// Make a donation
-app.post('/api/donations', (req, res) => {
+// Mark a period as exported. Its entries are frozen; anything recorded later
+// goes into the next period's report.
+app.post('/api/companies/:companyId/payroll/periods', requireCompanyAdmin('companyId'), validate({
+  body: { startDate: FIELDS.date(), endDate: FIELDS.date() },
+  checks: [checks.ordered('body', 'startDate', 'endDate')]
+}), (req, res) => {
   try {
-    const { donorId, requestId, hours, message } = req.body;
+    const { startDate, endDate } = req.body;
 
-    if (!donorId || !requestId || !hours) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
     }
 
-    // Check if donor has enough PTO
-    const donor = db.prepare('SELECT available_pto_hours FROM users WHERE id = ?').get(donorId);
-    if (!donor || donor.available_pto_hours < hours) {
-      return res.status(400).json({ error: 'Insufficient PTO hours available' });
+    const overlapping = db.prepare(`
+      SELECT start_date, end_date FROM payroll_periods
+      WHERE company_id = ? AND start_date <= ? AND end_date >= ?
+    `).get(company.id, endDate, startDate);
+    if (overlapping) {
+      return res.status(409).json({ error: `Overlaps the locked period ${overlapping.start_date} to ${overlapping.end_date}` });
     }
 
-    // Check if request exists and is active
-    const request = db.prepare('SELECT * FROM support_requests WHERE id = ? AND status = ?').get(requestId, 'active');
-    if (!request) {
-      return res.status(404).json({ error: 'Support request not found or closed' });
+    const periodId = db.transaction(() => {
+      const id = payroll.lockPeriod({ companyId: company.id, start: startDate, end: endDate, lockedBy: req.user.id });
+      audit.record({
+        action: 'payroll.lock',
+        actorId: req.user.id,
+        target: { type: 'payroll_period', id, name: `${startDate} to ${endDate}`, companyId: company.id },
+        after: { start_date: startDate, end_date: endDate },
+        ip: req.ip
+      });
+      return id;
+    })();
+
+    res.status(201).json({ message: 'Payroll period locked', periodId });
+  } catch (error) {
+    console.error('Lock payroll period error:', error);
+    res.status(500).json({ error: 'Failed to lock payroll period' });
+  }
+});
+
+// Re-download a locked period exactly as it was locked
+app.get('/api/companies/:companyId/payroll/periods/:periodId/export', requireCompanyAdmin('companyId'), validate({
+  query: PAYROLL_FORMAT_QUERY
+}), (req, res) => {
+  try {
+    const period = db.prepare('SELECT * FROM payroll_periods WHERE id = ? AND company_id = ?')
+      .get(req.params.periodId, req.params.companyId);
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
     }
 
-    // Create donation
-    const insertDonation = db.prepare(`
-      INSERT INTO donations (donor_id, request_id, hours, message)
-      VALUES (?, ?, ?, ?)
-    `);
+    const company = db.prepare('SELECT id, name FROM companies WHERE id = ?').get(period.company_id);
+
+    const report = payroll.buildReport({
+      company,
+      period: {
+        id: period.id,
+        start_date: period.start_date,
+        end_date: period.end_date,
+        locked: true,
+        locked_at: period.locked_at,
+        locked_by: period.locked_by
+      },
+      rows: payroll.periodEntries(period.id),
+      viewer: req.user
+    });
 
-    // Update donor's available PTO
-    const updateDonorPTO = db.prepare(`
-      UPDATE users SET available_pto_hours = available_pto_hours - ? WHERE id = ?
-    `);
+    sendPayrollReport(req, res, report, payrollFileName(company, period.start_date, period.end_date));
+  } catch (error) {
+    console.error('Export payroll period error:', error);
+    res.status(500).json({ error: 'Failed to export payroll period' });
+  }
+});
 
-    // Update request's received hours
-    const updateRequestHours = db.prepare(`
-      UPDATE support_requests SET hours_received = hours_received + ? WHERE id = ?
-    `);
+// ============== COMPANY ANALYTICS ==============
 
-    // Run as transaction
-    const transaction = db.transaction(() => {
-      insertDonation.run(donorId, requestId, hours, message || null);
-      updateDonorPTO.run(hours, donorId);
-      updateRequestHours.run(hours, requestId);
+const analytics = companyAnalytics.createCompanyAnalytics(db, {
+  categories: donationPolicy.REQUEST_CATEGORIES,
+  urgencies: REQUEST_URGENCIES
+});
 
-      // Check if request is fully funded
-      const updatedRequest = db.prepare('SELECT hours_needed, hours_received FROM support_requests WHERE id = ?').get(requestId);
-      if (updatedRequest.hours_received >= updatedRequest.hours_needed) {
-        db.prepare('UPDATE support_requests SET status = ? WHERE id = ?').run('fulfilled', requestId);
-      }
-    });
+// ?from, ?to and ?granularity on analytics
+const ANALYTICS_QUERY = {
+  from: FIELDS.date({ optional: true }),
+  to: FIELDS.date({ optional: true }),
+  granularity: rules.oneOf(companyAnalytics.GRANULARITIES, { default: 'week' })
+};
+
+// The range an analytics request covers. `to` defaults to today and `from` to
+// 30 days, 12 weeks or 12 months before it. Responds with a validation error
+// and returns null when the range is backwards or has too many buckets.
+function readAnalyticsRange(req, res) {
+  const { granularity } = req.query;
+  const to = req.query.to || new Date().toISOString().split('T')[0];
+  const from = req.query.from || companyAnalytics.defaultFrom(to, granularity);
+
+  if (from > to) {
+    rejectField(res, 'to', 'OUT_OF_ORDER', 'To cannot be before from');
+    return null;
+  }
+  const range = { from, to, granularity };
+  if (companyAnalytics.bucketsOf(range).length > companyAnalytics.MAX_BUCKETS) {
+    rejectField(res, 'from', 'RANGE_TOO_LONG',
+      `A range can cover at most ${companyAnalytics.MAX_BUCKETS} ${granularity}s; choose a later start or a coarser granularity`);
+    return null;
+  }
+  return range;
+}
 
-    transaction();
+// A company's impact over a date range: totals plus every series
+app.get('/api/companies/:companyId/analytics', requireCompanyAdmin('companyId'), validate({
+  query: ANALYTICS_QUERY
+}), (req, res) => {
+  try {
+    const range = readAnalyticsRange(req, res);
+    if (!range) return;
 
-    res.status(201).json({ message: 'Donation successful' });
+    res.json(analytics.report(Number(req.params.companyId), range));
   } catch (error) {
-    console.error('Donation error:', error);
-    res.status(500).json({ error: 'Donation failed' });
+    console.error('Get company analytics error:', error);
+    res.status(500).json({ error: 'Failed to get company analytics' });
   }
 });
 
-// Get donations by user (donor)
-app.get('/api/users/:userId/donations', (req, res) => {
+// One series as JSON or CSV (?format=csv): hours, participation, fulfillment,
+// categories, urgencies or partners
+app.get('/api/companies/:companyId/analytics/:series', requireCompanyAdmin('companyId'), validate({
+  query: { ...ANALYTICS_QUERY, format: rules.oneOf(['json', 'csv'], { default: 'json' }) }
+}), (req, res) => {
   try {
-    const donations = db.prepare(`
-      SELECT
-        d.*,
-        sr.reason,
-        sr.category,
-        u.first_name as recipient_first_name,
-        u.last_name as recipient_last_name,
-        u.company_id as recipient_company_id,
-        c.name as recipient_company_name
-      FROM donations d
-      JOIN support_requests sr ON d.request_id = sr.id
-      JOIN users u ON sr.user_id = u.id
-      LEFT JOIN companies c ON u.company_id = c.id
-      WHERE d.donor_id = ?
-      ORDER BY d.created_at DESC
-    `).all(req.params.userId);
+    const { series, companyId } = req.params;
+    if (!companyAnalytics.SERIES.includes(series)) {
+      return res.status(404).json({ error: 'Analytics series not found' });
+    }
+
+    const range = readAnalyticsRange(req, res);
+    if (!range) return;
 
-    res.json(donations);
+    const rows = analytics.getSeries(series, Number(companyId), range);
+    if (req.query.format !== 'csv') {
+      return res.json({ ...range, series, rows });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition',
+      `attachment; filename="analytics-${series}-company-${companyId}-${range.from}-to-${range.to}.csv"`);
+    res.send(companyAnalytics.toCsv(series, rows));
   } catch (error) {
-    console.error('Get donations error:', error);
-    res.status(500).json({ error: 'Failed to get donations' });
+    console.error('Get analytics series error:', error);
+    res.status(500).json({ error: 'Failed to get analytics series' });
   }
 });
 
-// Get donation stats for a user
-app.get('/api/users/:userId/stats', (req, res) => {
+// ============== AUDIT LOG ==============
+
+const AUDIT_CSV_COLUMNS = ['id', 'created_at', 'action', 'action_label', 'actor_id', 'actor_name', 'target_type', 'target_id', 'target_name', 'before', 'after', 'ip_address'];
+
+// Exact actions, plus their prefixes ("employee" for every employee action)
+const AUDIT_ACTION_FILTERS = [...new Set(Object.keys(auditLog.AUDIT_ACTIONS)
+  .flatMap(action => [action.split('.')[0], action]))];
+
+// A company's audit log, newest first (?format=csv exports every matching entry).
+// Filters: action (e.g. employee.update, or employee for all employee actions),
+// actor and target (user ids), from, to (dates), q (searches names and actions); limit, cursor.
+app.get('/api/companies/:companyId/audit', requireCompanyAdmin('companyId'), validate({
+  query: {
+    action: rules.oneOf(AUDIT_ACTION_FILTERS, { optional: true }),
+    actor: rules.id({ optional: true }),
+    target: rules.id({ optional: true }),
+    from: FIELDS.date({ optional: true }),
+    to: FIELDS.date({ optional: true }),
+    q: rules.string({ max: 200, optional: true }),
+    format: rules.oneOf(['json', 'csv'], { default: 'json' }),
+    ...PAGING_QUERY
+  },
+  checks: [checks.ordered('query', 'from', 'to')]
+}), (req, res) => {
   try {
-    const userId = req.params.userId;
+    const { action, actor, target, from, to, q } = req.query;
+
+    const companyId = Number(req.params.companyId);
+    const filters = { action, actorId: actor, targetUserId: target, from, to, q };
+
+    if (req.query.format === 'csv') {
+      const entries = audit.allCompanyEntries(companyId, req.user, filters);
+      const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => (
+        ['before', 'after'].includes(column) ? (entry[column] ? JSON.stringify(entry[column]) : '') : entry[column]
+      )));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-company-${companyId}.csv"`);
+      return res.send(csv.stringify(AUDIT_CSV_COLUMNS, rows));
+    }
 
-    const totalDonated = db.prepare(`
-      SELECT COALESCE(SUM(hours), 0) as total FROM donations WHERE donor_id = ?
-    `).get(userId);
+    const paging = readPaging(req, res, 'newest', auditLog.AUDIT_SORT);
+    if (!paging) return;
 
-    const peopleHelped = db.prepare(`
-      SELECT COUNT(DISTINCT sr.user_id) as count
-      FROM donations d
-      JOIN support_requests sr ON d.request_id = sr.id
-      WHERE d.donor_id = ?
-    `).get(userId);
+    res.json(audit.companyEntries(companyId, req.user, filters, paging));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
 
-    const user = db.prepare('SELECT available_pto_hours FROM users WHERE id = ?').get(userId);
+// ============== NOTIFICATIONS ==============
 
+// Inbox for the signed-in user (?unread=true for unread only)
+app.get('/api/notifications', requireAuth, validate({
+  query: {
+    unread: rules.boolean({ default: false }),
+    limit: rules.integer({ min: 1, max: 100, default: 20 })
+  }
+}), (req, res) => {
+  try {
+    const { unread, limit } = req.query;
     res.json({
-      totalDonated: totalDonated.total,
-      peopleHelped: peopleHelped.count,
-      availablePTO: user ? user.available_pto_hours : 0
+      unread: notifications.unreadCount(req.user.id),
+      notifications: notifications.inbox(req.user.id, { unreadOnly: unread, limit })
     });
   } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({ error: 'Failed to get stats' });
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+app.get('/api/notifications/unread-count', requireAuth, (req, res) => {
+  try {
+    res.json({ unread: notifications.unreadCount(req.user.id) });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to get unread count' });
+  }
+});
+
+// Mark notifications as read; omit ids to mark everything read
+app.post('/api/notifications/read', requireAuth, validate({
+  body: { ids: rules.list(rules.id(), { max: 500, optional: true, label: 'Notification ids' }) }
+}), (req, res) => {
+  try {
+    const { ids } = req.body;
+    const marked = notifications.markRead(req.user.id, ids || null);
+    res.json({ marked, unread: notifications.unreadCount(req.user.id) });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+app.get('/api/notifications/preferences', requireAuth, (req, res) => {
+  try {
+    res.json(notifications.preferences(req.user.id));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to get notification preferences' });
+  }
+});
+
+// Body: { preferences: [{ type, in_app, email }] }
+app.put('/api/notifications/preferences', requireAuth, validate({
+  body: {
+    preferences: rules.list(rules.object({
+      type: rules.oneOf(Object.keys(NOTIFICATION_TYPES)),
+      in_app: rules.boolean({ optional: true }),
+      email: rules.boolean({ optional: true })
+    }))
+  }
+}), (req, res) => {
+  try {
+    const { preferences } = req.body;
+    notifications.setPreferences(req.user.id, preferences);
+    res.json(notifications.preferences(req.user.id));
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// ============== LIVE UPDATES ==============
+
+const liveUpdates = createLiveUpdates(db, { events, loadViewer: loadSessionUser });
+
+// Server-Sent Events stream of request progress and company stats changes
+app.get('/api/events', requireAuth, (req, res) => {
+  try {
+    liveUpdates.connect(req, res, { viewer: req.user, sessionId: req.sessionId });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open event stream' });
   }
 });
 
@@ -859,3 +4944,38 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`PTO Buddy server running on http://localhost:${PORT}`);
 });
+
+// Expire overdue requests, apply last year's carryover rules, post due
+// accruals and give due pledges at startup and then hourly. Carryover runs
+// before accruals so hours accrued in the new year are never forfeited.
+function runScheduledJobs() {
+  const today = new Date().toISOString().split('T')[0];
+  try {
+    expireOverdueRequests();
+  } catch (error) {
+    console.error('Expire requests error:', error);
+  }
+  try {
+    accruals.runYearEnd(today);
+  } catch (error) {
+    console.error('Carryover run error:', error);
+  }
+  try {
+    accruals.runDueAccruals(today);
+  } catch (error) {
+    console.error('Accrual run error:', error);
+  }
+  try {
+    pledges.runDuePledges(today);
+  } catch (error) {
+    console.error('Pledge run error:', error);
+  }
+  try {
+    runDueDeletions();
+  } catch (error) {
+    console.error('Account deletion run error:', error);
+  }
+}
+
+runScheduledJobs();
+setInterval(runScheduledJobs, 60 * 60 * 1000).unref();